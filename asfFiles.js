@@ -3,10 +3,18 @@
  * @description Manage file data in the triplestore, more specifically tailored for the automatic-submission-flow. Some functions also deal with reading and writing contents to physical storage.
  */
 
-import * as mas from '@lblod/mu-auth-sudo';
+import { v4 as uuid } from 'uuid';
+import * as spq from './sparql.js';
 import * as fs from 'node:fs/promises';
+import { createReadStream, createWriteStream } from 'node:fs';
+import { Transform } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
 import { Buffer } from 'node:buffer';
+import { createHash } from 'node:crypto';
 import * as fil from './files.js';
+import * as fmt from './formats.js';
+import * as stg from './storage.js';
+import * as uow from './unitOfWork.js';
 import * as sjp from 'sparqljson-parse';
 import * as cts from './constants.js';
 import * as rst from 'rdf-string-ttl';
@@ -19,7 +27,14 @@ export async function create() {
 }
 
 /**
- * Creates logical and physical file data in the triplestore and writes the given contents to the generated path on physical storage.
+ * @see {@link module:files.createBatch}
+ */
+export async function createBatch() {
+  return fil.createBatch(...arguments);
+}
+
+/**
+ * Creates logical and physical file data in the triplestore and writes the given contents to the generated path on physical storage. A hash of the contents is stored with the file data. When writing the contents fails, the file data is removed from the triplestore again.
  *
  * @public
  * @async
@@ -27,23 +42,82 @@ export async function create() {
  * @param {string|buffer|...} content - The contents that will be written to a file. This is converted to a buffer first, so anything the Node's `Buffer.from()` will take is fine.
  * @param {namedNode} creator - The identifier for the service that creates this File.
  * @param {namedNode} graph - The graph in which the file data is to be stored.
- * @returns {object} Same object as received from `files.create`.
+ * @param {string} [format='ttl'] - The file extension (e.g. `html`) or MIME type (e.g. `text/html`) of the contents, as known in `FORMATS`. Use `auto` to detect the format from the contents with {@link module:formats.detectFromContent}, falling back to Turtle.
+ * @param {object} [options]
+ * @param {boolean} [options.dedup=false] - When a file with identical contents already exists in the graph, reuse that file instead of creating a new one.
+ * @returns {object} Same object as received from `files.create`. When an existing file was reused, it describes that file and has `deduplicated: true`.
+ * @throws {Error} When the format is not known.
  */
-export async function createFromContent(content, creator, graph) {
-  const pathPrefix = '/share/submissions/';
+export async function createFromContent(
+  content,
+  creator,
+  graph,
+  format = 'ttl',
+  options = {}
+) {
+  const pathPrefix = stg.getDirectory('submissions');
   const buffer = Buffer.from(content);
   const fileSize = Buffer.byteLength(buffer);
-  const extension = 'ttl';
-
-  const filesData = await fil.create(
-    pathPrefix,
-    extension,
-    fileSize,
-    creator,
-    graph
-  );
-  await fs.writeFile(filesData.physicalFilePath, buffer, 'utf-8');
-  return filesData;
+  const { extension } = resolveFormat(format, buffer);
+  const hash = createHash(cts.HASH_ALGORITHM).update(buffer).digest('hex');
+  if (options.dedup) {
+    const duplicate = await findDuplicate(hash, graph);
+    if (duplicate) return duplicate;
+  }
+
+  return uow.run(async (step) => {
+    const filesData = await step(
+      () => fil.create(pathPrefix, extension, fileSize, creator, graph, hash),
+      removeCreated
+    );
+    await step(() => fs.writeFile(filesData.physicalFilePath, buffer));
+    return filesData;
+  });
+}
+
+/**
+ * Creates logical and physical file data in the triplestore and writes the contents of a readable stream to the generated path on physical storage. The contents are never held in memory as a whole, which makes this suitable for large files. The file size and hash are computed while writing and recorded in the triplestore afterwards. When writing the contents fails, the file data is removed from the triplestore again.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {stream} stream - A readable stream with the contents that will be written to the file. Contents are written as they are, so binary contents are fine.
+ * @param {namedNode} creator - The identifier for the service that creates this File.
+ * @param {namedNode} graph - The graph in which the file data is to be stored.
+ * @param {string} [format='ttl'] - The file extension (e.g. `pdf`) or MIME type (e.g. `application/pdf`) of the contents, as known in `FORMATS`.
+ * @param {object} [options]
+ * @param {boolean} [options.dedup=false] - When a file with identical contents already exists in the graph, the written file is removed again and the existing file is reused.
+ * @returns {object} Same object as received from `files.create`, extended with the file size in bytes as `fileSize`. When an existing file was reused, it describes that file and has `deduplicated: true`.
+ * @throws {Error} When the format is not known.
+ */
+export async function createFromStream(
+  stream,
+  creator,
+  graph,
+  format = 'ttl',
+  options = {}
+) {
+  const pathPrefix = stg.getDirectory('submissions');
+  const { extension } = fmt.resolve(format);
+
+  return uow.run(async (step) => {
+    const filesData = await step(
+      () => fil.create(pathPrefix, extension, 0, creator, graph),
+      removeCreated
+    );
+    const { fileSize, hash } = await step(() =>
+      writeStream(filesData.physicalFilePath, stream)
+    );
+    // The size and hash are only known after writing, so duplicates can only be dropped afterwards.
+    const duplicate = options.dedup && (await findDuplicate(hash, graph));
+    if (duplicate) {
+      await fs.rm(filesData.physicalFilePath, { force: true });
+      await fil.remove(filesData.logicalFile);
+      return duplicate;
+    }
+    await step(() => fil.update(filesData.logicalFile, fileSize, hash));
+    return { ...filesData, fileSize };
+  });
 }
 
 /**
@@ -53,11 +127,12 @@ export async function createFromContent(content, creator, graph) {
  * @async
  * @function
  * @param {namedNode} physicalFile - Represents the IRI of the physical file. Usually this translates almost directly to the location on physical storage.
- * @returns {string} Contents of the file as a string.
+ * @param {string|null} [encoding='utf-8'] - The encoding of the contents. Use `null` for binary files to get the contents as a buffer.
+ * @returns {string|buffer} Contents of the file as a string, or as a buffer when no encoding is given.
  */
-export async function loadFromPhysicalFile(physicalFile) {
-  const path = physicalFile.value.replace('share://', '/share/');
-  return fs.readFile(path, 'utf-8');
+export async function loadFromPhysicalFile(physicalFile, encoding = 'utf-8') {
+  const path = stg.toPath(physicalFile);
+  return fs.readFile(path, encoding === null ? undefined : encoding);
 }
 
 /**
@@ -67,12 +142,34 @@ export async function loadFromPhysicalFile(physicalFile) {
  * @async
  * @function
  * @param {namedNode} physicalFile - Represents the IRI of the physical file. Usually this translates almost directly to the location on physical storage.
+ * @param {string|null} [encoding='utf-8'] - The encoding of the contents. Use `null` for binary files to get a stream of buffers.
  * @returns {stream} A stream to access the contents of the file.
  */
-export async function loadStreamFromPhysicalFile(physicalFile) {
-  const path = physicalFile.value.replace('share://', '/share/');
+export async function loadStreamFromPhysicalFile(
+  physicalFile,
+  encoding = 'utf-8'
+) {
+  const path = stg.toPath(physicalFile);
   const fileHandle = await fs.open(path);
-  return fileHandle.createReadStream({ encoding: 'utf-8' });
+  return fileHandle.createReadStream({ encoding });
+}
+
+/**
+ * Supply the contents of a file, given by its logical file IRI, as a stream. The physical file is retreived from the triplestore.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} logicalFile - Represents the IRI of the logical file.
+ * @param {string|null} [encoding='utf-8'] - The encoding of the contents. Use `null` for binary files to get a stream of buffers.
+ * @returns {stream} A stream to access the contents of the file.
+ */
+export async function loadStreamFromLogicalFile(
+  logicalFile,
+  encoding = 'utf-8'
+) {
+  const physicalFile = await getPhysicalFile(logicalFile);
+  return loadStreamFromPhysicalFile(physicalFile, encoding);
 }
 
 /**
@@ -82,23 +179,16 @@ export async function loadStreamFromPhysicalFile(physicalFile) {
  * @async
  * @function
  * @param {namedNode} logicalFile - Represents the IRI of the logical file. The physical couterpart is retreived from the triplestore and the content is loaded from the path the physical file represents.
- * @returns {string} Contents of the file as a string.
+ * @param {string|null} [encoding='utf-8'] - The encoding of the contents. Use `null` for binary files to get the contents as a buffer.
+ * @returns {string|buffer} Contents of the file as a string, or as a buffer when no encoding is given.
  */
-export async function loadFromLogicalFile(logicalFile) {
-  const response = await mas.querySudo(`
-    ${cts.SPARQL_PREFIXES}
-    SELECT ?physicalFile WHERE {
-      ?physicalFile nie:dataSource ${rst.termToString(logicalFile)} .
-    } LIMIT 1
-  `);
-  const sparqlJsonParser = new sjp.SparqlJsonParser();
-  const parsedResults = sparqlJsonParser.parseJsonResults(response);
-  const physicalFile = parsedResults[0]?.physicalFile;
-  return loadFromPhysicalFile(physicalFile);
+export async function loadFromLogicalFile(logicalFile, encoding = 'utf-8') {
+  const physicalFile = await getPhysicalFile(logicalFile);
+  return loadFromPhysicalFile(physicalFile, encoding);
 }
 
 /**
- * Update the contents of a file given by its physical file IRI. This overwrites the contents on storage and updates the modification times and file size in the triplestore.
+ * Update the contents of a file given by its physical file IRI. This overwrites the contents on storage and updates the modification times and file size in the triplestore. When updating the triplestore fails, the previous contents are restored.
  *
  * @public
  * @async
@@ -108,24 +198,12 @@ export async function loadFromLogicalFile(logicalFile) {
  * @returns {undefined} Nothing
  */
 export async function updateContentForPhysicalFile(physicalFile, content) {
-  const path = physicalFile.value.replace('share://', '/share/');
-  const buffer = Buffer.from(content);
-  const fileSize = Buffer.byteLength(buffer);
-  const response = await mas.querySudo(`
-    ${cts.SPARQL_PREFIXES}
-    SELECT ?logicalFile WHERE {
-      ${rst.termToString(physicalFile)} nie:dataSource ?logicalFile .
-    } LIMIT 1
-  `);
-  const sparqlJsonParser = new sjp.SparqlJsonParser();
-  const parsedResults = sparqlJsonParser.parseJsonResults(response);
-  const logicalFile = parsedResults[0]?.logicalFile;
-  await fs.writeFile(path, buffer, 'utf-8');
-  return fil.update(logicalFile, fileSize);
+  const logicalFile = await getLogicalFile(physicalFile);
+  return writeContent(physicalFile, logicalFile, writeBuffer(content));
 }
 
 /**
- * Update the contents of a file given by its logical file IRI. This overwrites the contents on storage and updates the modification times and file size in the triplestore.
+ * Update the contents of a file given by its logical file IRI. This overwrites the contents on storage and updates the modification times and file size in the triplestore. When updating the triplestore fails, the previous contents are restored.
  *
  * @public
  * @async
@@ -135,24 +213,80 @@ export async function updateContentForPhysicalFile(physicalFile, content) {
  * @returns {undefined} Nothing
  */
 export async function updateContentForLogicalFile(logicalFile, content) {
-  const response = await mas.querySudo(`
-    ${cts.SPARQL_PREFIXES}
-    SELECT ?physicalFile WHERE {
-      ?physicalFile nie:dataSource ${rst.termToString(logicalFile)} .
-    } LIMIT 1
-  `);
-  const sparqlJsonParser = new sjp.SparqlJsonParser();
-  const parsedResults = sparqlJsonParser.parseJsonResults(response);
-  const physicalFile = parsedResults[0]?.physicalFile;
-  const path = physicalFile.value.replace('share://', '/share/');
-  const buffer = Buffer.from(content);
-  const fileSize = Buffer.byteLength(buffer);
-  await fs.writeFile(path, buffer, 'utf-8');
-  return fil.update(logicalFile, fileSize);
+  const physicalFile = await getPhysicalFile(logicalFile);
+  return writeContent(physicalFile, logicalFile, writeBuffer(content));
+}
+
+/**
+ * Update the contents of a file given by its physical file IRI with the contents of a readable stream. This overwrites the contents on storage and updates the modification times and file size in the triplestore. The file size is counted while writing. When writing or updating the triplestore fails, the previous contents are restored.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} physicalFile - Represents the IRI of the physical file you want to update. This usually translates almost directly to the location on physical storage.
+ * @param {stream} stream - A readable stream with the contents that will be written to the file.
+ * @returns {undefined} Nothing
+ */
+export async function updateStreamForPhysicalFile(physicalFile, stream) {
+  const logicalFile = await getLogicalFile(physicalFile);
+  return writeContent(physicalFile, logicalFile, (path) =>
+    writeStream(path, stream)
+  );
+}
+
+/**
+ * Update the contents of a file given by its logical file IRI with the contents of a readable stream. This overwrites the contents on storage and updates the modification times and file size in the triplestore. The file size is counted while writing. When writing or updating the triplestore fails, the previous contents are restored.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} logicalFile - Represents the IRI of the logical file you want to update. The physical couterpart will be retreived from the triplestore.
+ * @param {stream} stream - A readable stream with the contents that will be written to the file.
+ * @returns {undefined} Nothing
+ */
+export async function updateStreamForLogicalFile(logicalFile, stream) {
+  const physicalFile = await getPhysicalFile(logicalFile);
+  return writeContent(physicalFile, logicalFile, (path) =>
+    writeStream(path, stream)
+  );
+}
+
+/**
+ * Verify the integrity of a file given by its physical file IRI. The contents on physical storage are hashed again and compared with the hash stored in the triplestore.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} physicalFile - Represents the IRI of the physical file to verify.
+ * @returns { { valid: boolean, expected: string, actual: string } } Whether the contents are unchanged, with the stored and the computed hash.
+ * @throws {Error} When no hash is stored for the file, or when the file can not be read.
+ */
+export async function verifyPhysicalFile(physicalFile) {
+  const stored = await fil.getHash(physicalFile);
+  if (!stored)
+    throw new Error(`No content hash is stored for ${physicalFile.value}`);
+  const path = stg.toPath(physicalFile);
+  const actual = await hashFile(path, stored.algorithm);
+  return { valid: actual === stored.value, expected: stored.value, actual };
+}
+
+/**
+ * Verify the integrity of a file given by its logical file IRI. See {@link verifyPhysicalFile}.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} logicalFile - Represents the IRI of the logical file to verify. The physical couterpart is retreived from the triplestore.
+ * @returns { { valid: boolean, expected: string, actual: string } } Whether the contents are unchanged, with the stored and the computed hash.
+ * @throws {Error} When no hash is stored for the file, or when the file can not be read.
+ */
+export async function verifyLogicalFile(logicalFile) {
+  const physicalFile = await getPhysicalFile(logicalFile);
+  return verifyPhysicalFile(physicalFile);
 }
 
 /**
- * Remove a file on physical storage as well as from the triplestore.
+ * Remove a file on physical storage as well as from the triplestore. When removing the data from the triplestore fails, the file is restored on physical storage.
  *
  * @public
  * @async
@@ -161,22 +295,12 @@ export async function updateContentForLogicalFile(logicalFile, content) {
  * @returns {undefined} Nothing
  */
 export async function removeFromPhysicalFile(physicalFile) {
-  const response = await mas.querySudo(`
-    ${cts.SPARQL_PREFIXES}
-    SELECT ?logicalFile WHERE {
-      ${rst.termToString(physicalFile)} nie:dataSource ?logicalFile .
-    } LIMIT 1
-  `);
-  const sparqlJsonParser = new sjp.SparqlJsonParser();
-  const parsedResults = sparqlJsonParser.parseJsonResults(response);
-  const logicalFile = parsedResults[0]?.logicalFile;
-  const path = physicalFile.value.replace('share://', '/share/');
-  await fs.unlink(path);
-  return fil.remove(logicalFile);
+  const logicalFile = await getLogicalFile(physicalFile);
+  return removeFile(physicalFile, logicalFile);
 }
 
 /**
- * Remove a file on physical storage as well as from the triplestore.
+ * Remove a file on physical storage as well as from the triplestore. When removing the data from the triplestore fails, the file is restored on physical storage.
  *
  * @public
  * @async
@@ -185,7 +309,17 @@ export async function removeFromPhysicalFile(physicalFile) {
  * @returns {undefined} Nothing
  */
 export async function removeFromLogicalFile(logicalFile) {
-  const response = await mas.querySudo(`
+  const physicalFile = await getPhysicalFile(logicalFile);
+  return removeFile(physicalFile, logicalFile);
+}
+
+function resolveFormat(format, buffer) {
+  if (format !== 'auto') return fmt.resolve(format);
+  return fmt.detectFromContent(buffer) || fmt.resolve('ttl');
+}
+
+async function getPhysicalFile(logicalFile) {
+  const response = await spq.query(`
     ${cts.SPARQL_PREFIXES}
     SELECT ?physicalFile WHERE {
       ?physicalFile nie:dataSource ${rst.termToString(logicalFile)} .
@@ -193,8 +327,114 @@ export async function removeFromLogicalFile(logicalFile) {
   `);
   const sparqlJsonParser = new sjp.SparqlJsonParser();
   const parsedResults = sparqlJsonParser.parseJsonResults(response);
-  const physicalFile = parsedResults[0]?.physicalFile;
-  const path = physicalFile.value.replace('share://', '/share/');
-  await fs.unlink(path);
-  return fil.remove(logicalFile);
+  return parsedResults[0]?.physicalFile;
+}
+
+async function getLogicalFile(physicalFile) {
+  const response = await spq.query(`
+    ${cts.SPARQL_PREFIXES}
+    SELECT ?logicalFile WHERE {
+      ${rst.termToString(physicalFile)} nie:dataSource ?logicalFile .
+    } LIMIT 1
+  `);
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  const parsedResults = sparqlJsonParser.parseJsonResults(response);
+  return parsedResults[0]?.logicalFile;
+}
+
+// Also removes what was written when the write itself failed halfway, e.g. because the stream broke off.
+async function removeCreated(filesData) {
+  await fs.rm(filesData.physicalFilePath, { force: true });
+  await fil.remove(filesData.logicalFile);
+}
+
+// Keep the previous contents aside until the triplestore is updated, so they can be put back on failure. A file that is missing on storage is simply written. The `write` function writes the new contents to the given path and returns their size.
+async function writeContent(physicalFile, logicalFile, write) {
+  const path = stg.toPath(physicalFile);
+  const backupPath = `${path}.${uuid()}.bak`;
+  let backedUp = false;
+  await uow.run(async (step) => {
+    backedUp = await step(
+      () => moveAside(path, backupPath),
+      async (movedAside) => {
+        if (movedAside) await fs.rename(backupPath, path);
+      }
+    );
+    const { fileSize, hash } = await step(
+      () => write(path),
+      () => fs.rm(path, { force: true })
+    );
+    await step(() => fil.update(logicalFile, fileSize, hash));
+  });
+  if (backedUp) await fs.unlink(backupPath);
+}
+
+// Resolves to false when there is no file to move aside.
+async function moveAside(path, backupPath) {
+  try {
+    await fs.rename(path, backupPath);
+    return true;
+  } catch (exception) {
+    if (exception.code === 'ENOENT') return false;
+    throw exception;
+  }
+}
+
+function writeBuffer(content) {
+  const buffer = Buffer.from(content);
+  return async (path) => {
+    await fs.writeFile(path, buffer);
+    return {
+      fileSize: Buffer.byteLength(buffer),
+      hash: createHash(cts.HASH_ALGORITHM).update(buffer).digest('hex'),
+    };
+  };
+}
+
+// Count and hash the bytes as they pass, so the size and hash are known without reading the file again.
+async function writeStream(path, stream) {
+  let fileSize = 0;
+  const hasher = createHash(cts.HASH_ALGORITHM);
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      fileSize += Buffer.byteLength(chunk, encoding);
+      hasher.update(chunk, encoding);
+      callback(null, chunk);
+    },
+  });
+  await pipeline(stream, counter, createWriteStream(path));
+  return { fileSize, hash: hasher.digest('hex') };
+}
+
+async function hashFile(path, algorithm) {
+  const hasher = createHash(algorithm);
+  await pipeline(createReadStream(path), hasher);
+  return hasher.digest('hex');
+}
+
+// Only reuse files of which the contents are still on physical storage.
+async function findDuplicate(hash, graph) {
+  const existing = await fil.findByHash(hash, graph);
+  if (!existing) return undefined;
+  const physicalFilePath = stg.toPath(existing.physicalFile);
+  try {
+    await fs.access(physicalFilePath);
+  } catch {
+    return undefined;
+  }
+  return { ...existing, physicalFilePath, deduplicated: true };
+}
+
+// Move the file aside instead of deleting it, so it can be put back when removing the triples fails.
+async function removeFile(physicalFile, logicalFile) {
+  const path = stg.toPath(physicalFile);
+  const backupPath = `${path}.${uuid()}.bak`;
+  await uow.run(async (step) => {
+    await step(
+      () => fs.rename(path, backupPath),
+      () => fs.rename(backupPath, path)
+    );
+    await step(() => fil.remove(logicalFile));
+  });
+  await fs.unlink(backupPath);
 }
@@ -24,9 +24,44 @@ export async function updateStatus() {
   return jbt.updateStatus(...arguments);
 }
 
+/**
+ * @see {@link module:jobs.compareAndSetStatus}
+ */
+export async function compareAndSetStatus() {
+  return jbt.compareAndSetStatus(...arguments);
+}
+
+/**
+ * @see {@link module:jobs.cancel}
+ */
+export async function cancel() {
+  return jbt.cancel(...arguments);
+}
+
+/**
+ * @see {@link module:jobs.isCancelled}
+ */
+export async function isCancelled() {
+  return jbt.isCancelled(...arguments);
+}
+
 /**
  * @see {@link module:jobs.getStatusFromActivity}
  */
 export async function getStatusFromActivity() {
   return jbt.getStatusFromActivity(...arguments);
 }
+
+/**
+ * @see {@link module:jobs.get}
+ */
+export async function get() {
+  return jbt.get(...arguments);
+}
+
+/**
+ * @see {@link module:jobs.getTasks}
+ */
+export async function getTasks() {
+  return jbt.getTasks(...arguments);
+}
@@ -3,12 +3,16 @@
  * @description Retreive and set information about Submissions in the triplestore.
  */
 
-import * as mas from '@lblod/mu-auth-sudo';
+import * as spq from './sparql.js';
 import * as cts from './constants.js';
+import * as qbd from './queryBuilder.js';
+import * as lfc from './lifecycle.js';
+import * as rdo from './remoteDataObjects.js';
 import * as sjp from 'sparqljson-parse';
 import * as N3 from 'n3';
 import * as rst from 'rdf-string-ttl';
-const { literal } = N3.DataFactory;
+const { namedNode, literal, variable } = N3.DataFactory;
+const { sparql } = qbd;
 
 ////////////////////////////////////////////////////////////////////////////////
 // Submissions
@@ -28,6 +32,7 @@ export async function getSubmissionInfo(submission) {
     ${cts.SPARQL_PREFIXES}
     SELECT ?submission ?status ?documentUrl ?remoteDataObject ?physicalFile ?submittedDocument ?graph WHERE {
       GRAPH ?graph {
+        BIND ( ${rst.termToString(submission)} as ?submission )
         ?physicalFile
           nie:dataSource ?remoteDataObject .
         ?submission
@@ -35,10 +40,9 @@ export async function getSubmissionInfo(submission) {
           prov:atLocation ?documentUrl ;
           dct:subject ?submittedDocument ;
           adms:status ?status .
-        BIND ( ${rst.termToString(submission)} as ?submission )
       }
     } LIMIT 1`;
-  const response = await mas.querySudo(infoQuery);
+  const response = await spq.query(infoQuery);
   const sparqlJsonParser = new sjp.SparqlJsonParser();
   const parsedResults = sparqlJsonParser.parseJsonResults(response);
   return parsedResults[0];
@@ -68,7 +72,7 @@ export async function getSubmissionInfoFromRemoteDataObject(remoteDataObject) {
           dct:subject ?submittedDocument .
       }
     }`;
-  const response = await mas.querySudo(infoQuery);
+  const response = await spq.query(infoQuery);
   const sparqlJsonParser = new sjp.SparqlJsonParser();
   return sparqlJsonParser.parseJsonResults(response);
 }
@@ -99,7 +103,7 @@ export async function getSubmissionInfoFromTask(task) {
       }
     } LIMIT 1
   `;
-  const response = await mas.querySudo(infoQuery);
+  const response = await spq.query(infoQuery);
   const sparqlJsonParser = new sjp.SparqlJsonParser();
   const parsedResults = sparqlJsonParser.parseJsonResults(response);
   return parsedResults[0];
@@ -128,12 +132,211 @@ export async function getSubmissionInfoFromSubmissionDocumentId(id) {
       }
     } LIMIT 1
   `;
-  const response = await mas.querySudo(infoQuery);
+  const response = await spq.query(infoQuery);
   const sparqlJsonParser = new sjp.SparqlJsonParser();
   const parsedResults = sparqlJsonParser.parseJsonResults(response);
   return parsedResults[0];
 }
 
+////////////////////////////////////////////////////////////////////////////////
+// Submission lifecycle
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Check if a Submission is allowed to move from one status to another, according to `SUBMISSION_STATUS_TRANSITIONS`.
+ *
+ * @public
+ * @function
+ * @param {namedNode} from - The current status of the Submission.
+ * @param {namedNode} to - The requested status of the Submission.
+ * @returns {boolean} True when the transition is allowed.
+ */
+export function isValidSubmissionTransition(from, to) {
+  return !!cts.SUBMISSION_STATUS_TRANSITIONS[from.value]?.includes(to.value);
+}
+
+/**
+ * Update the status of a Submission after validating the transition. The status is only changed when the Submission still has the status it had at validation, so concurrent updates can not skip a step.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} submission - The Submission of which the status is to be updated.
+ * @param {namedNode} status - The new status, one of `SUBMISSION_STATUSES`.
+ * @returns {undefined} Nothing
+ * @throws {IllegalTransitionError} When the Submission can not move from its current status to the given status, or when its status changed during the update.
+ */
+export async function updateSubmissionStatus(submission, status) {
+  const current = await getSubmissionStatus(submission);
+  const illegal = () =>
+    new lfc.IllegalTransitionError(
+      `Submission ${submission.value} can not go from status ${current?.value} to ${status.value}`,
+      submission,
+      current,
+      status
+    );
+  if (!current || !isValidSubmissionTransition(current, status))
+    throw illegal();
+
+  const now = literal(new Date().toISOString(), namedNode(cts.TYPES.dateTime));
+  await spq.update(
+    qbd.deleteInsert(
+      [
+        qbd.graph(
+          variable('g'),
+          sparql`
+            ${submission}
+              adms:status ${current} ;
+              dct:modified ?oldModified .`
+        ),
+      ],
+      [
+        qbd.graph(
+          variable('g'),
+          sparql`
+            ${submission}
+              adms:status ${status} ;
+              dct:modified ${now} .`
+        ),
+      ],
+      [
+        qbd.graph(
+          variable('g'),
+          sparql`${submission} adms:status ${current} .`,
+          qbd.optional(sparql`${submission} dct:modified ?oldModified .`)
+        ),
+      ]
+    )
+  );
+  if (!(await getSubmissionStatus(submission))?.equals(status)) throw illegal();
+}
+
+/**
+ * Link the remote data object that represents the document to download to a Submission. The link is stored in the graph of the Submission.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} submission - The Submission.
+ * @param {namedNode} remoteDataObject - The remote data object for the document of the Submission.
+ * @returns {undefined} Nothing
+ */
+export async function attachRemoteDataObject(submission, remoteDataObject) {
+  await insertInSubmissionGraph(
+    submission,
+    sparql`${submission} nie:hasPart ${remoteDataObject} .`
+  );
+}
+
+/**
+ * Link the physical file that was downloaded for a Submission to the remote data object of that Submission, see {@link attachRemoteDataObject} and {@link module:remoteDataObjects.attachFile}.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} submission - The Submission.
+ * @param {namedNode} physicalFile - The downloaded physical file.
+ * @returns {undefined} Nothing
+ * @throws {Error} When the Submission has no remote data object.
+ */
+export async function attachDownloadedFile(submission, physicalFile) {
+  const response = await spq.query(
+    qbd.select(
+      [variable('remoteDataObject')],
+      [
+        qbd.graph(
+          variable('g'),
+          sparql`${submission} nie:hasPart ?remoteDataObject .`
+        ),
+      ],
+      { limit: 1 }
+    )
+  );
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  const remoteDataObject =
+    sparqlJsonParser.parseJsonResults(response)[0]?.remoteDataObject;
+  if (!remoteDataObject)
+    throw new Error(
+      `Submission ${submission.value} has no remote data object to attach a file to`
+    );
+  await rdo.attachFile(remoteDataObject, physicalFile);
+}
+
+/**
+ * Link the Submission Document to a Submission, replacing the Submission Document it was linked to before.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} submission - The Submission.
+ * @param {namedNode} submittedDocument - The Submission Document.
+ * @returns {undefined} Nothing
+ */
+export async function linkSubmittedDocument(submission, submittedDocument) {
+  await spq.update(
+    qbd.deleteInsert(
+      [
+        qbd.graph(
+          variable('g'),
+          sparql`${submission} dct:subject ?oldDocument .`
+        ),
+      ],
+      [
+        qbd.graph(
+          variable('g'),
+          sparql`${submission} dct:subject ${submittedDocument} .`
+        ),
+      ],
+      [
+        qbd.graph(
+          variable('g'),
+          sparql`${submission} adms:status ?status .`,
+          qbd.optional(sparql`${submission} dct:subject ?oldDocument .`)
+        ),
+      ]
+    )
+  );
+}
+
+/**
+ * Record that a Job processed a Submission. The Job is linked the same way as the activity of a Job from {@link module:jobs.create}, so {@link getSubmissionInfoFromTask} finds the Submission for the Tasks of this Job.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} submission - The Submission.
+ * @param {namedNode} job - The Job that processed the Submission.
+ * @returns {undefined} Nothing
+ */
+export async function linkProcessingJob(submission, job) {
+  await insertInSubmissionGraph(
+    submission,
+    sparql`${job} prov:generatedBy ${submission} .`
+  );
+}
+
+async function getSubmissionStatus(submission) {
+  const response = await spq.query(
+    qbd.select(
+      [variable('status')],
+      [qbd.graph(variable('g'), sparql`${submission} adms:status ?status .`)],
+      { limit: 1 }
+    )
+  );
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  return sparqlJsonParser.parseJsonResults(response)[0]?.status;
+}
+
+async function insertInSubmissionGraph(submission, triples) {
+  await spq.update(
+    qbd.deleteInsert(
+      [],
+      [qbd.graph(variable('g'), triples)],
+      [qbd.graph(variable('g'), sparql`${submission} adms:status ?status .`)]
+    )
+  );
+}
+
 ////////////////////////////////////////////////////////////////////////////////
 // Submission Documents
 ////////////////////////////////////////////////////////////////////////////////
@@ -162,7 +365,7 @@ export async function getSubmissionDocumentFromTask(task) {
     } LIMIT 1
   `;
 
-  const response = await mas.querySudo(infoQuery);
+  const response = await spq.query(infoQuery);
   const sparqlJsonParser = new sjp.SparqlJsonParser();
   const parsedResults = sparqlJsonParser.parseJsonResults(response);
   return parsedResults[0]?.submissionDocument;
@@ -192,7 +395,7 @@ export async function getSubmissionDocumentInfoById(uuid) {
     } LIMIT 1
   `;
 
-  const response = await mas.querySudo(infoQuery);
+  const response = await spq.query(infoQuery);
   const sparqlJsonParser = new sjp.SparqlJsonParser();
   const parsedResults = sparqlJsonParser.parseJsonResults(response);
   return parsedResults[0];
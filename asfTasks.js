@@ -3,7 +3,7 @@
  * @description Create and update tasks in the triplestore, more specifically tailored for the automatic-submission-flow.
  */
 
-import * as mas from '@lblod/mu-auth-sudo';
+import * as spq from './sparql.js';
 import * as cts from './constants.js';
 import * as tsk from './tasks.js';
 import * as sjp from 'sparqljson-parse';
@@ -23,6 +23,48 @@ export async function updateStatus() {
   return tsk.updateStatus(...arguments);
 }
 
+/**
+ * @see {@link module:tasks.createBatch}
+ */
+export async function createBatch() {
+  return tsk.createBatch(...arguments);
+}
+
+/**
+ * @see {@link module:tasks.updateStatusBatch}
+ */
+export async function updateStatusBatch() {
+  return tsk.updateStatusBatch(...arguments);
+}
+
+/**
+ * @see {@link module:tasks.compareAndSetStatus}
+ */
+export async function compareAndSetStatus() {
+  return tsk.compareAndSetStatus(...arguments);
+}
+
+/**
+ * @see {@link module:tasks.claim}
+ */
+export async function claim() {
+  return tsk.claim(...arguments);
+}
+
+/**
+ * @see {@link module:tasks.updateProgress}
+ */
+export async function updateProgress() {
+  return tsk.updateProgress(...arguments);
+}
+
+/**
+ * @see {@link module:tasks.get}
+ */
+export async function get() {
+  return tsk.get(...arguments);
+}
+
 /**
  * Get some information about a task starting from a given remote data object that should be related to a single task.
  *
@@ -30,7 +72,7 @@ export async function updateStatus() {
  * @async
  * @function
  * @param {namedNode} remoteDataObject - Represents the IRI of the remote data object where a single task should be related to.
- * @returns {object} A JavaScript object with the following information about the Task: `{namedNode} task`, `{namedNode} job`, `{namedNode} status`, `{namedNode} submissionGraph`, `{namedNode} [file]` and `{namedNode} [errorMsg]`, or `undefined` when no Task was found.
+ * @returns {object} A JavaScript object with the following information about the Task: `{namedNode} task`, `{namedNode} job`, `{namedNode} status`, `{namedNode} submissionGraph`, `{namedNode} [file]` and `{namedNode} [errorMsg]`. Despite its name, `errorMsg` is not a message but the Error entity that is linked to the remote data object with `ext:cacheError` when its download failed, see {@link module:remoteDataObjects.fail}. Returns `undefined` when no Task was found.
  */
 export async function getTaskInfoFromRemoteDataObject(remoteDataObject) {
   const remoteDataObjectUriSparql = rst.termToString(remoteDataObject);
@@ -50,7 +92,7 @@ export async function getTaskInfoFromRemoteDataObject(remoteDataObject) {
       OPTIONAL { ${remoteDataObjectUriSparql} ext:cacheError ?errorMsg . }
     }
     LIMIT 1`;
-  const response = await mas.querySudo(taskQuery);
+  const response = await spq.query(taskQuery);
   const sparqlJsonParser = new sjp.SparqlJsonParser();
   const parsedResults = sparqlJsonParser.parseJsonResults(response);
   return parsedResults[0];
@@ -74,7 +116,7 @@ export async function getInputFilesFromTask(task) {
       ?inputContainer
         task:hasFile ?file .
     }`;
-  const response = await mas.querySudo(fileQuery);
+  const response = await spq.query(fileQuery);
   const sparqlJsonParser = new sjp.SparqlJsonParser();
   const parsedResults = sparqlJsonParser.parseJsonResults(response);
   return parsedResults.map((f) => f.file);
@@ -0,0 +1,307 @@
+/**
+ * @module authentication
+ * @description Attach authentication configurations to Submissions and remote data objects, for documents that can only be downloaded with credentials. Basic authentication and OAuth2 client credentials are supported. The configuration is stored next to the resource, but its secrets are kept in the separate `GRAPHS.secrets` graph, so they can be protected and removed on their own once the Job has finished.
+ */
+
+import { v4 as uuid } from 'uuid';
+import * as spq from './sparql.js';
+import * as cts from './constants.js';
+import * as qbd from './queryBuilder.js';
+import * as N3 from 'n3';
+import * as sjp from 'sparqljson-parse';
+const { namedNode, literal, variable, quad } = N3.DataFactory;
+const { sparql } = qbd;
+
+/**
+ * Attach an authentication configuration to a Submission or remote data object, replacing the configuration it had before. The configuration is stored in the graph of the resource and the secrets in `GRAPHS.secrets`.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} resource - The Submission or remote data object.
+ * @param {object} configuration - Either `{ type: 'basic', username: string, password: string }` or `{ type: 'oauth2', clientId: string, clientSecret: string, tokenUrl: string }`.
+ * @returns {namedNode} The IRI of the authentication configuration.
+ * @throws {Error} When the type of the configuration is unknown, or the resource could not be found.
+ */
+export async function attach(resource, configuration) {
+  const predicate = (prefix, name) =>
+    namedNode(`${cts.PREFIX_TABLE[prefix]}${name}`);
+  let schemeTriples;
+  let secretTriples;
+  switch (configuration.type) {
+    case 'basic':
+      schemeTriples = [];
+      secretTriples = [
+        [
+          predicate('rdf', 'type'),
+          predicate('dgftSec', 'BasicAuthenticationCredentials'),
+        ],
+        [predicate('meb', 'username'), literal(configuration.username)],
+        [predicate('muAccount', 'password'), literal(configuration.password)],
+      ];
+      break;
+    case 'oauth2':
+      schemeTriples = [
+        [predicate('wotSec', 'token'), namedNode(configuration.tokenUrl)],
+        [predicate('wotSec', 'flow'), literal('client_credentials')],
+      ];
+      secretTriples = [
+        [predicate('rdf', 'type'), predicate('dgftSec', 'OAuth2Credentials')],
+        [predicate('dgftOauth', 'clientId'), literal(configuration.clientId)],
+        [
+          predicate('dgftOauth', 'clientSecret'),
+          literal(configuration.clientSecret),
+        ],
+      ];
+      break;
+    default:
+      throw new Error(
+        `Unknown authentication type '${
+          configuration.type
+        }', expected one of ${Object.keys(cts.AUTHENTICATION_TYPES).join(', ')}`
+      );
+  }
+
+  const graph = await getGraph(resource);
+  if (!graph) throw new Error(`Resource ${resource.value} could not be found`);
+  await remove(resource);
+
+  const mint = (base) => {
+    const id = literal(uuid());
+    return { id, node: namedNode(cts.BASE_TABLE[base].concat(id.value)) };
+  };
+  const authConf = mint('authenticationConfiguration');
+  const scheme = mint('securityConfiguration');
+  const secret = mint('secret');
+  const secretsGraph = namedNode(cts.GRAPHS.secrets);
+  const quads = [
+    quad(
+      resource,
+      predicate('dgftSec', 'targetAuthenticationConfiguration'),
+      authConf.node,
+      graph
+    ),
+    quad(authConf.node, predicate('mu', 'uuid'), authConf.id, graph),
+    quad(
+      authConf.node,
+      predicate('dgftSec', 'securityConfiguration'),
+      scheme.node,
+      graph
+    ),
+    quad(
+      scheme.node,
+      predicate('rdf', 'type'),
+      namedNode(cts.AUTHENTICATION_TYPES[configuration.type]),
+      graph
+    ),
+    quad(scheme.node, predicate('mu', 'uuid'), scheme.id, graph),
+    ...schemeTriples.map(([p, o]) => quad(scheme.node, p, o, graph)),
+    quad(
+      authConf.node,
+      predicate('dgftSec', 'secrets'),
+      secret.node,
+      secretsGraph
+    ),
+    quad(secret.node, predicate('mu', 'uuid'), secret.id, secretsGraph),
+    ...secretTriples.map(([p, o]) => quad(secret.node, p, o, secretsGraph)),
+  ];
+  await spq.update(qbd.insertData(quads));
+  return authConf.node;
+}
+
+/**
+ * Get the authentication configuration of a Submission or remote data object, including its secrets.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} resource - The Submission or remote data object.
+ * @returns {object} An object with the structure `{ configuration: namedNode, type: string, username: string, password: string, clientId: string, clientSecret: string, tokenUrl: string }`, where the type is a key of `AUTHENTICATION_TYPES`. Only the properties of that type are set, and the secrets are `undefined` once they have been removed. Returns `undefined` when the resource has no authentication configuration.
+ */
+export async function get(resource) {
+  const response = await spq.query(
+    qbd.select(
+      [
+        'configuration',
+        'scheme',
+        'tokenUrl',
+        'username',
+        'password',
+        'clientId',
+        'clientSecret',
+      ].map((name) => variable(name)),
+      [
+        qbd.graph(
+          variable('g'),
+          sparql`
+            ${resource} dgftSec:targetAuthenticationConfiguration ?configuration .
+            ?configuration dgftSec:securityConfiguration ?schemeConfiguration .
+            ?schemeConfiguration a ?scheme .`,
+          qbd.optional(sparql`?schemeConfiguration wotSec:token ?tokenUrl .`)
+        ),
+        qbd.values(
+          variable('scheme'),
+          Object.values(cts.AUTHENTICATION_TYPES).map((type) => namedNode(type))
+        ),
+        qbd.optional(
+          qbd.graph(
+            namedNode(cts.GRAPHS.secrets),
+            sparql`?configuration dgftSec:secrets ?secret .`,
+            qbd.optional(sparql`?secret meb:username ?username .`),
+            qbd.optional(sparql`?secret muAccount:password ?password .`),
+            qbd.optional(sparql`?secret dgftOauth:clientId ?clientId .`),
+            qbd.optional(sparql`?secret dgftOauth:clientSecret ?clientSecret .`)
+          )
+        ),
+      ],
+      { limit: 1 }
+    )
+  );
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  const result = sparqlJsonParser.parseJsonResults(response)[0];
+  if (!result) return undefined;
+  const type = Object.keys(cts.AUTHENTICATION_TYPES).find(
+    (key) => cts.AUTHENTICATION_TYPES[key] === result.scheme.value
+  );
+  if (type === 'basic')
+    return {
+      configuration: result.configuration,
+      type,
+      username: result.username?.value,
+      password: result.password?.value,
+    };
+  return {
+    configuration: result.configuration,
+    type,
+    clientId: result.clientId?.value,
+    clientSecret: result.clientSecret?.value,
+    tokenUrl: result.tokenUrl?.value,
+  };
+}
+
+/**
+ * Remove only the secrets of the authentication configuration of a Submission or remote data object. The configuration itself is kept, so it remains known how the resource was downloaded.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} resource - The Submission or remote data object.
+ * @returns {undefined} Nothing
+ */
+export async function removeSecrets(resource) {
+  await removeSecretsFor([resource]);
+}
+
+/**
+ * Remove the authentication configuration of a Submission or remote data object, together with its secrets.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} resource - The Submission or remote data object.
+ * @returns {undefined} Nothing
+ */
+export async function remove(resource) {
+  await removeSecretsFor([resource]);
+  await spq.update(
+    qbd.deleteInsert(
+      [
+        qbd.graph(
+          variable('g'),
+          sparql`
+            ${resource} dgftSec:targetAuthenticationConfiguration ?configuration .
+            ?configuration ?configurationP ?configurationO .
+            ?schemeConfiguration ?schemeP ?schemeO .`
+        ),
+      ],
+      [],
+      [
+        qbd.graph(
+          variable('g'),
+          sparql`
+            ${resource} dgftSec:targetAuthenticationConfiguration ?configuration .
+            ?configuration ?configurationP ?configurationO .`,
+          qbd.optional(sparql`
+            ?configuration dgftSec:securityConfiguration ?schemeConfiguration .
+            ?schemeConfiguration ?schemeP ?schemeO .`)
+        ),
+      ]
+    )
+  );
+}
+
+/**
+ * Remove the secrets of the Submission a Job was created for, and of the remote data objects of that Submission. Called when a Job finishes (success, failed or cancelled), see {@link module:jobs.updateStatus}, and when a Task of the Job has run out of retries, see {@link module:retries.retry}.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} job - The Job that will not run anymore.
+ * @returns {undefined} Nothing
+ */
+export async function removeSecretsForJob(job) {
+  const response = await spq.query(
+    qbd.select(
+      [variable('resource')],
+      [
+        qbd.graph(variable('g'), sparql`${job} prov:generatedBy ?submission .`),
+        qbd.union(
+          [sparql`BIND(?submission AS ?resource)`],
+          [
+            qbd.graph(
+              variable('h'),
+              sparql`?submission nie:hasPart ?resource .`
+            ),
+          ]
+        ),
+      ],
+      { distinct: true }
+    )
+  );
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  const resources = sparqlJsonParser
+    .parseJsonResults(response)
+    .map((result) => result.resource);
+  if (resources.length) await removeSecretsFor(resources);
+}
+
+async function removeSecretsFor(resources) {
+  await spq.update(
+    qbd.deleteInsert(
+      [
+        qbd.graph(
+          namedNode(cts.GRAPHS.secrets),
+          sparql`
+            ?configuration dgftSec:secrets ?secret .
+            ?secret ?p ?o .`
+        ),
+      ],
+      [],
+      [
+        qbd.values(variable('resource'), resources),
+        qbd.graph(
+          variable('g'),
+          sparql`?resource dgftSec:targetAuthenticationConfiguration ?configuration .`
+        ),
+        qbd.graph(
+          namedNode(cts.GRAPHS.secrets),
+          sparql`
+            ?configuration dgftSec:secrets ?secret .
+            ?secret ?p ?o .`
+        ),
+      ]
+    )
+  );
+}
+
+async function getGraph(resource) {
+  const response = await spq.query(
+    qbd.select(
+      [variable('g')],
+      [qbd.graph(variable('g'), sparql`${resource} a ?type .`)],
+      { limit: 1 }
+    )
+  );
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  return sparqlJsonParser.parseJsonResults(response)[0]?.g;
+}
@@ -0,0 +1,193 @@
+/**
+ * @module concurrency
+ * @description Update statuses with optimistic concurrency control. A status is only changed when it still has the expected value, so that several instances of a service can react to the same delta messages without both acting on the same Job or Task. Every status change is recorded as a transition in the status history of the resource.
+ */
+
+import { v4 as uuid } from 'uuid';
+import * as spq from './sparql.js';
+import * as cts from './constants.js';
+import * as qbd from './queryBuilder.js';
+import * as mtr from './metrics.js';
+import * as N3 from 'n3';
+import * as sjp from 'sparqljson-parse';
+const { namedNode, literal, variable } = N3.DataFactory;
+const { sparql } = qbd;
+
+/**
+ * Change the status of Jobs, Tasks or remote data objects in a single update, and record the change as an `ext:StatusTransition` in their status history, see {@link module:lifecycle.getStatusHistory}. All status changes in this library go through here, so that the history is complete. Every changed resource gets a unique token, which is read back to tell which resources were changed by this call. A resource that did not match the expectations, or that was changed again by someone else in between, is left out of the result.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {array(namedNode)} resources - The Jobs, Tasks or remote data objects to update.
+ * @param {namedNode} status - The new status.
+ * @param {object} [options]
+ * @param {array(namedNode)} [options.expectedStatuses] - Only update resources that currently have one of these statuses. By default, resources in any status are updated.
+ * @param {Date|literal} [options.expectedModified] - Only update resources that were last modified at exactly this time.
+ * @param {namedNode} [options.error] - Only when the new status is to indicate failure or cancellation: link the resources to this error entity.
+ * @param {namedNode} [options.creator] - The identifier for the service that changes the status. Stored as the creator of the transitions.
+ * @param {Fragment} [options.deletes] - Extra triples to delete in the graph of a resource, using `?resource` for the resource.
+ * @param {Fragment} [options.inserts] - Extra triples to insert in the graph of a resource, using `?resource` for the resource.
+ * @param {array(quad|Fragment)} [options.conditions] - Extra patterns a resource has to match to be updated, using `?resource` for the resource.
+ * @param {integer} [options.maxResourcesPerQuery=BATCH_DEFAULTS.maxResourcesPerQuery] - The maximum number of resources to update per query.
+ * @returns {array(object)} The resources that were updated by this call, as objects with the structure `{ resource: namedNode, transition: namedNode }`, where `transition` is the recorded transition.
+ */
+export async function setStatus(resources, status, options = {}) {
+  const {
+    expectedStatuses,
+    expectedModified,
+    error,
+    creator,
+    deletes,
+    inserts,
+    conditions,
+    maxResourcesPerQuery = cts.BATCH_DEFAULTS.maxResourcesPerQuery,
+  } = options;
+  const time = new Date();
+  const attempts = resources.map((resource) => {
+    const transitionUuid = literal(uuid());
+    return {
+      resource,
+      transition: namedNode(
+        cts.BASE_TABLE.statusTransition.concat(transitionUuid.value)
+      ),
+      transitionUuid,
+      token: literal(uuid()),
+    };
+  });
+  const errorTriple =
+    cts.ERROR_STATUSES.includes(status.value) && error
+      ? sparql`?resource task:error ${error} .`
+      : sparql``;
+  const creatorTriple = creator
+    ? sparql`?transition dct:creator ${creator} .`
+    : sparql``;
+
+  const chunks = [];
+  for (let i = 0; i < attempts.length; i += maxResourcesPerQuery)
+    chunks.push(attempts.slice(i, i + maxResourcesPerQuery));
+  const results = [];
+  for (const chunk of chunks) {
+    const where = [
+      sparql`VALUES (?resource ?transition ?transitionUuid ?token) { ${chunk.map(
+        (attempt) =>
+          sparql`(${attempt.resource} ${attempt.transition} ${attempt.transitionUuid} ${attempt.token})`
+      )} }`,
+      qbd.graph(
+        variable('g'),
+        sparql`?resource adms:status ?oldStatus .`,
+        qbd.optional(sparql`?resource dct:modified ?oldModified .`),
+        qbd.optional(sparql`?resource ext:statusToken ?oldToken .`)
+      ),
+    ];
+    if (expectedStatuses)
+      where.push(qbd.values(variable('oldStatus'), expectedStatuses));
+    if (expectedModified)
+      where.push(
+        qbd.filter(sparql`?oldModified = ${toDateTime(expectedModified)}`)
+      );
+    where.push(...(conditions || []));
+
+    await spq.update(
+      qbd.deleteInsert(
+        [
+          qbd.graph(
+            variable('g'),
+            sparql`
+              ?resource
+                adms:status ?oldStatus ;
+                dct:modified ?oldModified ;
+                ext:statusToken ?oldToken .`,
+            deletes || sparql``
+          ),
+        ],
+        [
+          qbd.graph(
+            variable('g'),
+            sparql`
+              ?resource
+                adms:status ${status} ;
+                dct:modified ${time} ;
+                ext:statusToken ?token ;
+                ext:hasStatusTransition ?transition .
+              ?transition
+                a ext:StatusTransition ;
+                mu:uuid ?transitionUuid ;
+                ext:fromStatus ?oldStatus ;
+                ext:toStatus ${status} ;
+                dct:created ${time} .`,
+            creatorTriple,
+            errorTriple,
+            inserts || sparql``
+          ),
+        ],
+        where
+      )
+    );
+
+    const response = await spq.query(
+      qbd.select(
+        [variable('resource'), variable('token')],
+        [
+          qbd.values(
+            variable('resource'),
+            chunk.map((attempt) => attempt.resource)
+          ),
+          qbd.graph(variable('g'), sparql`?resource ext:statusToken ?token .`),
+        ]
+      )
+    );
+    const sparqlJsonParser = new sjp.SparqlJsonParser();
+    results.push(...sparqlJsonParser.parseJsonResults(response));
+  }
+
+  const won = attempts.filter((attempt) =>
+    results.some(
+      (result) =>
+        result.resource.equals(attempt.resource) &&
+        result.token.equals(attempt.token)
+    )
+  );
+  await mtr.recordTiming(
+    won.map((attempt) => attempt.resource),
+    status,
+    time
+  );
+  return won.map(({ resource, transition }) => ({ resource, transition }));
+}
+
+/**
+ * Change the status of a Job, Task or remote data object, but only when its current status (and optionally its modification time) matches what the caller expects. See {@link setStatus}.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} resource - The Job, Task or remote data object to update.
+ * @param {namedNode} expectedStatus - Only update when the resource currently has this status.
+ * @param {namedNode} status - The new status.
+ * @param {object} [options]
+ * @param {Date|literal} [options.expectedModified] - Only update when the resource was last modified at exactly this time, e.g. the `modified` from {@link module:tasks.get}.
+ * @param {namedNode} [options.error] - Only when the new status is to indicate failure or cancellation: link the resource to this error entity.
+ * @param {namedNode} [options.creator] - The identifier for the service that changes the status. Stored in the status history.
+ * @returns {boolean} True when the status was updated by this call, false when the resource did not match the expectations.
+ */
+export async function compareAndSetStatus(
+  resource,
+  expectedStatus,
+  status,
+  options = {}
+) {
+  const won = await setStatus([resource], status, {
+    expectedModified: options.expectedModified,
+    error: options.error,
+    creator: options.creator,
+    expectedStatuses: [expectedStatus],
+  });
+  return won.length > 0;
+}
+
+function toDateTime(date) {
+  if (date instanceof Date)
+    return literal(date.toISOString(), namedNode(cts.TYPES.dateTime));
+  return date;
+}
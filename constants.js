@@ -41,11 +41,13 @@ export const PREFIX_TABLE = {
 
 export const GRAPHS = {
   error: 'http://mu.semte.ch/graphs/error',
+  secrets: 'http://mu.semte.ch/graphs/secrets',
 };
 
 export const PREDICATE_TABLE = {
   adms_status: `${PREFIX_TABLE.adms}status`,
   task_operation: `${PREFIX_TABLE.task}operation`,
+  rdf_type: `${PREFIX_TABLE.rdf}type`,
 };
 
 export const BASE_TABLE = {
@@ -56,7 +58,12 @@ export const BASE_TABLE = {
   inputContainer: PREFIX_TABLE.asj,
   harvestingCollection: PREFIX_TABLE.asj,
   remoteDataObject: 'http://data.lblod.info/id/remote-data-objects/',
+  requestHeader: 'http://data.lblod.info/id/request-headers/',
+  authenticationConfiguration: 'http://data.lblod.info/authentications/',
+  securityConfiguration: 'http://data.lblod.info/id/security-configurations/',
+  secret: 'http://data.lblod.info/secrets/',
   file: PREFIX_TABLE.asj,
+  statusTransition: PREFIX_TABLE.asj,
 };
 
 export const DOWNLOAD_STATUSES = {
@@ -65,22 +72,97 @@ export const DOWNLOAD_STATUSES = {
   success: 'http://lblod.data.gift/file-download-statuses/success',
   failure: 'http://lblod.data.gift/file-download-statuses/failure',
 };
+export const AUTHENTICATION_TYPES = {
+  basic: `${PREFIX_TABLE.wotSec}BasicSecurityScheme`,
+  oauth2: `${PREFIX_TABLE.wotSec}OAuth2SecurityScheme`,
+};
+export const DOWNLOAD_STATUS_TRANSITIONS = {
+  [DOWNLOAD_STATUSES.scheduled]: [
+    DOWNLOAD_STATUSES.ongoing,
+    DOWNLOAD_STATUSES.failure,
+  ],
+  [DOWNLOAD_STATUSES.ongoing]: [
+    DOWNLOAD_STATUSES.success,
+    DOWNLOAD_STATUSES.failure,
+  ],
+  [DOWNLOAD_STATUSES.success]: [],
+  [DOWNLOAD_STATUSES.failure]: [DOWNLOAD_STATUSES.scheduled],
+};
 export const TASK_STATUSES = {
   scheduled: `${PREFIX_TABLE.js}scheduled`,
   busy: `${PREFIX_TABLE.js}busy`,
   success: `${PREFIX_TABLE.js}success`,
   failed: `${PREFIX_TABLE.js}failed`,
+  cancelled: `${PREFIX_TABLE.js}cancelled`,
 };
 export const JOB_STATUSES = {
   busy: `${PREFIX_TABLE.js}busy`,
   success: `${PREFIX_TABLE.js}success`,
   failed: `${PREFIX_TABLE.js}failed`,
+  cancelled: `${PREFIX_TABLE.js}cancelled`,
+};
+// The statuses for which a Job or Task can be linked to an error with `task:error`.
+export const ERROR_STATUSES = [JOB_STATUSES.failed, JOB_STATUSES.cancelled];
+export const TASK_STATUS_TRANSITIONS = {
+  [TASK_STATUSES.scheduled]: [
+    TASK_STATUSES.busy,
+    TASK_STATUSES.failed,
+    TASK_STATUSES.cancelled,
+  ],
+  [TASK_STATUSES.busy]: [
+    TASK_STATUSES.success,
+    TASK_STATUSES.failed,
+    TASK_STATUSES.cancelled,
+  ],
+  [TASK_STATUSES.success]: [],
+  [TASK_STATUSES.failed]: [TASK_STATUSES.scheduled],
+  [TASK_STATUSES.cancelled]: [],
+};
+export const JOB_STATUS_TRANSITIONS = {
+  [JOB_STATUSES.busy]: [
+    JOB_STATUSES.success,
+    JOB_STATUSES.failed,
+    JOB_STATUSES.cancelled,
+  ],
+  [JOB_STATUSES.success]: [],
+  [JOB_STATUSES.failed]: [JOB_STATUSES.busy],
+  [JOB_STATUSES.cancelled]: [],
+};
+export const RETRY_DEFAULTS = {
+  maxAttempts: 3,
+  initialDelay: 60 * 1000,
+  backoffFactor: 2,
+  maxDelay: 60 * 60 * 1000,
 };
 export const SUBMISSION_STATUSES = {
   concept:
     'http://lblod.data.gift/concepts/79a52da4-f491-4e2f-9374-89a13cde8ecd',
   submittable:
     'http://lblod.data.gift/concepts/f6330856-e261-430f-b949-8e510d20d0ff',
+  sent: 'http://lblod.data.gift/concepts/9bd8d86d-bb10-4456-a84e-91e9507c374c',
+};
+export const SUBMISSION_STATUS_TRANSITIONS = {
+  [SUBMISSION_STATUSES.concept]: [SUBMISSION_STATUSES.submittable],
+  [SUBMISSION_STATUSES.submittable]: [SUBMISSION_STATUSES.sent],
+  [SUBMISSION_STATUSES.sent]: [],
+};
+
+export const ERROR_SEVERITIES = {
+  info: 'http://lblod.data.gift/concepts/error-severities/info',
+  warning: 'http://lblod.data.gift/concepts/error-severities/warning',
+  error: 'http://lblod.data.gift/concepts/error-severities/error',
+  fatal: 'http://lblod.data.gift/concepts/error-severities/fatal',
+};
+export const ERROR_CODES = {
+  unknown: 'http://lblod.data.gift/concepts/error-codes/unknown',
+  network: 'http://lblod.data.gift/concepts/error-codes/network',
+  notFound: 'http://lblod.data.gift/concepts/error-codes/not-found',
+  unauthorized: 'http://lblod.data.gift/concepts/error-codes/unauthorized',
+  timeout: 'http://lblod.data.gift/concepts/error-codes/timeout',
+  parse: 'http://lblod.data.gift/concepts/error-codes/parse',
+  validation: 'http://lblod.data.gift/concepts/error-codes/validation',
+  storage: 'http://lblod.data.gift/concepts/error-codes/storage',
+  database: 'http://lblod.data.gift/concepts/error-codes/database',
 };
 
 export const SERVICES = {
@@ -88,6 +170,7 @@ export const SERVICES = {
   importSubmision: `${PREFIX_TABLE.services}import-submission-service`,
   enrichSubmission: `${PREFIX_TABLE.services}enrich-submission-service`,
   validateSubmission: `${PREFIX_TABLE.services}validate-submission-service`,
+  downloadUrl: `${PREFIX_TABLE.services}download-url-service`,
 };
 
 export const OPERATIONS = {
@@ -103,8 +186,76 @@ export const COGS_OPERATIONS = {
   webServiceLookup: `${PREFIX_TABLE.cogs}WebServiceLookup`,
 };
 
+export const PIPELINES = {
+  [OPERATIONS.automaticSubmissionFlow]: [
+    {
+      operation: OPERATIONS.register,
+      service: SERVICES.automaticSubmission,
+      cogsOperation: COGS_OPERATIONS.webServiceLookup,
+    },
+    {
+      operation: OPERATIONS.download,
+      service: SERVICES.downloadUrl,
+      cogsOperation: COGS_OPERATIONS.webServiceLookup,
+    },
+    {
+      operation: OPERATIONS.import,
+      service: SERVICES.importSubmision,
+      cogsOperation: COGS_OPERATIONS.transformation,
+    },
+    {
+      operation: OPERATIONS.enrich,
+      service: SERVICES.enrichSubmission,
+      cogsOperation: COGS_OPERATIONS.transformation,
+    },
+    {
+      operation: OPERATIONS.validate,
+      service: SERVICES.validateSubmission,
+      cogsOperation: COGS_OPERATIONS.transformation,
+    },
+  ],
+};
+
 export const FORMATS = {
   ttl: 'text/turtle',
+  nt: 'application/n-triples',
+  nq: 'application/n-quads',
+  trig: 'application/trig',
+  jsonld: 'application/ld+json',
+  json: 'application/json',
+  html: 'text/html',
+  xml: 'application/xml',
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  bin: 'application/octet-stream',
+};
+
+export const BATCH_DEFAULTS = {
+  maxTriplesPerQuery: 1000,
+  maxResourcesPerQuery: 100,
+};
+
+export const HASH_ALGORITHM = 'sha256';
+
+export const STORAGE_DEFAULTS = {
+  root: '/share/',
+  fileDownloadRoot: null,
+  scheme: 'share://',
+  directories: {
+    submissions: 'submissions/',
+    quarantine: 'quarantine/',
+  },
+};
+
+export const GARBAGE_COLLECTION_DEFAULTS = {
+  dryRun: true,
+  action: 'quarantine',
+  gracePeriod: 24 * 60 * 60 * 1000,
+};
+
+export const WATCHDOG_DEFAULTS = {
+  timeout: 60 * 60 * 1000,
+  timeouts: {},
 };
 
 export const TYPES = {
@@ -113,6 +264,15 @@ export const TYPES = {
   integer: `${PREFIX_TABLE.xsd}integer`,
 };
 
+// Prefixes that equal an IRI scheme would be confused with absolute IRIs by JSON-LD.
+export const JSONLD_CONTEXT = (() => {
+  const schemes = ['http', 'https', 'share', 'urn', 'mailto', 'file'];
+  const context = {};
+  for (const key in PREFIX_TABLE)
+    if (!schemes.includes(key)) context[key] = PREFIX_TABLE[key];
+  return context;
+})();
+
 export const SPARQL_PREFIXES = (() => {
   const all = [];
   for (const key in PREFIX_TABLE)
@@ -1,9 +1,16 @@
 /**
  * @module deltas
- * @description Filter delta messages from the delta-notifier.
+ * @description Filter delta messages from the delta-notifier, or parse them into changesets and dispatch them to handlers that are registered for patterns of triples.
  */
 
 import * as uti from './utils.js';
+import * as cts from './constants.js';
+import * as spq from './sparql.js';
+import * as qbd from './queryBuilder.js';
+import * as N3 from 'n3';
+import * as sjp from 'sparqljson-parse';
+const { variable } = N3.DataFactory;
+const { sparql } = qbd;
 
 /**
  * Get subjects after filtering the delta messages on a predicate and object.
@@ -81,3 +88,202 @@ export function getTriplesWithFunctions(
     .map(uti.parseSparqlJsonBindingQuad);
   return filtered;
 }
+
+/**
+ * Parse delta messages into changesets with RDFJS quads. Triples without a graph are put in the default graph.
+ *
+ * @public
+ * @function
+ * @param {array(object)} deltas - The delta messages to parse, in the typical delta message format with inserts, deletes, and arrays with objects with s-p-o properties.
+ * @returns {array(object)} An array of changesets with the structure `{ inserts: array(quad), deletes: array(quad) }`, in the same order as the delta messages.
+ */
+export function parse(deltas) {
+  return deltas.map((changeset) => ({
+    inserts: (changeset.inserts || []).map(uti.parseSparqlJsonBindingQuad),
+    deletes: (changeset.deletes || []).map(uti.parseSparqlJsonBindingQuad),
+  }));
+}
+
+/**
+ * Get all inserted triples from the delta messages as quads.
+ *
+ * @public
+ * @function
+ * @param {array(object)} deltas - The delta messages in the typical delta message format.
+ * @returns {array(quad)} The inserted triples of all changesets.
+ */
+export function getInserts(deltas) {
+  return parse(deltas).flatMap((changeset) => changeset.inserts);
+}
+
+/**
+ * Get all deleted triples from the delta messages as quads.
+ *
+ * @public
+ * @function
+ * @param {array(object)} deltas - The delta messages in the typical delta message format.
+ * @returns {array(quad)} The deleted triples of all changesets.
+ */
+export function getDeletes(deltas) {
+  return parse(deltas).flatMap((changeset) => changeset.deletes);
+}
+
+/**
+ * Get the unique subjects of deleted triples after filtering the delta messages on a predicate and object. This is the counterpart of {@link getSubjects} for deletes.
+ *
+ * @public
+ * @function
+ * @param {array(object)} deltas - The delta messages in the typical delta message format.
+ * @param {namedNode} predicate - Filter the deletes where the predicate matches this predicate.
+ * @param {namedNode} object - Filter the deletes where the object matches this object.
+ * @returns {array(namedNode)} The subjects of the matching deletes, without duplicates.
+ */
+export function getDeletedSubjects(deltas, predicate, object) {
+  return uniqueTerms(
+    getDeletes(deltas)
+      .filter((triple) => triple.predicate.equals(predicate))
+      .filter((triple) => triple.object.equals(object))
+      .map((triple) => triple.subject)
+  );
+}
+
+/**
+ * Remove duplicate terms from an array, keeping the first occurrence.
+ *
+ * @public
+ * @function
+ * @param {array(namedNode|blankNode|literal)} terms - The terms to deduplicate.
+ * @returns {array(namedNode|blankNode|literal)} The terms without duplicates, in their original order.
+ */
+export function uniqueTerms(terms) {
+  const seen = new Set();
+  return terms.filter((term) => {
+    const key = `${term.termType}|${term.value}|${term.datatype?.value}|${term.language}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Create a dispatcher to route delta messages to handlers. Handlers are registered for a pattern and are called at most once per dispatch, with all matching triples of all changesets and their unique subjects. Handlers are called one after the other in the order they were registered. When a handler fails, the remaining handlers are still called.
+ *
+ * A pattern can contain:
+ * * `subject`, `predicate`, `object` and `graph`: namedNodes (or other terms) a triple has to match.
+ * * `type`: the subject of a triple has to have this `rdf:type`, either in the triplestore or in the same kind of changes (inserts or deletes) of the same dispatch. The latter is needed for deletes of resources that have been removed entirely.
+ * * `operation`: `inserts` (default), `deletes` or `both`.
+ *
+ * E.g. `dispatcher.on({ predicate: namedNode(cts.PREDICATE_TABLE.adms_status), type: namedNode(`${cts.PREFIX_TABLE.task}Task`) }, handler)` calls `handler` with the Tasks of which the status has changed.
+ *
+ * @public
+ * @function
+ * @returns {object} A dispatcher with the functions `on(pattern, handler)` to register a handler and `dispatch(deltas)` to process delta messages. The handler is called as `await handler({ subjects: array(namedNode), inserts: array(quad), deletes: array(quad) })`. The async `dispatch` function resolves with the number of handlers that were called, or rejects with an `AggregateError` containing the errors of the failed handlers.
+ */
+export function createDispatcher() {
+  const registrations = [];
+  return {
+    on(pattern, handler) {
+      const operation = pattern.operation || 'inserts';
+      if (!['inserts', 'deletes', 'both'].includes(operation))
+        throw new Error(`Unknown delta operation '${operation}'`);
+      if (typeof handler !== 'function')
+        throw new TypeError('A delta handler must be a function');
+      registrations.push({ pattern: { ...pattern, operation }, handler });
+    },
+    async dispatch(deltas) {
+      const changesets = parse(deltas);
+      const inserts = changesets.flatMap((changeset) => changeset.inserts);
+      const deletes = changesets.flatMap((changeset) => changeset.deletes);
+      const errors = [];
+      let called = 0;
+      for (const { pattern, handler } of registrations) {
+        const matches = {
+          inserts:
+            pattern.operation === 'deletes'
+              ? []
+              : await match(inserts, pattern),
+          deletes:
+            pattern.operation === 'inserts'
+              ? []
+              : await match(deletes, pattern),
+        };
+        if (!matches.inserts.length && !matches.deletes.length) continue;
+        const subjects = uniqueTerms(
+          [...matches.inserts, ...matches.deletes].map(
+            (triple) => triple.subject
+          )
+        );
+        called++;
+        try {
+          await handler({ subjects, ...matches });
+        } catch (error) {
+          errors.push(error);
+        }
+      }
+      if (errors.length)
+        throw new AggregateError(
+          errors,
+          `${errors.length} delta handler(s) failed`
+        );
+      return called;
+    },
+  };
+}
+
+async function match(triples, pattern) {
+  const matching = triples.filter(
+    (triple) =>
+      (!pattern.subject || triple.subject.equals(pattern.subject)) &&
+      (!pattern.predicate || triple.predicate.equals(pattern.predicate)) &&
+      (!pattern.object || triple.object.equals(pattern.object)) &&
+      (!pattern.graph || triple.graph.equals(pattern.graph))
+  );
+  if (!pattern.type || !matching.length) return matching;
+  const rdfType = cts.PREDICATE_TABLE.rdf_type;
+  const typed = [
+    ...triples
+      .filter((triple) => triple.predicate.value === rdfType)
+      .filter((triple) => triple.object.equals(pattern.type))
+      .map((triple) => triple.subject),
+    ...(await getTypedSubjects(
+      uniqueTerms(matching.map((triple) => triple.subject)),
+      pattern.type
+    )),
+  ];
+  return matching.filter((triple) =>
+    typed.some((subject) => subject.equals(triple.subject))
+  );
+}
+
+async function getTypedSubjects(subjects, type) {
+  const candidates = subjects.filter(
+    (subject) => subject.termType === 'NamedNode'
+  );
+  const typed = [];
+  for (
+    let i = 0;
+    i < candidates.length;
+    i += cts.BATCH_DEFAULTS.maxResourcesPerQuery
+  ) {
+    const response = await spq.query(
+      qbd.select(
+        [variable('subject')],
+        [
+          qbd.values(
+            variable('subject'),
+            candidates.slice(i, i + cts.BATCH_DEFAULTS.maxResourcesPerQuery)
+          ),
+          qbd.graph(variable('g'), sparql`?subject a ${type} .`),
+        ],
+        { distinct: true }
+      )
+    );
+    const sparqlJsonParser = new sjp.SparqlJsonParser();
+    typed.push(
+      ...sparqlJsonParser
+        .parseJsonResults(response)
+        .map((result) => result.subject)
+    );
+  }
+  return typed;
+}
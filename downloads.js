@@ -0,0 +1,304 @@
+/**
+ * @module downloads
+ * @description Download the documents of remote data objects into storage, taking over the role of the download-url service in the flow. `file://` URLs are read from the local file system, but only inside the `fileDownloadRoot` from the storage configuration (see {@link module:storage.configure}). `http://` and `https://` URLs are fetched with a configurable HTTP client. Other URLs are refused.
+ */
+
+import { createReadStream } from 'node:fs';
+import { Buffer } from 'node:buffer';
+import { Readable } from 'node:stream';
+import * as spq from './sparql.js';
+import * as cts from './constants.js';
+import * as qbd from './queryBuilder.js';
+import * as tsk from './tasks.js';
+import * as jbt from './jobs.js';
+import * as jct from './jobController.js';
+import * as afl from './asfFiles.js';
+import * as fmt from './formats.js';
+import * as rdo from './remoteDataObjects.js';
+import * as ath from './authentication.js';
+import * as ers from './errors.js';
+import * as lfc from './lifecycle.js';
+import * as stg from './storage.js';
+import * as N3 from 'n3';
+import * as sjp from 'sparqljson-parse';
+const { namedNode, variable } = N3.DataFactory;
+const { sparql } = qbd;
+
+/**
+ * Thrown when the server does not answer a download request with a successful response.
+ *
+ * @public
+ * @class
+ * @param {string} message - Explains why the download failed.
+ * @param {string} url - The URL that was requested.
+ * @param {integer} status - The HTTP status code of the response.
+ */
+export class DownloadError extends Error {
+  constructor(message, url, status) {
+    super(message);
+    this.name = 'DownloadError';
+    this.url = url;
+    this.status = status;
+  }
+}
+
+const defaultHttpClient = (url, init) => fetch(url, init);
+
+let httpClient = defaultHttpClient;
+
+/**
+ * Set the HTTP client that will be used for all subsequent downloads, e.g. to add authentication or to test against a local stub.
+ *
+ * @public
+ * @function
+ * @param {function} newHttpClient - A function with the signature of `fetch`. It receives the URL and an object with the request `headers` (and `method` and `body` for token requests), and returns a response with `ok`, `status`, `statusText`, `headers.get()`, `json()` and a `body` that is either a web or a Node.js readable stream.
+ * @returns {undefined} Nothing
+ */
+export function setHttpClient(newHttpClient) {
+  if (typeof newHttpClient !== 'function')
+    throw new TypeError('An HTTP client needs to be a function.');
+  httpClient = newHttpClient;
+}
+
+/**
+ * Go back to using the global `fetch` as HTTP client.
+ *
+ * @public
+ * @function
+ * @returns {undefined} Nothing
+ */
+export function resetHttpClient() {
+  httpClient = defaultHttpClient;
+}
+
+/**
+ * Download the document of a remote data object into storage. The remote data object goes from scheduled to ongoing, and ends as success with the file attached, or as failure with an Error entity describing the problem. Its location is its `nie:url`, or otherwise the `prov:atLocation` of the Submission it is part of. The request headers stored on the remote data object are sent along, and so are credentials from the authentication configuration of the remote data object or its Submission (see {@link module:authentication}). For OAuth2 client credentials, an access token is requested first.
+ *
+ * The download is also tracked with a download Task. Either pass the Task that was scheduled for it, or the Job for which a new Task is to be created. The Task gets the remote data object in its input container and, on success, the downloaded logical file in its results container. The Task is claimed before the remote data object is moved from scheduled to ongoing with {@link module:remoteDataObjects.compareAndSetStatus}, so only one instance downloads a document.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} remoteDataObject - The remote data object to download.
+ * @param {namedNode} creator - The identifier for the service that downloads.
+ * @param {object} [options]
+ * @param {namedNode} [options.task] - An existing scheduled download Task, which is claimed with {@link module:tasks.claim} before downloading.
+ * @param {namedNode} [options.job] - When no Task is given: create a busy download Task as part of this Job.
+ * @returns { { remoteDataObject: namedNode, task: namedNode, logicalFile: namedNode, physicalFile: namedNode, fileSize: integer } } The downloaded file. The Task is `undefined` when neither a Task nor a Job was given.
+ * @throws {Error} When the download failed, after the failure has been recorded as well as possible. HTTP errors are thrown as {@link DownloadError}. `file://` URLs outside of the `fileDownloadRoot` are refused with a {@link module:storage.StoragePathError}. Other URLs than `file://`, `http://` and `https://` are refused as failed downloads too. A Task that is not scheduled is refused without changing anything.
+ * @throws {IllegalTransitionError} When the remote data object is not scheduled for download, e.g. because another instance is downloading it. The remote data object is left alone, but the download Task is failed.
+ */
+export async function download(remoteDataObject, creator, options = {}) {
+  const info = await rdo.get(remoteDataObject);
+  if (!info)
+    throw new Error(
+      `Remote data object ${remoteDataObject.value} could not be found`
+    );
+  let started = false;
+  let task;
+  try {
+    task = await startTask(remoteDataObject, creator, info.graph, options);
+    const scheduled = namedNode(cts.DOWNLOAD_STATUSES.scheduled);
+    const ongoing = namedNode(cts.DOWNLOAD_STATUSES.ongoing);
+    if (
+      !(await rdo.compareAndSetStatus(remoteDataObject, scheduled, ongoing, {
+        creator,
+      }))
+    )
+      throw new lfc.IllegalTransitionError(
+        `Remote data object ${remoteDataObject.value} is not scheduled for download`,
+        remoteDataObject,
+        (await rdo.get(remoteDataObject))?.status,
+        ongoing
+      );
+    started = true;
+    const submission = await getSubmission(remoteDataObject);
+    const url = info.url?.value || submission?.location?.value;
+    if (!url)
+      throw new Error(
+        `Remote data object ${remoteDataObject.value} has no location to download from`
+      );
+    const { stream, format } = await open(url, info.headers, () =>
+      getAuthorization(remoteDataObject, submission?.submission)
+    );
+    const fileData = await afl.createFromStream(
+      stream,
+      creator,
+      info.graph,
+      format
+    );
+    await rdo.attachFile(remoteDataObject, fileData.physicalFile);
+    await rdo.updateStatus(
+      remoteDataObject,
+      namedNode(cts.DOWNLOAD_STATUSES.success),
+      undefined,
+      { creator }
+    );
+    if (task)
+      await tsk.updateStatus(
+        task,
+        namedNode(cts.TASK_STATUSES.success),
+        creator,
+        { files: [fileData.logicalFile] }
+      );
+    return {
+      remoteDataObject,
+      task,
+      logicalFile: fileData.logicalFile,
+      physicalFile: fileData.physicalFile,
+      fileSize: fileData.fileSize,
+    };
+  } catch (exception) {
+    // A remote data object that was not set to ongoing here is left alone, it might be downloaded by someone else.
+    try {
+      let error;
+      if (started) error = await rdo.fail(remoteDataObject, creator, exception);
+      else if (task)
+        error = await ers.createFromException(creator, exception, {
+          references: [remoteDataObject],
+        });
+      if (task)
+        await tsk.updateStatus(
+          task,
+          namedNode(cts.TASK_STATUSES.failed),
+          creator,
+          undefined,
+          error
+        );
+    } catch {
+      // The reason of the failure matters more to the caller than the failure to record it.
+    }
+    throw exception;
+  }
+}
+
+async function startTask(remoteDataObject, creator, graph, options) {
+  if (options.task) {
+    if (!(await tsk.claim(options.task, creator)))
+      throw new Error(
+        `Download Task ${options.task.value} could not be claimed, it is not scheduled`
+      );
+    return options.task;
+  }
+  if (!options.job) return undefined;
+  const job = await jbt.get(options.job);
+  const pipeline = job && jct.getPipeline(job.operation);
+  const index = pipeline
+    ? pipeline.findIndex((step) => step.operation === cts.OPERATIONS.download)
+    : 0;
+  return tsk.create(
+    namedNode(cts.OPERATIONS.download),
+    creator,
+    namedNode(cts.TASK_STATUSES.busy),
+    Math.max(index, 0),
+    options.job,
+    { remoteDataObjects: [remoteDataObject] },
+    namedNode(cts.COGS_OPERATIONS.webServiceLookup),
+    job?.graph || graph
+  );
+}
+
+async function open(url, headers, authorize) {
+  const { protocol } = new URL(url);
+  if (protocol === 'file:') {
+    const filePath = await stg.toFileDownloadPath(url);
+    return {
+      stream: createReadStream(filePath),
+      format: formatFromName(filePath),
+    };
+  }
+  if (!['http:', 'https:'].includes(protocol))
+    throw new Error(
+      `Can not download ${url}, only file, http and https URLs are supported`
+    );
+  const authorization = await authorize();
+  const response = await httpClient(url, {
+    headers: authorization
+      ? { ...headers, Authorization: authorization }
+      : headers,
+  });
+  if (!response.ok)
+    throw new DownloadError(
+      `Downloading ${url} failed with status ${response.status} ${
+        response.statusText || ''
+      }`.trim(),
+      url,
+      response.status
+    );
+  const contentType = response.headers?.get('content-type');
+  const extension = contentType && fmt.getExtension(contentType);
+  return {
+    stream: toNodeStream(response.body),
+    format: extension || formatFromName(new URL(url).pathname),
+  };
+}
+
+function formatFromName(name) {
+  return fmt.detectFromFileName(name)?.extension || 'bin';
+}
+
+function toNodeStream(body) {
+  if (!body) return Readable.from([]);
+  if (typeof body.pipe === 'function') return body;
+  return Readable.fromWeb(body);
+}
+
+async function getSubmission(remoteDataObject) {
+  const response = await spq.query(
+    qbd.select(
+      [variable('submission'), variable('location')],
+      [
+        qbd.graph(
+          variable('g'),
+          sparql`?submission nie:hasPart ${remoteDataObject} .`,
+          qbd.optional(sparql`?submission prov:atLocation ?location .`)
+        ),
+      ],
+      { limit: 1 }
+    )
+  );
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  return sparqlJsonParser.parseJsonResults(response)[0];
+}
+
+// The authentication configuration of the remote data object takes precedence over the one of its Submission.
+async function getAuthorization(remoteDataObject, submission) {
+  const configuration =
+    (await ath.get(remoteDataObject)) ||
+    (submission && (await ath.get(submission)));
+  if (!configuration) return undefined;
+  if (configuration.type === 'basic') {
+    if (configuration.password === undefined)
+      throw new Error(
+        `The secrets of authentication configuration ${configuration.configuration.value} have been removed`
+      );
+    return basicAuthorization(configuration.username, configuration.password);
+  }
+  if (configuration.clientSecret === undefined)
+    throw new Error(
+      `The secrets of authentication configuration ${configuration.configuration.value} have been removed`
+    );
+  const response = await httpClient(configuration.tokenUrl, {
+    method: 'POST',
+    headers: {
+      Authorization: basicAuthorization(
+        configuration.clientId,
+        configuration.clientSecret
+      ),
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: 'grant_type=client_credentials',
+  });
+  if (!response.ok)
+    throw new DownloadError(
+      `Requesting an access token from ${configuration.tokenUrl} failed with status ${response.status}`,
+      configuration.tokenUrl,
+      response.status
+    );
+  const { access_token: accessToken } = await response.json();
+  return `Bearer ${accessToken}`;
+}
+
+function basicAuthorization(username, password) {
+  return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+}
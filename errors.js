@@ -1,14 +1,20 @@
 /**
  * @module errors
- * @description Manage storing errors to the triplestore.
+ * @description Manage storing errors to the triplestore, and querying, aggregating and purging them again.
  */
 
 import { v4 as uuid } from 'uuid';
-import * as mas from '@lblod/mu-auth-sudo';
+import * as spq from './sparql.js';
 import * as cts from './constants.js';
+import * as qbd from './queryBuilder.js';
 import * as N3 from 'n3';
+import * as sjp from 'sparqljson-parse';
 import * as rst from 'rdf-string-ttl';
-const { namedNode, literal } = N3.DataFactory;
+const { namedNode, literal, variable } = N3.DataFactory;
+const { sparql } = qbd;
+
+const DEFAULT_SUBJECT = 'Automatic Submission Service';
+const MAX_CAUSE_DEPTH = 10;
 
 /**
  * Create an Error and store it in the triplestore.
@@ -23,36 +29,404 @@ const { namedNode, literal } = N3.DataFactory;
  * @returns {namedNode} The IRI of the created Error.
  */
 export async function create(creator, message, detail, reference) {
+  return createExtended(creator, {
+    message,
+    detail,
+    references: reference ? [reference] : [],
+  });
+}
+
+/**
+ * Create an Error with extended information and store it in the triplestore.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} creator - The identifier for the service that creates this Error.
+ * @param {object} options - Describes the Error.
+ * @param {string} options.message - The message stored as the title for this Error.
+ * @param {string} [options.detail] - A much longer message explaining the error in more (technical) details.
+ * @param {string} [options.subject='Automatic Submission Service'] - A short description of where the Error originates from.
+ * @param {namedNode} [options.code] - A code from `ERROR_CODES` to classify the Error.
+ * @param {namedNode} [options.severity] - A severity from `ERROR_SEVERITIES`. Defaults to `ERROR_SEVERITIES.error`.
+ * @param {array(namedNode)} [options.references] - The IRIs of objects that are being referenced by this Error. This could be services, stored objects, ...
+ * @returns {namedNode} The IRI of the created Error.
+ */
+export async function createExtended(creator, options) {
+  const writer = new N3.Writer();
+  const error = addError(writer, creator, options);
+  await storeErrors(writer);
+  return error;
+}
+
+/**
+ * Create an Error from a JavaScript exception and store it in the triplestore. The name, message and stack trace of the exception are stored, and every exception in its `cause` chain is stored as a separate Error that is linked to from the Error it caused. This is meant to be called from a `catch` block.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} creator - The identifier for the service that creates this Error.
+ * @param {Error|any} exception - The caught exception. Values that are no `Error` are stored by their string representation.
+ * @param {object} [options] - Extra information for the top level Error, see {@link module:errors.createExtended}. The `message` defaults to the message of the exception, and the stack trace is only stored as `ext:stackTrace`, so no `detail` is stored unless it is given. The `subject` and `severity` are also used for the causes.
+ * @returns {namedNode} The IRI of the Error created for the exception itself.
+ */
+export async function createFromException(creator, exception, options = {}) {
+  const chain = [];
+  for (
+    let current = exception;
+    current !== undefined &&
+    current !== null &&
+    !chain.includes(current) &&
+    chain.length < MAX_CAUSE_DEPTH;
+    current = current instanceof Error ? current.cause : undefined
+  )
+    chain.push(current);
+
+  // Store the deepest cause first, so every Error can link to its cause.
+  const writer = new N3.Writer();
+  let cause;
+  for (let i = chain.length - 1; i >= 0; i--) {
+    const description = describeException(chain[i]);
+    const isTopLevel = i === 0;
+    cause = addError(writer, creator, {
+      subject: options.subject,
+      severity: options.severity,
+      ...description,
+      ...(isTopLevel ? withoutUndefined(options) : {}),
+      cause,
+    });
+  }
+  await storeErrors(writer);
+  return cause;
+}
+
+/**
+ * List stored Errors, newest first. All filters are optional and are combined.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {object} [filters] - Only list the Errors that match these filters.
+ * @param {namedNode} [filters.creator] - The service that created the Errors.
+ * @param {Date} [filters.from] - Only Errors created at or after this time.
+ * @param {Date} [filters.to] - Only Errors created before this time.
+ * @param {namedNode} [filters.reference] - An object that is referenced by the Errors.
+ * @param {string} [filters.messagePattern] - A (case insensitive) regular expression the message of the Errors must match.
+ * @param {object} [page] - Pagination of the results.
+ * @param {integer} [page.limit=100] - The maximum number of Errors to return.
+ * @param {integer} [page.offset=0] - The number of Errors to skip.
+ * @returns {array(object)} Objects with the structure `{ error: namedNode, uuid: string, message: string, detail: string, subject: string, created: Date, creator: namedNode, severity: namedNode, code: namedNode, cause: namedNode, references: array(namedNode) }`. Properties that are not set on an Error are `undefined`.
+ * @throws {TypeError} When the limit or offset is not a non-negative integer.
+ */
+export async function list(filters = {}, page = {}) {
+  const { limit = 100, offset = 0 } = page;
+  const response = await spq.query(
+    qbd.select(
+      [
+        'error',
+        'uuid',
+        'message',
+        'detail',
+        'subject',
+        'created',
+        'creator',
+        'severity',
+        'code',
+        'cause',
+      ].map(variable),
+      [
+        qbd.graph(
+          namedNode(cts.GRAPHS.error),
+          sparql`
+            ?error
+              a oslc:Error ;
+              oslc:message ?message ;
+              dct:created ?created .`,
+          qbd.optional(sparql`?error mu:uuid ?uuid .`),
+          qbd.optional(sparql`?error dct:subject ?subject .`),
+          qbd.optional(sparql`?error dct:creator ?creator .`),
+          qbd.optional(sparql`?error oslc:largePreview ?detail .`),
+          qbd.optional(sparql`?error ext:severity ?severity .`),
+          qbd.optional(sparql`?error ext:errorCode ?code .`),
+          qbd.optional(sparql`?error ext:causedBy ?cause .`),
+          filterPatterns(filters)
+        ),
+      ],
+      { orderBy: [qbd.desc(variable('created'))], limit, offset }
+    )
+  );
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  const parsedResults = sparqlJsonParser.parseJsonResults(response);
+  const references = await getReferences(parsedResults.map((r) => r.error));
+  return parsedResults.map((r) => ({
+    error: r.error,
+    uuid: r.uuid?.value,
+    message: r.message.value,
+    detail: r.detail?.value,
+    subject: r.subject?.value,
+    created: new Date(r.created.value),
+    creator: r.creator,
+    severity: r.severity,
+    code: r.code,
+    cause: r.cause,
+    references: references.get(r.error.value) || [],
+  }));
+}
+
+/**
+ * Count the stored Errors per service that created them.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {object} [filters] - Only count the Errors that match these filters, see {@link module:errors.list}.
+ * @returns {array(object)} Objects with the structure `{ creator: namedNode, count: integer }`, highest count first.
+ */
+export async function countByCreator(filters = {}) {
+  const response = await spq.query(`
+    ${cts.SPARQL_PREFIXES}
+    SELECT ?creator (COUNT(DISTINCT ?error) AS ?count) WHERE {
+      GRAPH ${rst.termToString(namedNode(cts.GRAPHS.error))} {
+        ?error
+          a oslc:Error ;
+          oslc:message ?message ;
+          dct:created ?created ;
+          dct:creator ?creator .
+        ${filterPatterns(filters)}
+      }
+    }
+    GROUP BY ?creator
+    ORDER BY DESC(?count)
+  `);
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  const parsedResults = sparqlJsonParser.parseJsonResults(response);
+  return parsedResults.map((r) => ({
+    creator: r.creator,
+    count: Number(r.count.value),
+  }));
+}
+
+/**
+ * Count the stored Errors per day they were created on.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {object} [filters] - Only count the Errors that match these filters, see {@link module:errors.list}.
+ * @returns {array(object)} Objects with the structure `{ day: string, count: integer }`, where the day is formatted as `YYYY-MM-DD` (UTC), oldest day first.
+ */
+export async function countByDay(filters = {}) {
+  const response = await spq.query(`
+    ${cts.SPARQL_PREFIXES}
+    SELECT ?day (COUNT(DISTINCT ?error) AS ?count) WHERE {
+      GRAPH ${rst.termToString(namedNode(cts.GRAPHS.error))} {
+        ?error
+          a oslc:Error ;
+          oslc:message ?message ;
+          dct:created ?created .
+        ${filterPatterns(filters)}
+        BIND (SUBSTR(STR(?created), 1, 10) AS ?day)
+      }
+    }
+    GROUP BY ?day
+    ORDER BY ?day
+  `);
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  const parsedResults = sparqlJsonParser.parseJsonResults(response);
+  return parsedResults.map((r) => ({
+    day: r.day.value,
+    count: Number(r.count.value),
+  }));
+}
+
+/**
+ * Link Jobs, Tasks or other resources to an existing Error with `task:error`. The link is stored in the graph of each resource. Resources that can not be found are skipped.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} error - The IRI of the Error.
+ * @param {array(namedNode)} resources - The resources that failed or were cancelled because of this Error.
+ * @returns {undefined} Nothing
+ */
+export async function link(error, resources) {
+  if (!resources.length) return;
+  const resourcesSparql = resources.map((r) => rst.termToString(r)).join(' ');
+  await spq.update(`
+    ${cts.SPARQL_PREFIXES}
+    INSERT {
+      GRAPH ?g {
+        ?resource task:error ${rst.termToString(error)} .
+      }
+    }
+    WHERE {
+      VALUES ?resource { ${resourcesSparql} }
+      GRAPH ?g {
+        ?resource a ?type .
+      }
+    }
+  `);
+}
+
+/**
+ * Remove all Errors from the triplestore that are older than the retention period, together with the links to them from other resources, such as `task:error` on Jobs and Tasks.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {integer} retentionPeriod - How long Errors are kept, in milliseconds. Errors created longer ago are removed.
+ * @returns {integer} The number of removed Errors.
+ */
+export async function purge(retentionPeriod) {
+  const before = new Date(Date.now() - retentionPeriod);
+  const errorGraphSparql = rst.termToString(namedNode(cts.GRAPHS.error));
+  // The Errors are selected once, so the count is exactly what gets removed.
+  const response = await spq.query(`
+    ${cts.SPARQL_PREFIXES}
+    SELECT DISTINCT ?error WHERE {
+      GRAPH ${errorGraphSparql} {
+        ?error
+          a oslc:Error ;
+          dct:created ?created .
+        ${filterPatterns({ to: before })}
+      }
+    }
+  `);
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  const errors = sparqlJsonParser
+    .parseJsonResults(response)
+    .map((r) => r.error);
+  const { maxResourcesPerQuery } = cts.BATCH_DEFAULTS;
+  for (let i = 0; i < errors.length; i += maxResourcesPerQuery) {
+    const chunk = errors.slice(i, i + maxResourcesPerQuery);
+    await spq.update(`
+      ${cts.SPARQL_PREFIXES}
+      DELETE {
+        GRAPH ${errorGraphSparql} {
+          ?error ?p ?o .
+        }
+        GRAPH ?g {
+          ?referrer ?link ?error .
+        }
+      }
+      WHERE {
+        VALUES ?error { ${chunk.map((e) => rst.termToString(e)).join(' ')} }
+        GRAPH ${errorGraphSparql} {
+          ?error ?p ?o .
+        }
+        OPTIONAL {
+          GRAPH ?g {
+            ?referrer ?link ?error .
+          }
+        }
+      }
+    `);
+  }
+  return errors.length;
+}
+
+async function getReferences(errors) {
+  const references = new Map();
+  if (!errors.length) return references;
+  const response = await spq.query(`
+    ${cts.SPARQL_PREFIXES}
+    SELECT ?error ?reference WHERE {
+      GRAPH ${rst.termToString(namedNode(cts.GRAPHS.error))} {
+        VALUES ?error { ${errors.map((e) => rst.termToString(e)).join(' ')} }
+        ?error dct:references ?reference .
+      }
+    }
+  `);
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  for (const r of sparqlJsonParser.parseJsonResults(response)) {
+    if (!references.has(r.error.value)) references.set(r.error.value, []);
+    references.get(r.error.value).push(r.reference);
+  }
+  return references;
+}
+
+// Expects the variables ?error and ?created to be bound, and ?message for the message pattern.
+function filterPatterns(filters) {
+  const patterns = [];
+  if (filters.creator)
+    patterns.push(sparql`?error dct:creator ${filters.creator} .`);
+  if (filters.reference)
+    patterns.push(sparql`?error dct:references ${filters.reference} .`);
+  if (filters.from)
+    patterns.push(qbd.filter(sparql`?created >= ${filters.from}`));
+  if (filters.to) patterns.push(qbd.filter(sparql`?created < ${filters.to}`));
+  if (filters.messagePattern)
+    patterns.push(
+      qbd.filter(sparql`REGEX(?message, ${filters.messagePattern}, "i")`)
+    );
+  return sparql`${patterns}`;
+}
+
+function describeException(exception) {
+  if (exception instanceof Error)
+    return {
+      name: exception.name,
+      message: exception.message || exception.name,
+      stack: exception.stack,
+    };
+  return { message: String(exception) };
+}
+
+function withoutUndefined(object) {
+  const result = {};
+  for (const key in object)
+    if (object[key] !== undefined) result[key] = object[key];
+  return result;
+}
+
+function addError(writer, creator, options) {
   const errorId = literal(uuid());
   const error = namedNode(cts.BASE_TABLE.error.concat(errorId.value));
-  message = literal(message);
-  detail = literal(detail);
-  const subject = literal('Automatic Submission Service');
   const now = literal(new Date().toISOString(), namedNode(cts.TYPES.dateTime));
+  const severity = options.severity || namedNode(cts.ERROR_SEVERITIES.error);
+  const add = (predicate, object) =>
+    writer.addQuad(error, namedNode(predicate), object);
+
+  add(
+    `${cts.PREFIX_TABLE.rdf}type`,
+    namedNode(`${cts.PREFIX_TABLE.oslc}Error`)
+  );
+  add(`${cts.PREFIX_TABLE.mu}uuid`, errorId);
+  add(
+    `${cts.PREFIX_TABLE.dct}subject`,
+    literal(options.subject || DEFAULT_SUBJECT)
+  );
+  add(`${cts.PREFIX_TABLE.oslc}message`, literal(options.message));
+  add(`${cts.PREFIX_TABLE.dct}created`, now);
+  add(`${cts.PREFIX_TABLE.dct}creator`, creator);
+  add(`${cts.PREFIX_TABLE.ext}severity`, severity);
+  if (options.code) add(`${cts.PREFIX_TABLE.ext}errorCode`, options.code);
+  if (options.detail)
+    add(`${cts.PREFIX_TABLE.oslc}largePreview`, literal(options.detail));
+  if (options.name)
+    add(`${cts.PREFIX_TABLE.ext}errorName`, literal(options.name));
+  if (options.stack)
+    add(`${cts.PREFIX_TABLE.ext}stackTrace`, literal(options.stack));
+  if (options.cause) add(`${cts.PREFIX_TABLE.ext}causedBy`, options.cause);
+  for (const reference of options.references || [])
+    add(`${cts.PREFIX_TABLE.dct}references`, reference);
+  return error;
+}
+
+async function storeErrors(writer) {
+  const errorTriples = await new Promise((resolve, reject) =>
+    writer.end((error, result) => {
+      if (error) reject(error);
+      else resolve(result);
+    })
+  );
   const errorGraph = namedNode(cts.GRAPHS.error);
-  const referenceTriple = reference
-    ? `${rst.termToString(error)}
-         dct:references ${rst.termToString(reference)} .`
-    : '';
-  const detailTriple = detail
-    ? `${rst.termToString(error)}
-         oslc:largePreview ${rst.termToString(detail)} .`
-    : '';
   const errorQuery = `
     ${cts.SPARQL_PREFIXES}
     INSERT DATA {
       GRAPH ${rst.termToString(errorGraph)} {
-        ${rst.termToString(error)}
-          a oslc:Error ;
-          mu:uuid ${rst.termToString(errorId)} ;
-          dct:subject ${rst.termToString(subject)} ;
-          oslc:message ${rst.termToString(message)} ;
-          dct:created ${rst.termToString(now)} ;
-          dct:creator ${rst.termToString(creator)} .
-        ${referenceTriple}
-        ${detailTriple}
+        ${errorTriples}
       }
     }`;
-  await mas.updateSudo(errorQuery);
-  return error;
+  await spq.update(errorQuery);
 }
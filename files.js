@@ -4,11 +4,17 @@
  */
 
 import { v4 as uuid } from 'uuid';
-import * as mas from '@lblod/mu-auth-sudo';
+import * as spq from './sparql.js';
 import * as cts from './constants.js';
+import * as fmt from './formats.js';
+import * as stg from './storage.js';
+import * as uti from './utils.js';
+import * as qbd from './queryBuilder.js';
 import * as N3 from 'n3';
+import * as sjp from 'sparqljson-parse';
 import * as rst from 'rdf-string-ttl';
-const { namedNode, literal } = N3.DataFactory;
+const { namedNode, literal, quad, variable } = N3.DataFactory;
+const { sparql } = qbd;
 
 /**
  * Create a logical and physical file and store it in the triplestore.
@@ -16,85 +22,90 @@ const { namedNode, literal } = N3.DataFactory;
  * @public
  * @async
  * @function
- * @param {string} pathPrefix - Defines where the file will be stored on physical storage. This string is concatenated with a UUID and extension to get the full file path. **This function does not store file contents to physical storage!**
- * @param {string} extension - The file extension. Will also be used to lookup the MIME type of the contents.
+ * @param {string} pathPrefix - Defines where the file will be stored on physical storage. This string is concatenated with a UUID and extension to get the full file path. It has to be inside the storage root, see {@link module:storage.getDirectory}. **This function does not store file contents to physical storage!**
+ * @param {string} extension - The file extension. Will also be used to lookup the MIME type of the contents in `FORMATS`. Unknown extensions get the generic `application/octet-stream` format.
  * @param {number} size - The file size in bytes.
  * @param {namedNode} graph - Represents the graph IRI where these logical and physical files will be stored.
  * @param {namedNode} creator - The identifier for the service that creates this File.
+ * @param {string} [hash] - The hexadecimal hash of the contents, computed with `HASH_ALGORITHM`. Stored on the physical file.
  * @returns {object} An object with structure `{ logicalFile: namedNode, physicalFile: namedNode, physicalFilePath: string }`. **This function does not store any contenst to physical storage, but only returns the full filepath that is used to store the file data. Use this path to store contents.**
+ * @throws {StoragePathError} When the path prefix points outside of the storage root.
  */
-export async function create(pathPrefix, extension, size, creator, graph) {
-  const physicalUuid = literal(uuid());
-  const logicalUuid = literal(uuid());
-  const filename = literal(`${physicalUuid.value}.${extension}`);
-  const path = pathPrefix.concat(filename.value);
-  const physical = namedNode(path.replace('/share/', 'share://'));
-  const logical = namedNode(cts.BASE_TABLE.file.concat(logicalUuid.value));
-  const now = literal(new Date().toISOString(), namedNode(cts.TYPES.dateTime));
-  const nowSparql = rst.termToString(now);
-  const format = literal(cts.FORMATS[extension]);
-  size = literal(size, namedNode(cts.TYPES.integer));
-  extension = literal(extension);
-
-  await mas.updateSudo(`
-    ${cts.SPARQL_PREFIXES}
-    INSERT DATA {
-      GRAPH ${rst.termToString(graph)} {
-        ${rst.termToString(physical)}
-          a nfo:FileDataObject ;
-          nie:dataSource ${rst.termToString(logical)} ;
-          mu:uuid ${rst.termToString(physicalUuid)} ;
-          nfo:fileName ${rst.termToString(filename)} ;
-          dct:creator ${rst.termToString(creator)} ;
-          dct:created ${nowSparql} ;
-          dct:modified ${nowSparql} ;
-          dct:format ${rst.termToString(format)} ;
-          nfo:fileSize ${rst.termToString(size)} ;
-          dbpedia:fileExtension ${rst.termToString(extension)} .
+export async function create(
+  pathPrefix,
+  extension,
+  size,
+  creator,
+  graph,
+  hash
+) {
+  const { quads, ...filesData } = buildFile({
+    pathPrefix,
+    extension,
+    size,
+    creator,
+    graph,
+    hash,
+  });
+  await spq.update(qbd.insertData(quads));
+  return filesData;
+}
 
-        ${rst.termToString(logical)}
-          a nfo:FileDataObject ;
-          mu:uuid ${rst.termToString(logicalUuid)} ;
-          nfo:fileName ${rst.termToString(filename)} ;
-          dct:creator ${rst.termToString(creator)} ;
-          dct:created ${nowSparql} ;
-          dct:modified ${nowSparql} ;
-          dct:format ${rst.termToString(format)} ;
-          nfo:fileSize ${rst.termToString(size)} ;
-          dbpedia:fileExtension ${rst.termToString(extension)} .
-      }
-    }`);
-  return {
-    logicalFile: logical,
-    physicalFile: physical,
-    physicalFilePath: path,
-  };
+/**
+ * Create many logical and physical files at once. The file data is written with as few queries as possible, without exceeding the maximum number of triples per query. The triples of a single file are never split over multiple queries.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {array(object)} inputs - The files to create. Every input is an object with the arguments of {@link create} as properties: `{ pathPrefix, extension, size, creator, graph, hash }`.
+ * @param {object} [options]
+ * @param {integer} [options.maxTriplesPerQuery] - Defaults to the value in `BATCH_DEFAULTS`.
+ * @returns {array(object)} An array with an object `{ input: object, logicalFile: namedNode, physicalFile: namedNode, physicalFilePath: string }` per input, in the same order as the inputs.
+ * @throws {StoragePathError} When a path prefix points outside of the storage root. Nothing is written in that case.
+ */
+export async function createBatch(inputs, options = {}) {
+  const { maxTriplesPerQuery } = { ...cts.BATCH_DEFAULTS, ...options };
+  const built = inputs.map(buildFile);
+  const groups = built.map(({ quads }) => quads);
+  for (const chunk of uti.chunkGroups(groups, maxTriplesPerQuery))
+    await spq.update(qbd.insertData(chunk));
+  return built.map(({ logicalFile, physicalFile, physicalFilePath }, i) => ({
+    input: inputs[i],
+    logicalFile,
+    physicalFile,
+    physicalFilePath,
+  }));
 }
 
 /**
- * Update file information after contents of the file have been updated. This means updating the file size and the modified date.
+ * Update file information after contents of the file have been updated. This means updating the file size and the modified date, and the content hash when given.
  *
  * @public
  * @async
  * @function
  * @param {namedNode} logicalFile - The logical file represented by IRI.
  * @param {integer} size - The new file size in bytes.
+ * @param {string} [hash] - The new hexadecimal hash of the contents, computed with `HASH_ALGORITHM`. Without it, a stored hash is removed, because it no longer matches the contents.
  * @returns {undefined} Nothing
  */
-export async function update(logicalFile, size) {
+export async function update(logicalFile, size, hash) {
   const now = literal(new Date().toISOString(), namedNode(cts.TYPES.dateTime));
   const nowSparql = rst.termToString(now);
   size = literal(size, namedNode(cts.TYPES.integer));
-  await mas.updateSudo(`
+  const hashTriples = hash ? hashSparql('?physicalFile', hash) : '';
+  await spq.update(`
     ${cts.SPARQL_PREFIXES}
     DELETE {
       GRAPH ?g {
         ?physicalFile
-          dct:modified ?modified ;
-          nfo:fileSize ?fileSize .
+          dct:modified ?physicalModified ;
+          nfo:fileSize ?physicalFileSize .
         ?logicalFile
-          dct:modified ?modified ;
-          nfo:fileSize ?fileSize .
+          dct:modified ?logicalModified ;
+          nfo:fileSize ?logicalFileSize .
+        ?physicalFile
+          nfo:hashAlgorithm ?hashAlgorithm ;
+          nfo:hashValue ?hashValue .
       }
     }
     INSERT {
@@ -105,6 +116,7 @@ export async function update(logicalFile, size) {
         ?logicalFile
           dct:modified ${nowSparql} ;
           nfo:fileSize ${rst.termToString(size)} .
+        ${hashTriples}
       }
     }
     WHERE {
@@ -115,6 +127,12 @@ export async function update(logicalFile, size) {
           nie:dataSource ?logicalFile .
         ?logicalFile
           a nfo:FileDataObject .
+        OPTIONAL { ?physicalFile dct:modified ?physicalModified . }
+        OPTIONAL { ?physicalFile nfo:fileSize ?physicalFileSize . }
+        OPTIONAL { ?logicalFile dct:modified ?logicalModified . }
+        OPTIONAL { ?logicalFile nfo:fileSize ?logicalFileSize . }
+        OPTIONAL { ?physicalFile nfo:hashAlgorithm ?hashAlgorithm . }
+        OPTIONAL { ?physicalFile nfo:hashValue ?hashValue . }
       }
     }
   `);
@@ -130,7 +148,7 @@ export async function update(logicalFile, size) {
  * @returns {undefined} Nothing
  */
 export async function remove(logicalFile) {
-  await mas.updateSudo(`
+  await spq.update(`
     ${cts.SPARQL_PREFIXES}
     DELETE {
       GRAPH ?g {
@@ -152,3 +170,151 @@ export async function remove(logicalFile) {
     }
   `);
 }
+
+/**
+ * Get the content hash that is stored for a physical file.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} physicalFile - The IRI representing the physical file.
+ * @returns { { algorithm: string, value: string } } The hash algorithm and the hexadecimal hash, or `undefined` if no hash is stored.
+ */
+export async function getHash(physicalFile) {
+  const response = await spq.query(`
+    ${cts.SPARQL_PREFIXES}
+    SELECT ?algorithm ?value WHERE {
+      GRAPH ?g {
+        ${rst.termToString(physicalFile)}
+          nfo:hashAlgorithm ?algorithm ;
+          nfo:hashValue ?value .
+      }
+    } LIMIT 1
+  `);
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  const result = sparqlJsonParser.parseJsonResults(response)[0];
+  return (
+    result && { algorithm: result.algorithm.value, value: result.value.value }
+  );
+}
+
+/**
+ * Find a file in a graph with contents that have the given hash.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {string} hash - The hexadecimal hash of the contents, computed with `HASH_ALGORITHM`.
+ * @param {namedNode} graph - The graph to look for the file in.
+ * @returns { { logicalFile: namedNode, physicalFile: namedNode } } The oldest matching file, or `undefined` if there is none.
+ */
+export async function findByHash(hash, graph) {
+  const response = await spq.query(`
+    ${cts.SPARQL_PREFIXES}
+    SELECT ?logicalFile ?physicalFile WHERE {
+      GRAPH ${rst.termToString(graph)} {
+        ?physicalFile
+          a nfo:FileDataObject ;
+          nie:dataSource ?logicalFile ;
+          nfo:hashAlgorithm ${rst.termToString(literal(cts.HASH_ALGORITHM))} ;
+          nfo:hashValue ${rst.termToString(literal(hash))} ;
+          dct:created ?created .
+      }
+    }
+    ORDER BY ?created
+    LIMIT 1
+  `);
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  return sparqlJsonParser.parseJsonResults(response)[0];
+}
+
+/**
+ * List the physical files on storage (with a physical file IRI in the storage scheme) that are known in the triplestore, ordered by their IRI.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {object} [page]
+ * @param {integer} [page.limit=1000] - The maximum number of physical files to return.
+ * @param {integer} [page.offset=0] - The number of physical files to skip.
+ * @returns {array(object)} An array of objects with the structure `{ physicalFile: namedNode, logicalFile: namedNode, modified: literal, graph: namedNode }`. The modification time is absent when it is not known.
+ * @throws {TypeError} When the limit or offset is not a non-negative integer.
+ */
+export async function list(page = {}) {
+  const { limit = 1000, offset = 0 } = page;
+  const scheme = literal(stg.getConfiguration().scheme);
+  const response = await spq.query(
+    qbd.select(
+      ['physicalFile', 'logicalFile', 'modified', 'graph'].map((name) =>
+        variable(name)
+      ),
+      [
+        qbd.graph(
+          variable('graph'),
+          sparql`
+            ?physicalFile
+              a nfo:FileDataObject ;
+              nie:dataSource ?logicalFile .`,
+          qbd.optional(sparql`?physicalFile dct:modified ?modified .`)
+        ),
+        qbd.filter(sparql`STRSTARTS(STR(?physicalFile), ${scheme})`),
+      ],
+      { orderBy: [variable('physicalFile')], limit, offset }
+    )
+  );
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  return sparqlJsonParser.parseJsonResults(response);
+}
+
+function hashSparql(physicalFileSparql, hash) {
+  return `${physicalFileSparql}
+    nfo:hashAlgorithm ${rst.termToString(literal(cts.HASH_ALGORITHM))} ;
+    nfo:hashValue ${rst.termToString(literal(hash))} .`;
+}
+
+function buildFile({ pathPrefix, extension, size, creator, graph, hash }) {
+  const physicalUuid = literal(uuid());
+  const logicalUuid = literal(uuid());
+  const filename = literal(`${physicalUuid.value}.${extension}`);
+  const physical = stg.toPhysicalFile(pathPrefix.concat(filename.value));
+  const logical = namedNode(cts.BASE_TABLE.file.concat(logicalUuid.value));
+  const now = literal(new Date().toISOString(), namedNode(cts.TYPES.dateTime));
+  const predicate = (prefix, name) =>
+    namedNode(`${cts.PREFIX_TABLE[prefix]}${name}`);
+  const shared = [
+    [predicate('rdf', 'type'), predicate('nfo', 'FileDataObject')],
+    [predicate('nfo', 'fileName'), filename],
+    [predicate('dct', 'creator'), creator],
+    [predicate('dct', 'created'), now],
+    [predicate('dct', 'modified'), now],
+    [
+      predicate('dct', 'format'),
+      literal(fmt.getFormat(extension) || cts.FORMATS.bin),
+    ],
+    [predicate('nfo', 'fileSize'), literal(size, namedNode(cts.TYPES.integer))],
+    [predicate('dbpedia', 'fileExtension'), literal(extension)],
+  ];
+  const physicalOnly = [
+    [predicate('nie', 'dataSource'), logical],
+    [predicate('mu', 'uuid'), physicalUuid],
+  ];
+  if (hash)
+    physicalOnly.push(
+      [predicate('nfo', 'hashAlgorithm'), literal(cts.HASH_ALGORITHM)],
+      [predicate('nfo', 'hashValue'), literal(hash)]
+    );
+  const quads = [
+    ...[...shared, ...physicalOnly].map(([p, o]) =>
+      quad(physical, p, o, graph)
+    ),
+    ...[...shared, [predicate('mu', 'uuid'), logicalUuid]].map(([p, o]) =>
+      quad(logical, p, o, graph)
+    ),
+  ];
+  return {
+    logicalFile: logical,
+    physicalFile: physical,
+    physicalFilePath: stg.toPath(physical),
+    quads,
+  };
+}
@@ -0,0 +1,105 @@
+/**
+ * @module formats
+ * @description Look up and detect the format (MIME type) and extension of file contents, based on the registry in `FORMATS`.
+ */
+
+import { Buffer } from 'node:buffer';
+import * as cts from './constants.js';
+
+/**
+ * Get the format for a file extension.
+ *
+ * @public
+ * @function
+ * @param {string} extension - The file extension, without leading dot. Case is ignored.
+ * @returns {string} The MIME type for this extension, or `undefined` if the extension is unknown.
+ */
+export function getFormat(extension) {
+  return cts.FORMATS[extension.toLowerCase()];
+}
+
+/**
+ * Get the preferred file extension for a format.
+ *
+ * @public
+ * @function
+ * @param {string} format - The MIME type. Parameters such as `; charset=utf-8` are ignored.
+ * @returns {string} The extension for this format, or `undefined` if the format is unknown.
+ */
+export function getExtension(format) {
+  const mimeType = format.split(';')[0].trim().toLowerCase();
+  return Object.keys(cts.FORMATS).find(
+    (extension) => cts.FORMATS[extension] === mimeType
+  );
+}
+
+/**
+ * Resolve either an extension or a format to both.
+ *
+ * @public
+ * @function
+ * @param {string} extensionOrFormat - A file extension, like `html`, or a MIME type, like `text/html`.
+ * @returns { { extension: string, format: string } } The extension and format.
+ * @throws {Error} When the extension or format is not in the registry.
+ */
+export function resolve(extensionOrFormat) {
+  const extension = extensionOrFormat.includes('/')
+    ? getExtension(extensionOrFormat)
+    : extensionOrFormat.replace(/^\./, '').toLowerCase();
+  const format = extension && getFormat(extension);
+  if (!format) throw new Error(`Unknown file format '${extensionOrFormat}'`);
+  return { extension, format };
+}
+
+/**
+ * Detect the format of a file by the extension in its name.
+ *
+ * @public
+ * @function
+ * @param {string} fileName - The name or path of the file.
+ * @returns { { extension: string, format: string } } The extension and format, or `undefined` when the file has no known extension.
+ */
+export function detectFromFileName(fileName) {
+  const match = /\.([^./\\]+)$/.exec(fileName);
+  const extension = match?.[1].toLowerCase();
+  const format = extension && getFormat(extension);
+  return format ? { extension, format } : undefined;
+}
+
+/**
+ * Detect the format of file contents by looking at their start. This recognises PDF, HTML, XML, JSON-LD, JSON, Turtle and N-Triples. Plain N-Triples are also valid Turtle, but are reported as N-Triples.
+ *
+ * @public
+ * @function
+ * @param {string|buffer} content - The contents, or at least the first kilobytes of them.
+ * @returns { { extension: string, format: string } } The extension and format, or `undefined` when the format could not be recognised.
+ */
+export function detectFromContent(content) {
+  const head = Buffer.from(content)
+    .subarray(0, 4096)
+    .toString('utf-8')
+    .replace(/^\uFEFF/, '')
+    .trimStart();
+  const detected = sniff(head);
+  return detected && { extension: detected, format: getFormat(detected) };
+}
+
+function sniff(head) {
+  if (head.startsWith('%PDF-')) return 'pdf';
+  if (/^<!doctype html|^<html[\s>]/i.test(head)) return 'html';
+  if (head.startsWith('<?xml'))
+    return /<html[\s>]/i.test(head) ? 'html' : 'xml';
+  if (/^[[{]/.test(head))
+    return head.includes('"@context"') ? 'jsonld' : 'json';
+  if (/^(@prefix|@base|prefix\s|base\s)/i.test(head)) return 'ttl';
+  const lines = head
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+  const ntriple =
+    /^(<[^>]*>|_:\S+)\s+<[^>]*>\s+(<[^>]*>|_:\S+|".*"(\^\^<[^>]*>|@[\w-]+)?)\s*\.$/;
+  if (lines.length && lines.every((line) => ntriple.test(line))) return 'nt';
+  if (/^(<[^>]*>|_:\S+|\w*:\S*)\s+(<[^>]*>|a|\w*:\S*)\s/.test(head))
+    return 'ttl';
+  return undefined;
+}
@@ -0,0 +1,221 @@
+/**
+ * @module garbageCollector
+ * @description Reconcile the contents of physical storage with the physical file data in the triplestore. Files on storage without any file data, and file data of which the file is missing on storage, are reported and can be cleaned up. File data that is still referenced from the input or results container of a Task is never removed.
+ */
+
+import * as fs from 'node:fs/promises';
+import * as path from 'node:path';
+import * as spq from './sparql.js';
+import * as cts from './constants.js';
+import * as fil from './files.js';
+import * as stg from './storage.js';
+import * as sjp from 'sparqljson-parse';
+import * as rst from 'rdf-string-ttl';
+
+/**
+ * Compare physical storage with the file data in the triplestore, without changing anything. Files and file data that have been modified within the grace period are skipped, because they might belong to a file that is still being written. File data of downloaded documents, with a remote data object as `nie:dataSource`, is reported separately and never removed, because the remote data object still refers to it. File data of which the IRI can not be mapped to a path on storage is reported as invalid instead of stopping the scan.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {object} [options]
+ * @param {integer} [options.gracePeriod] - Skip anything modified less than this many milliseconds ago. Defaults to the value in `GARBAGE_COLLECTION_DEFAULTS`.
+ * @returns { { orphanedFiles: array(string), orphanedMetadata: array(object), referencedMetadata: array(object), downloadedMetadata: array(object), invalidMetadata: array(object) } } The paths of files on storage without file data, the file data without a file on storage, the file data without a file on storage that is still referenced by a Task or belongs to a downloaded document and will not be removed, and the file data with an IRI that is not a valid path on storage. File data is described as `{ physicalFile: namedNode, logicalFile: namedNode, graph: namedNode }`, extended with `error` for invalid file data.
+ */
+export async function scan(options = {}) {
+  const { gracePeriod } = { ...cts.GARBAGE_COLLECTION_DEFAULTS, ...options };
+  const threshold = Date.now() - gracePeriod;
+  const quarantine = stg.getDirectory('quarantine');
+
+  const metadata = [];
+  const invalidMetadata = [];
+  for (const file of await listAllPhysicalFiles()) {
+    try {
+      metadata.push({ ...file, path: stg.toPath(file.physicalFile) });
+    } catch (error) {
+      const { physicalFile, logicalFile, graph } = file;
+      invalidMetadata.push({ physicalFile, logicalFile, graph, error });
+    }
+  }
+  const known = new Set(metadata.map((file) => file.path));
+
+  const orphanedFiles = [];
+  for await (const filePath of walk(stg.getConfiguration().root)) {
+    if (filePath.startsWith(quarantine) || known.has(filePath)) continue;
+    const stats = await fs.stat(filePath);
+    if (stats.mtimeMs > threshold) continue;
+    orphanedFiles.push(filePath);
+  }
+
+  const missing = [];
+  for (const file of metadata) {
+    if (file.modified && new Date(file.modified.value) > threshold) continue;
+    if (!(await exists(file.path)))
+      missing.push({
+        physicalFile: file.physicalFile,
+        logicalFile: file.logicalFile,
+        graph: file.graph,
+      });
+  }
+  const referenced = await getReferencedFiles(missing);
+  const isReferenced = (file) =>
+    referenced.has(file.physicalFile.value) ||
+    referenced.has(file.logicalFile.value);
+  const downloaded = await getDownloadedFiles(missing);
+  const isDownloaded = (file) => downloaded.has(file.physicalFile.value);
+
+  return {
+    orphanedFiles,
+    orphanedMetadata: missing.filter(
+      (file) => !isReferenced(file) && !isDownloaded(file)
+    ),
+    referencedMetadata: missing.filter(isReferenced),
+    downloadedMetadata: missing.filter(
+      (file) => isDownloaded(file) && !isReferenced(file)
+    ),
+    invalidMetadata,
+  };
+}
+
+/**
+ * Scan for orphans with {@link scan} and clean them up. Orphaned files are either deleted or moved to the `quarantine` storage directory, keeping their path relative to the storage root. Orphaned file data is removed from the triplestore in both cases, because its contents are already gone. Failures for single files are reported instead of stopping the collection.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {object} [options] - Override the defaults from `GARBAGE_COLLECTION_DEFAULTS`.
+ * @param {boolean} [options.dryRun] - Only report what would be cleaned up.
+ * @param {string} [options.action] - Either `delete` or `quarantine`, for orphaned files.
+ * @param {integer} [options.gracePeriod] - Skip anything modified less than this many milliseconds ago.
+ * @returns {object} The report from {@link scan}, extended with `dryRun`, `action` and `failures`, an array of objects with the structure `{ location: string, error: Error }`.
+ * @throws {Error} When the action is unknown.
+ */
+export async function collect(options = {}) {
+  const { dryRun, action, gracePeriod } = {
+    ...cts.GARBAGE_COLLECTION_DEFAULTS,
+    ...options,
+  };
+  if (!['delete', 'quarantine'].includes(action))
+    throw new Error(`Unknown garbage collection action '${action}'`);
+
+  const report = await scan({ gracePeriod });
+  const failures = [];
+  if (!dryRun) {
+    for (const filePath of report.orphanedFiles) {
+      try {
+        if (action === 'delete') await fs.rm(filePath, { force: true });
+        else await quarantineFile(filePath);
+      } catch (error) {
+        failures.push({ location: filePath, error });
+      }
+    }
+    for (const file of report.orphanedMetadata) {
+      try {
+        await fil.remove(file.logicalFile);
+      } catch (error) {
+        failures.push({ location: file.physicalFile.value, error });
+      }
+    }
+  }
+  return { ...report, dryRun, action, failures };
+}
+
+async function listAllPhysicalFiles() {
+  const limit = 1000;
+  const all = [];
+  let page;
+  do {
+    page = await fil.list({ limit, offset: all.length });
+    all.push(...page);
+  } while (page.length === limit);
+  return all;
+}
+
+async function* walk(directory) {
+  let entries;
+  try {
+    entries = await fs.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+  for (const entry of entries) {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) yield* walk(entryPath);
+    else if (entry.isFile()) yield entryPath;
+  }
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function quarantineFile(filePath) {
+  const { root } = stg.getConfiguration();
+  const target = path.join(
+    stg.getDirectory('quarantine'),
+    path.relative(root, filePath)
+  );
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.rename(filePath, target);
+}
+
+// Containers can refer to either the logical or the physical file.
+async function getReferencedFiles(files) {
+  const referenced = new Set();
+  const chunkSize = 100;
+  for (let i = 0; i < files.length; i += chunkSize) {
+    const values = files
+      .slice(i, i + chunkSize)
+      .flatMap((file) => [file.physicalFile, file.logicalFile])
+      .map((term) => rst.termToString(term))
+      .join(' ');
+    const response = await spq.query(`
+      ${cts.SPARQL_PREFIXES}
+      SELECT DISTINCT ?file WHERE {
+        VALUES ?file { ${values} }
+        GRAPH ?g {
+          ?task task:inputContainer|task:resultsContainer ?container .
+          ?container task:hasFile ?file .
+        }
+      }
+    `);
+    const sparqlJsonParser = new sjp.SparqlJsonParser();
+    for (const result of sparqlJsonParser.parseJsonResults(response))
+      referenced.add(result.file.value);
+  }
+  return referenced;
+}
+
+// Downloaded documents have the remote data object they came from as one of their data sources.
+async function getDownloadedFiles(files) {
+  const downloaded = new Set();
+  const chunkSize = 100;
+  for (let i = 0; i < files.length; i += chunkSize) {
+    const values = files
+      .slice(i, i + chunkSize)
+      .map((file) => rst.termToString(file.physicalFile))
+      .join(' ');
+    const response = await spq.query(`
+      ${cts.SPARQL_PREFIXES}
+      SELECT DISTINCT ?file WHERE {
+        VALUES ?file { ${values} }
+        GRAPH ?g {
+          ?file nie:dataSource ?remoteDataObject .
+        }
+        GRAPH ?h {
+          ?remoteDataObject a nfo:RemoteDataObject .
+        }
+      }
+    `);
+    const sparqlJsonParser = new sjp.SparqlJsonParser();
+    for (const result of sparqlJsonParser.parseJsonResults(response))
+      downloaded.add(result.file.value);
+  }
+  return downloaded;
+}
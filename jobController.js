@@ -0,0 +1,125 @@
+/**
+ * @module jobController
+ * @description Drive Jobs through the steps of their pipeline, as defined in `PIPELINES`. When a Task finishes, the next Task in the pipeline is scheduled with the results of the finished Task as its inputs, or the Job is finished.
+ */
+
+import * as cts from './constants.js';
+import * as tsk from './tasks.js';
+import * as jbt from './jobs.js';
+import * as lfc from './lifecycle.js';
+import * as N3 from 'n3';
+const { namedNode } = N3.DataFactory;
+
+/**
+ * Get the pipeline for a Job operation.
+ *
+ * @public
+ * @function
+ * @param {namedNode} jobOperation - The operation of the Job, e.g. `OPERATIONS.automaticSubmissionFlow`.
+ * @returns {array(object)} The ordered steps of the pipeline, each with the structure `{ operation: string, service: string, cogsOperation: string }`, or `undefined` if there is no pipeline for this operation.
+ */
+export function getPipeline(jobOperation) {
+  return cts.PIPELINES[jobOperation.value];
+}
+
+/**
+ * Find the step in a pipeline that follows the given Task operation.
+ *
+ * @public
+ * @function
+ * @param {array(object)} pipeline - The steps of a pipeline, as in `PIPELINES`.
+ * @param {namedNode} operation - The operation of the finished Task.
+ * @returns {object} An object with structure `{ index: integer, step: object }` for the next step, or `undefined` if the operation is the last step in the pipeline.
+ * @throws {Error} When the operation is not part of the pipeline.
+ */
+export function getNextStep(pipeline, operation) {
+  const current = pipeline.findIndex(
+    (step) => step.operation === operation.value
+  );
+  if (current < 0)
+    throw new Error(`Operation ${operation.value} is not part of the pipeline`);
+  const index = current + 1;
+  if (index >= pipeline.length) return undefined;
+  return { index, step: pipeline[index] };
+}
+
+/**
+ * Process a Task that has just been updated with {@link module:tasks.updateStatus}. On success, the next Task in the pipeline is scheduled with the files and remote data objects from the results container of the finished Task as its inputs. When there is no next step, the Job succeeds. On failure, the Job fails with the error of the Task. The Job is moved with {@link module:lifecycle.transitionJob}, so a Task that is processed again, or a Job that can not make the transition (anymore), is ignored. No next step is scheduled for a Job that is no longer busy, e.g. because it was cancelled while the Task was running. Tasks in other statuses are ignored as well.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} task - The Task that has been updated.
+ * @param {namedNode} creator - The identifier for the service that acts as job-controller. Used as creator of new Tasks.
+ * @returns { { action: string, task: namedNode } } An object describing what happened. The `action` is one of `scheduled` (with the new `task`), `succeeded`, `failed` or `ignored`.
+ * @throws {Error} When the Task can not be found, or when no pipeline is defined for its Job.
+ */
+export async function processTask(task, creator) {
+  const info = await tsk.get(task);
+  if (!info) throw new Error(`Task ${task.value} could not be found`);
+
+  if (info.status.value === cts.TASK_STATUSES.failed) {
+    const failed = await transitionJob(
+      info.job,
+      namedNode(cts.JOB_STATUSES.failed),
+      creator,
+      info.error
+    );
+    return { action: failed ? 'failed' : 'ignored' };
+  }
+  if (info.status.value !== cts.TASK_STATUSES.success)
+    return { action: 'ignored' };
+
+  const job = await jbt.get(info.job);
+  const pipeline = job && getPipeline(job.operation);
+  if (!pipeline)
+    throw new Error(`No pipeline is defined for the Job of Task ${task.value}`);
+  // A Job that was cancelled (or finished otherwise) does not continue with its next step.
+  if (job.status?.value !== cts.JOB_STATUSES.busy) return { action: 'ignored' };
+  const next = getNextStep(pipeline, info.operation);
+  if (!next) {
+    const succeeded = await transitionJob(
+      info.job,
+      namedNode(cts.JOB_STATUSES.success),
+      creator
+    );
+    return { action: succeeded ? 'succeeded' : 'ignored' };
+  }
+
+  const inputs = {
+    files: info.resultsContainer?.files || [],
+    remoteDataObjects: info.resultsContainer?.remoteDataObjects || [],
+  };
+  // Delta messages can arrive more than once. Never schedule the same step twice.
+  const nextTask = await tsk.createIfAbsent(
+    namedNode(next.step.operation),
+    creator,
+    namedNode(cts.TASK_STATUSES.scheduled),
+    next.index,
+    info.job,
+    inputs,
+    namedNode(next.step.cogsOperation),
+    info.graph
+  );
+  if (!nextTask) return { action: 'ignored' };
+  // The Job can be cancelled while the next Task is being created. That Task would never be cancelled, so do it here.
+  if (await jbt.isCancelled(info.job)) {
+    await tsk.compareAndSetStatus(
+      nextTask,
+      namedNode(cts.TASK_STATUSES.scheduled),
+      namedNode(cts.TASK_STATUSES.cancelled)
+    );
+    return { action: 'ignored' };
+  }
+  return { action: 'scheduled', task: nextTask };
+}
+
+async function transitionJob(job, status, creator, error) {
+  try {
+    await lfc.transitionJob(job, status, creator, error);
+    return true;
+  } catch (exception) {
+    if (exception instanceof lfc.IllegalTransitionError) return false;
+    throw exception;
+  }
+}
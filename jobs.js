@@ -1,15 +1,24 @@
 /**
  * @module jobs
- * @description Create and update Jobs in the triplestore.
+ * @description Create, update and read Jobs in the triplestore.
  */
 
 import { v4 as uuid } from 'uuid';
-import * as mas from '@lblod/mu-auth-sudo';
+import * as spq from './sparql.js';
 import * as cts from './constants.js';
+import * as tsk from './tasks.js';
+import * as ccy from './concurrency.js';
+import * as ath from './authentication.js';
+import * as ers from './errors.js';
+import * as afl from './asfFiles.js';
+import * as stg from './storage.js';
+import * as lfc from './lifecycle.js';
+import * as qbd from './queryBuilder.js';
 import * as N3 from 'n3';
 import * as sjp from 'sparqljson-parse';
 import * as rst from 'rdf-string-ttl';
-const { namedNode, quad, literal } = N3.DataFactory;
+const { namedNode, quad, literal, variable } = N3.DataFactory;
+const { sparql } = qbd;
 
 /**
  * Create a Job and store it in the triplestore.
@@ -46,59 +55,161 @@ export async function create(
           adms:status ${rst.termToString(namedNode(cts.JOB_STATUSES.busy))} ;
           dct:created ${nowSparql} ;
           dct:modified ${nowSparql} ;
+          prov:startedAtTime ${nowSparql} ;
           task:operation ${rst.termToString(operation)} ;
           task:cogsOperation ${rst.termToString(cogsOperation)} ;
           prov:generatedBy ${rst.termToString(activity)} .
       }
     }`;
-  await mas.updateSudo(jobQuery);
+  await spq.update(jobQuery);
   return job;
 }
 
 /**
- * Update the status of an existing Job in the triplestore with the possibility to also store an error on failure.
+ * Update the status of an existing Job in the triplestore with the possibility to also store an error on failure. The change is recorded in the status history of the Job, see {@link module:concurrency.setStatus}. When the Job finishes (success, failed or cancelled), the authentication secrets of its Submission are removed, see {@link module:authentication.removeSecretsForJob}. A failed Job that is retried later needs its secrets attached again.
  *
  * @public
  * @async
  * @function
  * @param {namedNode} job - Represents the Job of which the status is to be updated.
  * @param {namedNode} status - The new status for this Job.
- * @param {namedNode} [error] - Only when the new status is to indicate failure: link the Job to this error entity.
- * @returns {undefined} Nothing
+ * @param {namedNode} [error] - Only when the new status is to indicate failure or cancellation: link the Job to this error entity.
+ * @param {object} [options]
+ * @param {namedNode} [options.creator] - The identifier for the service that updates this Job.
+ * @param {array(namedNode)} [options.expectedStatuses] - Only update the Job when it currently has one of these statuses.
+ * @param {array(quad|Fragment)} [options.conditions] - Extra patterns the Job has to match to be updated, using `?resource` for the Job.
+ * @returns {namedNode} The IRI of the recorded transition, or `undefined` when the Job was not updated.
  */
-export async function updateStatus(job, status, error) {
-  const jobSparql = rst.termToString(job);
-  const now = literal(new Date().toISOString(), namedNode(cts.TYPES.dateTime));
-  const nowSparql = rst.termToString(now);
-  const errorTriple =
-    status.value === cts.JOB_STATUSES.fail && error
-      ? `${jobSparql} task:error ${rst.termToString(error)} .`
-      : '';
-  const statusQuery = `
-    ${cts.SPARQL_PREFIXES}
-    DELETE {
-      GRAPH ?g {
-        ${jobSparql}
-          adms:status ?oldStatus ;
-          dct:modified ?oldModified .
-      }
+export async function updateStatus(job, status, error, options = {}) {
+  const [updated] = await ccy.setStatus([job], status, {
+    error,
+    creator: options.creator,
+    expectedStatuses: options.expectedStatuses,
+    conditions: options.conditions,
+  });
+  if (updated && hasFinished(status)) await ath.removeSecretsForJob(job);
+  return updated?.transition;
+}
+
+/**
+ * Update the status of a Job only when it still has the expected status. See {@link module:concurrency.compareAndSetStatus}. Authentication secrets are removed as with {@link updateStatus} when this call finishes the Job.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} job - Represents the Job of which the status is to be updated.
+ * @param {namedNode} expectedStatus - Only update when the Job currently has this status.
+ * @param {namedNode} status - The new status for this Job.
+ * @param {object} [options]
+ * @param {Date|literal} [options.expectedModified] - Only update when the Job was last modified at exactly this time.
+ * @param {namedNode} [options.error] - Only when the new status is to indicate failure or cancellation: link the Job to this error entity.
+ * @param {namedNode} [options.creator] - The identifier for the service that updates this Job.
+ * @returns {boolean} True when the status was updated by this call.
+ */
+export async function compareAndSetStatus(
+  job,
+  expectedStatus,
+  status,
+  options
+) {
+  const won = await ccy.compareAndSetStatus(
+    job,
+    expectedStatus,
+    status,
+    options
+  );
+  if (won && hasFinished(status)) await ath.removeSecretsForJob(job);
+  return won;
+}
+
+/**
+ * Cancel a busy Job, e.g. because it is stuck or was started by mistake. The Job and all of its Tasks that are still scheduled or busy get the cancelled status, and are linked to an Error with the reason. The Error is only created once the Job has been cancelled, and every Task is only cancelled when it is still scheduled or busy at that moment, so a Task that finishes in the meantime keeps its status. Services that are still working on a Task of the Job can find out with {@link isCancelled} and stop.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} job - The Job to cancel.
+ * @param {string} reason - Why the Job is cancelled. Stored as the message of the Error.
+ * @param {namedNode} creator - The identifier for the service that cancels the Job.
+ * @param {object} [options]
+ * @param {boolean} [options.removeFiles=false] - Also remove the intermediate results of the Job from the triplestore and physical storage, see {@link module:asfFiles.removeFromLogicalFile}. Only files in the results containers of the Tasks of the Job are removed, and only when neither they nor their logical or physical counterpart are referenced from outside those containers, e.g. by a Task of another Job. Downloaded documents are never removed.
+ * @returns { { error: namedNode, tasks: array(namedNode), removedFiles: array(namedNode), keptFiles: array(namedNode), failures: array(object) } } The Error with the reason, the Tasks that were cancelled, the files that were removed, the files that were kept because they are still referenced, and the files that could not be removed, as objects with the structure `{ file: namedNode, error: Error }`.
+ * @throws {IllegalTransitionError} When the Job is not busy (anymore).
+ */
+export async function cancel(job, reason, creator, options = {}) {
+  const busy = namedNode(cts.JOB_STATUSES.busy);
+  const cancelled = namedNode(cts.JOB_STATUSES.cancelled);
+  const illegal = (current) =>
+    new lfc.IllegalTransitionError(
+      `Job ${job.value} can not be cancelled from status ${current?.value}`,
+      job,
+      current,
+      cancelled
+    );
+  if (!(await compareAndSetStatus(job, busy, cancelled, { creator })))
+    throw illegal((await get(job))?.status);
+  // Only the call that cancelled the Job stores an Error, so a lost race leaves nothing behind.
+  const error = await ers.create(creator, reason, undefined, job);
+  await ers.link(error, [job]);
+
+  const tasks = await getTasks(job);
+  const unfinished = await tsk.updateStatusBatch(
+    tasks.map((task) => task.task),
+    namedNode(cts.TASK_STATUSES.cancelled),
+    {
+      error,
+      creator,
+      expectedStatuses: [
+        namedNode(cts.TASK_STATUSES.scheduled),
+        namedNode(cts.TASK_STATUSES.busy),
+      ],
     }
-    INSERT {
-      GRAPH ?g {
-        ${jobSparql}
-          adms:status ${rst.termToString(status)} ;
-          dct:modified ${nowSparql} .
-        ${errorTriple}
+  );
+
+  const removedFiles = [];
+  const keptFiles = [];
+  const failures = [];
+  if (options.removeFiles) {
+    const containers = tasks.flatMap((task) =>
+      [task.inputContainer, task.resultsContainer]
+        .filter((container) => container)
+        .map((container) => container.container)
+    );
+    const files = tasks.flatMap((task) => task.resultsContainer?.files || []);
+    const unique = [
+      ...new Map(files.map((file) => [file.value, file])).values(),
+    ];
+    for (const file of unique) {
+      try {
+        if (await isReferencedOutside(file, containers)) {
+          keptFiles.push(file);
+          continue;
+        }
+        // Containers can refer to either the logical or the physical file.
+        if (file.value.startsWith(stg.getConfiguration().scheme))
+          await afl.removeFromPhysicalFile(file);
+        else await afl.removeFromLogicalFile(file);
+        removedFiles.push(file);
+      } catch (exception) {
+        failures.push({ file, error: exception });
       }
     }
-    WHERE {
-      GRAPH ?g {
-        ${jobSparql}
-          adms:status ?oldStatus ;
-          dct:modified ?oldModified .
-      }
-    }`;
-  await mas.updateSudo(statusQuery);
+  }
+  return { error, tasks: unfinished, removedFiles, keptFiles, failures };
+}
+
+/**
+ * Check if a Job has been cancelled, see {@link cancel}. Meant for services working on a Task of the Job, to check between steps whether they should stop.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} job - The Job to check.
+ * @returns {boolean} True when the Job has the cancelled status.
+ */
+export async function isCancelled(job) {
+  const info = await get(job);
+  return !!info?.status.equals(namedNode(cts.JOB_STATUSES.cancelled));
 }
 
 /**
@@ -112,7 +223,7 @@ export async function updateStatus(job, status, error) {
  */
 export async function getStatusFromActivity(activity) {
   const activitySparql = rst.termToString(activity);
-  const response = await mas.querySudo(`
+  const response = await spq.query(`
     ${cts.SPARQL_PREFIXES}
     CONSTRUCT {
       ?job
@@ -150,3 +261,140 @@ export async function getStatusFromActivity(activity) {
   );
   return store;
 }
+
+/**
+ * Get all information about a Job.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} job - The IRI of the Job.
+ * @returns {object} An object with the structure `{ job: namedNode, uuid: string, operation: namedNode, cogsOperation: namedNode, status: namedNode, creator: namedNode, created: Date, modified: Date, activity: namedNode, error: namedNode, started: Date, ended: Date, graph: namedNode }`. Properties that are not set on the Job are `undefined`. Returns `undefined` when the Job could not be found.
+ */
+export async function get(job) {
+  const jobSparql = rst.termToString(job);
+  const response = await spq.query(`
+    ${cts.SPARQL_PREFIXES}
+    SELECT ?uuid ?operation ?cogsOperation ?status ?creator ?created ?modified ?activity ?error ?started ?ended ?graph WHERE {
+      GRAPH ?graph {
+        ${jobSparql}
+          a cogs:Job ;
+          adms:status ?status .
+        OPTIONAL { ${jobSparql} mu:uuid ?uuid . }
+        OPTIONAL { ${jobSparql} task:operation ?operation . }
+        OPTIONAL { ${jobSparql} task:cogsOperation ?cogsOperation . }
+        OPTIONAL { ${jobSparql} dct:creator ?creator . }
+        OPTIONAL { ${jobSparql} dct:created ?created . }
+        OPTIONAL { ${jobSparql} dct:modified ?modified . }
+        OPTIONAL { ${jobSparql} prov:generatedBy ?activity . }
+        OPTIONAL { ${jobSparql} task:error ?error . }
+        OPTIONAL { ${jobSparql} prov:startedAtTime ?started . }
+        OPTIONAL { ${jobSparql} prov:endedAtTime ?ended . }
+      }
+    } LIMIT 1
+  `);
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  const result = sparqlJsonParser.parseJsonResults(response)[0];
+  if (!result) return undefined;
+  return {
+    job,
+    uuid: result.uuid?.value,
+    operation: result.operation,
+    cogsOperation: result.cogsOperation,
+    status: result.status,
+    creator: result.creator,
+    created: result.created ? new Date(result.created.value) : undefined,
+    modified: result.modified ? new Date(result.modified.value) : undefined,
+    activity: result.activity,
+    error: result.error,
+    started: result.started ? new Date(result.started.value) : undefined,
+    ended: result.ended ? new Date(result.ended.value) : undefined,
+    graph: result.graph,
+  };
+}
+
+/**
+ * Get all Tasks that are part of a Job.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} job - The IRI of the Job.
+ * @returns {array(object)} The Tasks as returned by {@link module:tasks.get}, ordered by their index.
+ */
+export async function getTasks(job) {
+  const response = await spq.query(`
+    ${cts.SPARQL_PREFIXES}
+    SELECT DISTINCT ?task WHERE {
+      GRAPH ?g {
+        ?task
+          a task:Task ;
+          dct:isPartOf ${rst.termToString(job)} .
+      }
+    }
+  `);
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  const parsedResults = sparqlJsonParser.parseJsonResults(response);
+  const tasks = [];
+  for (const { task } of parsedResults) tasks.push(await tsk.get(task));
+  // Indices are stored as plain literals, so they can not be sorted in SPARQL reliably.
+  return tasks.filter((t) => t).sort((a, b) => a.index - b.index);
+}
+
+function hasFinished(status) {
+  return [
+    cts.JOB_STATUSES.success,
+    cts.JOB_STATUSES.failed,
+    cts.JOB_STATUSES.cancelled,
+  ].includes(status.value);
+}
+
+// The counterpart of a file is its logical or physical file, linked with nie:dataSource. A remote data object is never a counterpart, so downloaded files always count as referenced.
+async function isReferencedOutside(file, containers) {
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  const counterpartsResponse = await spq.query(
+    qbd.select(
+      [variable('member')],
+      [
+        qbd.union(
+          [qbd.graph(variable('g'), sparql`?member nie:dataSource ${file} .`)],
+          [qbd.graph(variable('g'), sparql`${file} nie:dataSource ?member .`)]
+        ),
+        qbd.filter(sparql`NOT EXISTS {
+          GRAPH ?h { ?member a nfo:RemoteDataObject . }
+        }`),
+      ],
+      { distinct: true }
+    )
+  );
+  const members = [
+    file,
+    ...sparqlJsonParser
+      .parseJsonResults(counterpartsResponse)
+      .map((result) => result.member),
+  ];
+  const referencesResponse = await spq.query(
+    qbd.select(
+      [variable('reference')],
+      [
+        qbd.values(variable('member'), members),
+        qbd.union(
+          [qbd.graph(variable('g'), sparql`?reference ?p ?member .`)],
+          [
+            qbd.graph(
+              variable('g'),
+              sparql`?member nie:dataSource ?reference .`
+            ),
+          ]
+        ),
+      ],
+      { distinct: true }
+    )
+  );
+  const known = [...members, ...containers];
+  return sparqlJsonParser
+    .parseJsonResults(referencesResponse)
+    .some(
+      (result) => !known.some((resource) => resource.equals(result.reference))
+    );
+}
@@ -0,0 +1,239 @@
+/**
+ * @module lifecycle
+ * @description Move Jobs and Tasks through their statuses while enforcing the allowed transitions from `TASK_STATUS_TRANSITIONS` and `JOB_STATUS_TRANSITIONS`. Transitions are recorded in the triplestore by {@link module:concurrency.setStatus}, so the full status history of a Job or Task can be retrieved.
+ */
+
+import * as spq from './sparql.js';
+import * as cts from './constants.js';
+import * as tsk from './tasks.js';
+import * as jbt from './jobs.js';
+import * as qbd from './queryBuilder.js';
+import * as N3 from 'n3';
+import * as sjp from 'sparqljson-parse';
+const { namedNode, variable, quad } = N3.DataFactory;
+const { sparql } = qbd;
+
+/**
+ * Thrown when a Job or Task is requested to move to a status that is not allowed from its current status.
+ *
+ * @public
+ * @class
+ * @param {string} message - Explains why the transition is not allowed.
+ * @param {namedNode} resource - The Job or Task that was to be updated.
+ * @param {namedNode} [from] - The current status of the resource, if it has one.
+ * @param {namedNode} to - The requested status.
+ */
+export class IllegalTransitionError extends Error {
+  constructor(message, resource, from, to) {
+    super(message);
+    this.name = 'IllegalTransitionError';
+    this.resource = resource;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Check if a Task is allowed to move from one status to another.
+ *
+ * @public
+ * @function
+ * @param {namedNode} from - The current status of the Task.
+ * @param {namedNode} to - The requested status of the Task.
+ * @returns {boolean} True when the transition is allowed.
+ */
+export function isValidTaskTransition(from, to) {
+  return !!cts.TASK_STATUS_TRANSITIONS[from.value]?.includes(to.value);
+}
+
+/**
+ * Check if a Job is allowed to move from one status to another.
+ *
+ * @public
+ * @function
+ * @param {namedNode} from - The current status of the Job.
+ * @param {namedNode} to - The requested status of the Job.
+ * @returns {boolean} True when the transition is allowed.
+ */
+export function isValidJobTransition(from, to) {
+  return !!cts.JOB_STATUS_TRANSITIONS[from.value]?.includes(to.value);
+}
+
+/**
+ * Get the statuses from which a resource can move to the given status.
+ *
+ * @public
+ * @function
+ * @param {object} transitions - The allowed transitions, e.g. `TASK_STATUS_TRANSITIONS`.
+ * @param {namedNode} to - The requested status.
+ * @returns {array(namedNode)} The statuses that allow a transition to the requested status.
+ */
+export function getStatusesLeadingTo(transitions, to) {
+  return Object.keys(transitions)
+    .filter((from) => transitions[from].includes(to.value))
+    .map((from) => namedNode(from));
+}
+
+/**
+ * Update the status of a Task after validating the transition, and record the transition in the status history. The transition is validated in the same update that changes the status, so a Task that is changed by someone else in the meantime can not end up in a status that is not allowed. See {@link module:tasks.updateStatus} for the handling of results and errors.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} task - Represents the Task of which the status is to be updated.
+ * @param {namedNode} status - The new status for this Task.
+ * @param {namedNode} creator - The identifier for the service that updates this Task.
+ * @param { { files: array(namedNode), remoteDataObjects: array(namedNode) } } [results] - Only when the new status is to indicate success: link either files or remote data objects to this Task as part of its results container.
+ * @param {namedNode} [error] - Only when the new status is to indicate failure: link the Task to this error entity.
+ * @returns {namedNode} The IRI of the recorded transition.
+ * @throws {IllegalTransitionError} When the Task can not move from its current status to the given status.
+ */
+export async function transitionTask(task, status, creator, results, error) {
+  const transition = await tsk.updateStatus(
+    task,
+    status,
+    creator,
+    results,
+    error,
+    {
+      expectedStatuses: getStatusesLeadingTo(
+        cts.TASK_STATUS_TRANSITIONS,
+        status
+      ),
+    }
+  );
+  if (transition) return transition;
+  const current = await getStatus(task);
+  throw new IllegalTransitionError(
+    `Task ${task.value} can not go from status ${current?.value} to ${status.value}`,
+    task,
+    current,
+    status
+  );
+}
+
+/**
+ * Update the status of a Job after validating the transition, and record the transition in the status history. As with {@link transitionTask}, the transition is validated in the same update that changes the status. A Job can only succeed when all of its Tasks have succeeded. Tasks that were replaced by a clone with {@link module:retries.retry} do not count, their latest attempt does.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} job - Represents the Job of which the status is to be updated.
+ * @param {namedNode} status - The new status for this Job.
+ * @param {namedNode} creator - The identifier for the service that updates this Job.
+ * @param {namedNode} [error] - Only when the new status is to indicate failure: link the Job to this error entity.
+ * @returns {namedNode} The IRI of the recorded transition.
+ * @throws {IllegalTransitionError} When the Job can not move from its current status to the given status, or when it is to succeed while some of its Tasks have not.
+ */
+export async function transitionJob(job, status, creator, error) {
+  const succeeds = status.value === cts.JOB_STATUSES.success;
+  const conditions = [];
+  if (succeeds)
+    conditions.push(
+      qbd.filter(
+        sparql`NOT EXISTS { ${unsuccessfulTaskPatterns(variable('resource'))} }`
+      )
+    );
+  const transition = await jbt.updateStatus(job, status, error, {
+    creator,
+    expectedStatuses: getStatusesLeadingTo(cts.JOB_STATUS_TRANSITIONS, status),
+    conditions,
+  });
+  if (transition) return transition;
+  const current = await getStatus(job);
+  if (current && isValidJobTransition(current, status) && succeeds) {
+    const unfinished = await getUnsuccessfulTasks(job);
+    throw new IllegalTransitionError(
+      `Job ${job.value} can not succeed while ${unfinished.length} of its Tasks have not succeeded`,
+      job,
+      current,
+      status
+    );
+  }
+  throw new IllegalTransitionError(
+    `Job ${job.value} can not go from status ${current?.value} to ${status.value}`,
+    job,
+    current,
+    status
+  );
+}
+
+/**
+ * Get the recorded status history of a Job, Task or remote data object, oldest transition first. Every status change made with this library is recorded, see {@link module:concurrency.setStatus}. Changes made directly in the triplestore are not.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} resource - The Job, Task or remote data object to get the history for.
+ * @returns {array(object)} An array of objects with the structure `{ transition: namedNode, from: namedNode, to: namedNode, created: literal, creator: namedNode }`. The `creator` is `undefined` when the change was made without one.
+ */
+export async function getStatusHistory(resource) {
+  const response = await spq.query(
+    qbd.select(
+      ['transition', 'from', 'to', 'created', 'creator'].map(variable),
+      [
+        qbd.graph(
+          variable('g'),
+          sparql`
+            ${resource} ext:hasStatusTransition ?transition .
+            ?transition
+              a ext:StatusTransition ;
+              ext:fromStatus ?from ;
+              ext:toStatus ?to ;
+              dct:created ?created .`,
+          qbd.optional(sparql`?transition dct:creator ?creator .`)
+        ),
+      ],
+      { orderBy: [variable('created')] }
+    )
+  );
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  return sparqlJsonParser.parseJsonResults(response);
+}
+
+async function getStatus(resource) {
+  const response = await spq.query(
+    qbd.select(
+      [variable('status')],
+      [
+        quad(
+          resource,
+          namedNode(cts.PREDICATE_TABLE.adms_status),
+          variable('status'),
+          variable('g')
+        ),
+      ],
+      { limit: 1 }
+    )
+  );
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  const parsedResults = sparqlJsonParser.parseJsonResults(response);
+  return parsedResults[0]?.status;
+}
+
+async function getUnsuccessfulTasks(job) {
+  const response = await spq.query(
+    qbd.select([variable('task')], [unsuccessfulTaskPatterns(job)], {
+      distinct: true,
+    })
+  );
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  const parsedResults = sparqlJsonParser.parseJsonResults(response);
+  return parsedResults.map((r) => r.task);
+}
+
+// Tasks of the Job that have not succeeded, leaving out those that were replaced by a clone.
+function unsuccessfulTaskPatterns(job) {
+  const success = namedNode(cts.TASK_STATUSES.success);
+  return sparql`
+    GRAPH ?taskGraph {
+      ?task
+        a task:Task ;
+        dct:isPartOf ${job} ;
+        adms:status ?taskStatus .
+    }
+    FILTER (?taskStatus != ${success})
+    FILTER NOT EXISTS {
+      GRAPH ?retryGraph { ?retry ext:previousAttempt ?task . }
+    }`;
+}
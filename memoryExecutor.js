@@ -0,0 +1,1095 @@
+/**
+ * @module memoryExecutor
+ * @description An in-memory SPARQL executor backed by an N3 Store. It understands the subset of SPARQL that this library emits (INSERT DATA, DELETE DATA, DELETE/INSERT WHERE, DELETE WHERE, SELECT, CONSTRUCT and ASK) and answers in the same SPARQL JSON results format as `@lblod/mu-auth-sudo`. Use it with {@link module:sparql.setExecutor} to test services without a live triplestore.
+ *
+ * Like Virtuoso, the default graph is the union of all graphs in the store. Triples inserted without a `GRAPH` clause end up in the store's default graph, and triples deleted without a `GRAPH` clause are removed from every graph.
+ */
+
+import * as N3 from 'n3';
+import * as sparqljs from 'sparqljs';
+import * as cts from './constants.js';
+const { namedNode, literal, blankNode, quad, defaultGraph } = N3.DataFactory;
+
+const XSD = {
+  string: `${cts.PREFIX_TABLE.xsd}string`,
+  boolean: `${cts.PREFIX_TABLE.xsd}boolean`,
+  integer: `${cts.PREFIX_TABLE.xsd}integer`,
+  decimal: `${cts.PREFIX_TABLE.xsd}decimal`,
+  double: `${cts.PREFIX_TABLE.xsd}double`,
+  float: `${cts.PREFIX_TABLE.xsd}float`,
+  dateTime: `${cts.PREFIX_TABLE.xsd}dateTime`,
+  date: `${cts.PREFIX_TABLE.xsd}date`,
+};
+const LANG_STRING = `${cts.PREFIX_TABLE.rdf}langString`;
+const INTEGER_TYPES = [
+  XSD.integer,
+  `${cts.PREFIX_TABLE.xsd}int`,
+  `${cts.PREFIX_TABLE.xsd}long`,
+  `${cts.PREFIX_TABLE.xsd}short`,
+  `${cts.PREFIX_TABLE.xsd}byte`,
+  `${cts.PREFIX_TABLE.xsd}nonNegativeInteger`,
+  `${cts.PREFIX_TABLE.xsd}positiveInteger`,
+  `${cts.PREFIX_TABLE.xsd}nonPositiveInteger`,
+  `${cts.PREFIX_TABLE.xsd}negativeInteger`,
+  `${cts.PREFIX_TABLE.xsd}unsignedInt`,
+  `${cts.PREFIX_TABLE.xsd}unsignedLong`,
+];
+const NUMERIC_TYPES = [XSD.decimal, XSD.double, XSD.float, ...INTEGER_TYPES];
+
+/**
+ * Create an executor that runs queries and updates against an N3 Store in memory instead of against a triplestore.
+ *
+ * @public
+ * @function
+ * @param {N3.Store} [store] - The store to query and update. A new, empty store is created when omitted.
+ * @returns { { store: N3.Store, query: function, update: function } } An executor that can be passed to {@link module:sparql.setExecutor}. The `store` is exposed so tests can seed and inspect data directly.
+ */
+export function create(store = new N3.Store()) {
+  return {
+    store,
+    async query(queryString) {
+      const parsed = parse(queryString);
+      if (parsed.type !== 'query')
+        throw new Error('Expected a query, but received an update.');
+      return executeQuery(newContext(store), parsed);
+    },
+    async update(updateString) {
+      const parsed = parse(updateString);
+      if (parsed.type !== 'update')
+        throw new Error('Expected an update, but received a query.');
+      const context = newContext(store);
+      for (const operation of parsed.updates)
+        executeUpdateOperation(context, operation);
+    },
+  };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Parsing and context
+////////////////////////////////////////////////////////////////////////////////
+
+function parse(sparql) {
+  const parser = new sparqljs.Parser({ skipValidation: true });
+  return parser.parse(sparql);
+}
+
+function newContext(store) {
+  return {
+    store,
+    now: literal(new Date().toISOString(), namedNode(XSD.dateTime)),
+    blankNodeCounter: 0,
+  };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Queries
+////////////////////////////////////////////////////////////////////////////////
+
+function executeQuery(context, parsed) {
+  switch (parsed.queryType) {
+    case 'SELECT': {
+      const { variables, solutions } = executeSelect(context, parsed);
+      return {
+        head: { vars: variables },
+        results: {
+          bindings: solutions.map((solution) => toSparqlJsonBinding(solution)),
+        },
+      };
+    }
+    case 'CONSTRUCT': {
+      const store = new N3.Store();
+      const solutions = applySliceModifiers(
+        evaluateWhere(context, parsed),
+        parsed
+      );
+      for (const solution of solutions)
+        for (const triple of instantiate(
+          context,
+          [{ type: 'bgp', triples: parsed.template }],
+          solution,
+          defaultGraph()
+        ))
+          store.addQuad(triple.subject, triple.predicate, triple.object);
+      return {
+        head: { vars: ['s', 'p', 'o'] },
+        results: {
+          bindings: store.getQuads(null, null, null, null).map((triple) =>
+            toSparqlJsonBinding({
+              s: triple.subject,
+              p: triple.predicate,
+              o: triple.object,
+            })
+          ),
+        },
+      };
+    }
+    case 'ASK':
+      return { head: {}, boolean: evaluateWhere(context, parsed).length > 0 };
+    default:
+      throw new Error(
+        `The in-memory executor does not support ${parsed.queryType} queries.`
+      );
+  }
+}
+
+function evaluateWhere(context, parsed) {
+  let solutions = evaluateGroup(context, parsed.where || [], [{}], null);
+  if (parsed.values) solutions = join(solutions, parsed.values.map(toSolution));
+  return solutions;
+}
+
+function executeSelect(context, parsed) {
+  const solutions = evaluateWhere(context, parsed);
+  const isWildcard =
+    parsed.variables.length === 1 &&
+    parsed.variables[0] instanceof sparqljs.Wildcard;
+  const projections = isWildcard ? [] : parsed.variables;
+  const usesAggregates =
+    parsed.group ||
+    parsed.having ||
+    projections.some((p) => p.expression && containsAggregate(p.expression));
+
+  // Every row is a solution extended with projected expressions, together with the group of solutions it represents when aggregating.
+  let rows;
+  if (usesAggregates) {
+    rows = groupSolutions(context, solutions, parsed.group || []);
+    if (parsed.having)
+      rows = rows.filter((row) =>
+        parsed.having.every((expression) =>
+          effectiveBooleanValueOrFalse(
+            tryEvaluate(context, expression, row.solution, null, row.group)
+          )
+        )
+      );
+  } else rows = solutions.map((solution) => ({ solution: { ...solution } }));
+
+  for (const projection of projections) {
+    if (!projection.expression) continue;
+    for (const row of rows) {
+      const value = tryEvaluate(
+        context,
+        projection.expression,
+        row.solution,
+        null,
+        row.group
+      );
+      if (value) row.solution[projection.variable.value] = value;
+    }
+  }
+
+  if (parsed.order)
+    rows.sort((a, b) => {
+      for (const { expression, descending } of parsed.order) {
+        const order = compareForOrdering(
+          tryEvaluate(context, expression, a.solution, null, a.group),
+          tryEvaluate(context, expression, b.solution, null, b.group)
+        );
+        if (order !== 0) return descending ? -order : order;
+      }
+      return 0;
+    });
+
+  let variables = projections.map((p) => (p.variable || p).value);
+  if (isWildcard)
+    variables = [
+      ...new Set(rows.flatMap((row) => Object.keys(row.solution))),
+    ].filter((name) => !name.startsWith('_:'));
+  let projected = rows.map((row) => {
+    const solution = {};
+    for (const name of variables)
+      if (row.solution[name]) solution[name] = row.solution[name];
+    return solution;
+  });
+  if (parsed.distinct || parsed.reduced) projected = distinct(projected);
+  return { variables, solutions: applySliceModifiers(projected, parsed) };
+}
+
+function applySliceModifiers(solutions, parsed) {
+  const offset = parsed.offset || 0;
+  const end = parsed.limit !== undefined ? offset + parsed.limit : undefined;
+  return solutions.slice(offset, end);
+}
+
+function groupSolutions(context, solutions, groupConditions) {
+  const groups = new Map();
+  for (const solution of solutions) {
+    const key = {};
+    for (const condition of groupConditions) {
+      const value = tryEvaluate(context, condition.expression, solution, null);
+      let name = condition.variable?.value;
+      if (!name && condition.expression.termType === 'Variable')
+        name = condition.expression.value;
+      if (name && value) key[name] = value;
+    }
+    const hash = solutionHash(key);
+    if (!groups.has(hash)) groups.set(hash, { solution: key, group: [] });
+    groups.get(hash).group.push(solution);
+  }
+  // Aggregating without grouping over no solutions still yields a single (empty) group.
+  if (!groups.size && !groupConditions.length)
+    groups.set('', { solution: {}, group: [] });
+  return [...groups.values()];
+}
+
+function containsAggregate(expression) {
+  if (!expression || typeof expression !== 'object') return false;
+  if (expression.type === 'aggregate') return true;
+  return (expression.args || []).some((arg) =>
+    Array.isArray(arg) ? arg.some(containsAggregate) : containsAggregate(arg)
+  );
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Graph patterns
+////////////////////////////////////////////////////////////////////////////////
+
+function evaluateGroup(context, patterns, solutions, graph) {
+  const filters = [];
+  for (const pattern of patterns) {
+    switch (pattern.type) {
+      case 'bgp':
+        for (const triple of pattern.triples)
+          solutions = solutions.flatMap((solution) =>
+            matchTriple(context, triple, solution, graph)
+          );
+        break;
+      case 'graph':
+        solutions = evaluateGroup(
+          context,
+          pattern.patterns || [{ type: 'bgp', triples: pattern.triples }],
+          solutions,
+          pattern.name
+        );
+        break;
+      case 'group':
+        solutions = evaluateGroup(context, pattern.patterns, solutions, graph);
+        break;
+      case 'optional':
+        solutions = solutions.flatMap((solution) => {
+          const extended = evaluateGroup(
+            context,
+            pattern.patterns,
+            [solution],
+            graph
+          );
+          return extended.length ? extended : [solution];
+        });
+        break;
+      case 'union':
+        solutions = solutions.flatMap((solution) =>
+          pattern.patterns.flatMap((branch) =>
+            evaluateGroup(context, [branch], [solution], graph)
+          )
+        );
+        break;
+      case 'minus': {
+        const subtrahend = evaluateGroup(
+          context,
+          pattern.patterns,
+          [{}],
+          graph
+        );
+        solutions = solutions.filter(
+          (solution) =>
+            !subtrahend.some(
+              (other) =>
+                Object.keys(other).some((name) => name in solution) &&
+                areCompatible(solution, other)
+            )
+        );
+        break;
+      }
+      case 'filter':
+        filters.push(pattern.expression);
+        break;
+      case 'bind':
+        solutions = solutions.flatMap((solution) => {
+          const name = pattern.variable.value;
+          const value = tryEvaluate(
+            context,
+            pattern.expression,
+            solution,
+            graph
+          );
+          if (!value) return [solution];
+          if (solution[name])
+            return solution[name].equals(value) ? [solution] : [];
+          return [{ ...solution, [name]: value }];
+        });
+        break;
+      case 'values':
+        solutions = join(solutions, pattern.values.map(toSolution));
+        break;
+      case 'query':
+        solutions = join(solutions, executeSelect(context, pattern).solutions);
+        break;
+      default:
+        throw new Error(
+          `The in-memory executor does not support '${pattern.type}' patterns.`
+        );
+    }
+  }
+  return solutions.filter((solution) =>
+    filters.every((expression) =>
+      effectiveBooleanValueOrFalse(
+        tryEvaluate(context, expression, solution, graph)
+      )
+    )
+  );
+}
+
+function matchTriple(context, triple, solution, graph) {
+  if (triple.predicate.type === 'path')
+    return matchPath(
+      context,
+      triple.subject,
+      triple.predicate,
+      triple.object,
+      solution,
+      graph
+    );
+  const subject = substitute(triple.subject, solution);
+  const predicate = substitute(triple.predicate, solution);
+  const object = substitute(triple.object, solution);
+  const graphTerm = graph ? substitute(graph, solution) : null;
+  const results = [];
+  for (const match of context.store.getQuads(
+    isVariable(subject) ? null : subject,
+    isVariable(predicate) ? null : predicate,
+    isVariable(object) ? null : object,
+    !graphTerm || isVariable(graphTerm) ? null : graphTerm
+  )) {
+    // A GRAPH clause only ever matches named graphs.
+    if (graphTerm && match.graph.termType === 'DefaultGraph') continue;
+    let extended = bindTerm(solution, subject, match.subject);
+    extended = extended && bindTerm(extended, predicate, match.predicate);
+    extended = extended && bindTerm(extended, object, match.object);
+    if (extended && graphTerm)
+      extended = bindTerm(extended, graphTerm, match.graph);
+    if (extended) results.push(extended);
+  }
+  return results;
+}
+
+function matchPath(context, subject, path, object, solution, graph) {
+  switch (path.pathType) {
+    case '^':
+      return matchTriple(
+        context,
+        { subject: object, predicate: path.items[0], object: subject },
+        solution,
+        graph
+      );
+    case '|':
+      return path.items.flatMap((item) =>
+        matchTriple(
+          context,
+          { subject, predicate: item, object },
+          solution,
+          graph
+        )
+      );
+    case '/': {
+      let solutions = [solution];
+      let current = subject;
+      path.items.forEach((item, index) => {
+        const next =
+          index === path.items.length - 1
+            ? object
+            : blankNode(`path${context.blankNodeCounter++}`);
+        solutions = solutions.flatMap((s) =>
+          matchTriple(
+            context,
+            { subject: current, predicate: item, object: next },
+            s,
+            graph
+          )
+        );
+        current = next;
+      });
+      // Forget the intermediate nodes again.
+      return solutions.map((s) => {
+        const cleaned = {};
+        for (const name in s)
+          if (!name.startsWith('_:path') || name in solution)
+            cleaned[name] = s[name];
+        return cleaned;
+      });
+    }
+    default:
+      throw new Error(
+        `The in-memory executor does not support '${path.pathType}' property paths.`
+      );
+  }
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Updates
+////////////////////////////////////////////////////////////////////////////////
+
+function executeUpdateOperation(context, operation) {
+  const { store } = context;
+  switch (operation.updateType) {
+    case 'insert':
+      for (const q of instantiate(
+        context,
+        operation.insert,
+        {},
+        defaultGraph()
+      ))
+        store.addQuad(q);
+      return;
+    case 'delete':
+      for (const q of instantiate(context, operation.delete, {}, null))
+        removeQuad(store, q);
+      return;
+    case 'deletewhere': {
+      const where = operation.delete.map(quadPatternToGroupPattern);
+      const solutions = evaluateGroup(context, where, [{}], null);
+      removeAll(context, operation.delete, solutions, null);
+      return;
+    }
+    case 'insertdelete': {
+      const withGraph = operation.graph || null;
+      const where = withGraph
+        ? [{ type: 'graph', name: withGraph, patterns: operation.where }]
+        : operation.where;
+      const solutions = evaluateGroup(context, where || [], [{}], null);
+      removeAll(context, operation.delete || [], solutions, withGraph);
+      const inserts = solutions.flatMap((solution) =>
+        instantiate(
+          context,
+          operation.insert || [],
+          solution,
+          withGraph || defaultGraph()
+        )
+      );
+      for (const q of inserts) store.addQuad(q);
+      return;
+    }
+  }
+  switch (operation.type) {
+    case 'clear':
+    case 'drop':
+      for (const graph of targetGraphs(store, operation.graph))
+        store.removeQuads(store.getQuads(null, null, null, graph));
+      return;
+    case 'create':
+      return;
+    default:
+      throw new Error(
+        `The in-memory executor does not support '${
+          operation.updateType || operation.type
+        }' updates.`
+      );
+  }
+}
+
+function quadPatternToGroupPattern(quadPattern) {
+  if (quadPattern.type === 'graph')
+    return {
+      type: 'graph',
+      name: quadPattern.name,
+      patterns: [{ type: 'bgp', triples: quadPattern.triples }],
+    };
+  return quadPattern;
+}
+
+function removeAll(context, templates, solutions, graph) {
+  const quads = solutions.flatMap((solution) =>
+    instantiate(context, templates, solution, graph)
+  );
+  for (const q of quads) removeQuad(context.store, q);
+}
+
+function removeQuad(store, q) {
+  // A quad without graph removes the triple from every graph, as the default graph is the union of all graphs.
+  if (q.graph) store.removeQuad(q);
+  else
+    store.removeQuads(store.getQuads(q.subject, q.predicate, q.object, null));
+}
+
+function targetGraphs(store, target) {
+  if (target.name) return [target.name];
+  if (target.default) return [defaultGraph()];
+  const graphs = store.getGraphs(null, null, null);
+  if (target.named)
+    return graphs.filter((graph) => graph.termType !== 'DefaultGraph');
+  return graphs;
+}
+
+function instantiate(context, templates, solution, graph) {
+  const blankNodes = {};
+  const freshen = (term) => {
+    if (term.termType !== 'BlankNode') return term;
+    if (!blankNodes[term.value])
+      blankNodes[term.value] = blankNode(`b${context.blankNodeCounter++}`);
+    return blankNodes[term.value];
+  };
+  const quads = [];
+  for (const template of templates) {
+    const templateGraph =
+      template.type === 'graph'
+        ? substitute(template.name, solution)
+        : graph && substitute(graph, solution);
+    if (templateGraph && isVariable(templateGraph)) continue;
+    for (const triple of template.triples) {
+      const subject = freshen(substitute(triple.subject, solution));
+      const predicate = substitute(triple.predicate, solution);
+      const object = freshen(substitute(triple.object, solution));
+      if ([subject, predicate, object].some(isVariable)) continue;
+      if (subject.termType === 'Literal') continue;
+      if (predicate.termType !== 'NamedNode') continue;
+      quads.push(
+        templateGraph
+          ? quad(subject, predicate, object, templateGraph)
+          : { subject, predicate, object, graph: null }
+      );
+    }
+  }
+  return quads;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Solutions
+////////////////////////////////////////////////////////////////////////////////
+
+function variableName(term) {
+  return term.termType === 'Variable' ? term.value : `_:${term.value}`;
+}
+
+// Blank nodes in query patterns behave like variables that are never projected.
+function isVariable(term) {
+  return term.termType === 'Variable' || term.termType === 'BlankNode';
+}
+
+function substitute(term, solution) {
+  if (!isVariable(term)) return term;
+  return solution[variableName(term)] || term;
+}
+
+function bindTerm(solution, term, value) {
+  if (!isVariable(term)) return solution;
+  const name = variableName(term);
+  if (solution[name]) return solution[name].equals(value) ? solution : null;
+  return { ...solution, [name]: value };
+}
+
+function toSolution(values) {
+  const solution = {};
+  for (const key in values)
+    if (values[key]) solution[key.replace(/^\?/, '')] = values[key];
+  return solution;
+}
+
+function areCompatible(a, b) {
+  for (const name in a) if (b[name] && !b[name].equals(a[name])) return false;
+  return true;
+}
+
+function join(left, right) {
+  const joined = [];
+  for (const a of left)
+    for (const b of right) if (areCompatible(a, b)) joined.push({ ...a, ...b });
+  return joined;
+}
+
+function solutionHash(solution) {
+  return Object.keys(solution)
+    .sort()
+    .map((name) => `${name}=${termHash(solution[name])}`)
+    .join('|');
+}
+
+function termHash(term) {
+  if (term.termType === 'Literal')
+    return `"${term.value}"@${term.language}^^${term.datatype?.value}`;
+  return `${term.termType}:${term.value}`;
+}
+
+function distinct(solutions) {
+  const seen = new Set();
+  return solutions.filter((solution) => {
+    const hash = solutionHash(solution);
+    if (seen.has(hash)) return false;
+    seen.add(hash);
+    return true;
+  });
+}
+
+function toSparqlJsonBinding(solution) {
+  const binding = {};
+  for (const name in solution) {
+    const term = solution[name];
+    switch (term.termType) {
+      case 'NamedNode':
+        binding[name] = { type: 'uri', value: term.value };
+        break;
+      case 'BlankNode':
+        binding[name] = { type: 'bnode', value: term.value };
+        break;
+      case 'Literal':
+        binding[name] = { type: 'literal', value: term.value };
+        if (term.language) binding[name]['xml:lang'] = term.language;
+        else if (term.datatype && term.datatype.value !== XSD.string)
+          binding[name].datatype = term.datatype.value;
+        break;
+    }
+  }
+  return binding;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Expressions
+////////////////////////////////////////////////////////////////////////////////
+
+function tryEvaluate(context, expression, solution, graph, group) {
+  try {
+    return evaluate(context, expression, solution, graph, group);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+function evaluate(context, expression, solution, graph, group) {
+  if (expression.termType) {
+    if (isVariable(expression)) {
+      const value = solution[variableName(expression)];
+      if (!value) throw new Error(`Unbound variable ?${expression.value}`);
+      return value;
+    }
+    return expression;
+  }
+  const evalArg = (arg) => evaluate(context, arg, solution, graph, group);
+  switch (expression.type) {
+    case 'aggregate':
+      return evaluateAggregate(context, expression, graph, group);
+    case 'functionCall':
+      return evaluateCast(
+        expression.function.value,
+        evalArg(expression.args[0])
+      );
+    case 'operation':
+      break;
+    default:
+      throw new Error(`Unsupported expression type '${expression.type}'`);
+  }
+
+  const args = expression.args;
+  switch (expression.operator) {
+    case '||': {
+      const left = tryEvaluate(context, args[0], solution, graph, group);
+      if (left && effectiveBooleanValue(left)) return booleanLiteral(true);
+      return booleanLiteral(effectiveBooleanValue(evalArg(args[1])));
+    }
+    case '&&': {
+      const left = effectiveBooleanValue(evalArg(args[0]));
+      return booleanLiteral(left && effectiveBooleanValue(evalArg(args[1])));
+    }
+    case '!':
+      return booleanLiteral(!effectiveBooleanValue(evalArg(args[0])));
+    case '=':
+      return booleanLiteral(areEqual(evalArg(args[0]), evalArg(args[1])));
+    case '!=':
+      return booleanLiteral(!areEqual(evalArg(args[0]), evalArg(args[1])));
+    case '<':
+      return booleanLiteral(compare(evalArg(args[0]), evalArg(args[1])) < 0);
+    case '>':
+      return booleanLiteral(compare(evalArg(args[0]), evalArg(args[1])) > 0);
+    case '<=':
+      return booleanLiteral(compare(evalArg(args[0]), evalArg(args[1])) <= 0);
+    case '>=':
+      return booleanLiteral(compare(evalArg(args[0]), evalArg(args[1])) >= 0);
+    case '+':
+    case '-':
+    case '*':
+    case '/':
+      return arithmetic(
+        expression.operator,
+        evalArg(args[0]),
+        evalArg(args[1])
+      );
+    case 'UMINUS':
+      return arithmetic(
+        '-',
+        literal('0', namedNode(XSD.integer)),
+        evalArg(args[0])
+      );
+    case 'UPLUS':
+      return evalArg(args[0]);
+    case 'in':
+    case 'notin': {
+      const value = evalArg(args[0]);
+      const found = args[1].some((option) => areEqual(value, evalArg(option)));
+      return booleanLiteral(expression.operator === 'in' ? found : !found);
+    }
+    case 'exists':
+    case 'notexists': {
+      const found = evaluateGroup(context, args, [solution], graph).length > 0;
+      return booleanLiteral(expression.operator === 'exists' ? found : !found);
+    }
+    case 'bound':
+      return booleanLiteral(!!solution[variableName(args[0])]);
+    case 'if':
+      return effectiveBooleanValue(evalArg(args[0]))
+        ? evalArg(args[1])
+        : evalArg(args[2]);
+    case 'coalesce':
+      for (const arg of args) {
+        const value = tryEvaluate(context, arg, solution, graph, group);
+        if (value) return value;
+      }
+      throw new Error('No argument of COALESCE could be evaluated');
+    case 'sameterm':
+      return booleanLiteral(evalArg(args[0]).equals(evalArg(args[1])));
+    case 'isiri':
+    case 'isuri':
+      return booleanLiteral(evalArg(args[0]).termType === 'NamedNode');
+    case 'isblank':
+      return booleanLiteral(evalArg(args[0]).termType === 'BlankNode');
+    case 'isliteral':
+      return booleanLiteral(evalArg(args[0]).termType === 'Literal');
+    case 'isnumeric':
+      return booleanLiteral(isNumeric(evalArg(args[0])));
+    case 'str':
+      return literal(stringValue(evalArg(args[0])));
+    case 'lang':
+      return literal(asLiteral(evalArg(args[0])).language || '');
+    case 'datatype':
+      return asLiteral(evalArg(args[0])).datatype;
+    case 'iri':
+    case 'uri':
+      return namedNode(stringValue(evalArg(args[0])));
+    case 'strdt':
+      return literal(stringValue(evalArg(args[0])), evalArg(args[1]));
+    case 'strlang':
+      return literal(
+        stringValue(evalArg(args[0])),
+        stringValue(evalArg(args[1]))
+      );
+    case 'strlen':
+      return integerLiteral([...stringValue(evalArg(args[0]))].length);
+    case 'ucase':
+      return sameKindOfString(evalArg(args[0]), (s) => s.toUpperCase());
+    case 'lcase':
+      return sameKindOfString(evalArg(args[0]), (s) => s.toLowerCase());
+    case 'concat':
+      return literal(args.map((arg) => stringValue(evalArg(arg))).join(''));
+    case 'contains':
+      return booleanLiteral(
+        stringValue(evalArg(args[0])).includes(stringValue(evalArg(args[1])))
+      );
+    case 'strstarts':
+      return booleanLiteral(
+        stringValue(evalArg(args[0])).startsWith(stringValue(evalArg(args[1])))
+      );
+    case 'strends':
+      return booleanLiteral(
+        stringValue(evalArg(args[0])).endsWith(stringValue(evalArg(args[1])))
+      );
+    case 'substr': {
+      const string = [...stringValue(evalArg(args[0]))];
+      const start = Math.round(numericValue(evalArg(args[1]))) - 1;
+      const length = args[2]
+        ? Math.round(numericValue(evalArg(args[2])))
+        : string.length;
+      return sameKindOfString(evalArg(args[0]), () =>
+        string.slice(Math.max(start, 0), start + length).join('')
+      );
+    }
+    case 'regex':
+      return booleanLiteral(
+        toRegExp(evalArg(args[1]), args[2] && evalArg(args[2])).test(
+          stringValue(evalArg(args[0]))
+        )
+      );
+    case 'replace':
+      return sameKindOfString(evalArg(args[0]), (s) =>
+        s.replace(
+          toRegExp(evalArg(args[1]), args[3] && evalArg(args[3]), 'g'),
+          stringValue(evalArg(args[2])).replace(/\$(\d)/g, '$$$1')
+        )
+      );
+    case 'now':
+      return context.now;
+    case 'year':
+      return integerLiteral(dateValue(evalArg(args[0])).getUTCFullYear());
+    case 'month':
+      return integerLiteral(dateValue(evalArg(args[0])).getUTCMonth() + 1);
+    case 'day':
+      return integerLiteral(dateValue(evalArg(args[0])).getUTCDate());
+    case 'hours':
+      return integerLiteral(dateValue(evalArg(args[0])).getUTCHours());
+    case 'minutes':
+      return integerLiteral(dateValue(evalArg(args[0])).getUTCMinutes());
+    case 'seconds':
+      return literal(
+        String(dateValue(evalArg(args[0])).getUTCSeconds()),
+        namedNode(XSD.decimal)
+      );
+    case 'abs':
+      return numericLike(evalArg(args[0]), Math.abs);
+    case 'round':
+      return numericLike(evalArg(args[0]), Math.round);
+    case 'ceil':
+      return numericLike(evalArg(args[0]), Math.ceil);
+    case 'floor':
+      return numericLike(evalArg(args[0]), Math.floor);
+    default:
+      throw new Error(`Unsupported operator '${expression.operator}'`);
+  }
+}
+
+function evaluateAggregate(context, expression, graph, group) {
+  if (!group) throw new Error('Aggregate used outside of a group');
+  let values;
+  if (expression.expression instanceof sparqljs.Wildcard)
+    values = expression.distinct ? distinct(group) : group;
+  else {
+    values = group
+      .map((solution) =>
+        tryEvaluate(context, expression.expression, solution, graph)
+      )
+      .filter((value) => value);
+    if (expression.distinct) {
+      const seen = new Set();
+      values = values.filter((value) => {
+        const hash = termHash(value);
+        if (seen.has(hash)) return false;
+        seen.add(hash);
+        return true;
+      });
+    }
+  }
+  switch (expression.aggregation.toLowerCase()) {
+    case 'count':
+      return integerLiteral(values.length);
+    case 'sum':
+      return values.reduce(
+        (sum, value) => arithmetic('+', sum, value),
+        integerLiteral(0)
+      );
+    case 'avg':
+      if (!values.length) return integerLiteral(0);
+      return arithmetic(
+        '/',
+        values.reduce((sum, value) => arithmetic('+', sum, value)),
+        integerLiteral(values.length)
+      );
+    case 'min':
+      if (!values.length) throw new Error('MIN over no values');
+      return values.reduce((min, value) =>
+        compareForOrdering(value, min) < 0 ? value : min
+      );
+    case 'max':
+      if (!values.length) throw new Error('MAX over no values');
+      return values.reduce((max, value) =>
+        compareForOrdering(value, max) > 0 ? value : max
+      );
+    case 'sample':
+      if (!values.length) throw new Error('SAMPLE over no values');
+      return values[0];
+    case 'group_concat':
+      return literal(
+        values
+          .map(stringValue)
+          .join(expression.separator === undefined ? ' ' : expression.separator)
+      );
+    default:
+      throw new Error(`Unsupported aggregate '${expression.aggregation}'`);
+  }
+}
+
+function evaluateCast(datatype, value) {
+  const string = stringValue(value);
+  switch (datatype) {
+    case XSD.string:
+      return literal(string);
+    case XSD.boolean:
+      if (isNumeric(value)) return booleanLiteral(numericValue(value) !== 0);
+      if (!['true', 'false', '1', '0'].includes(string))
+        throw new Error(`Cannot cast '${string}' to a boolean`);
+      return booleanLiteral(string === 'true' || string === '1');
+    case XSD.integer:
+      if (Number.isNaN(Number(string)))
+        throw new Error(`Cannot cast '${string}' to an integer`);
+      return integerLiteral(Math.trunc(Number(string)));
+    case XSD.decimal:
+    case XSD.double:
+    case XSD.float:
+      if (Number.isNaN(Number(string)))
+        throw new Error(`Cannot cast '${string}' to a number`);
+      return literal(String(Number(string)), namedNode(datatype));
+    case XSD.dateTime:
+    case XSD.date:
+      if (Number.isNaN(Date.parse(string)))
+        throw new Error(`Cannot cast '${string}' to a date`);
+      return literal(string, namedNode(datatype));
+    default:
+      throw new Error(`Unsupported function <${datatype}>`);
+  }
+}
+
+function asLiteral(term) {
+  if (term.termType !== 'Literal') throw new Error('Expected a literal');
+  return term;
+}
+
+function isNumeric(term) {
+  return (
+    term.termType === 'Literal' && NUMERIC_TYPES.includes(term.datatype?.value)
+  );
+}
+
+function isInteger(term) {
+  return (
+    term.termType === 'Literal' && INTEGER_TYPES.includes(term.datatype?.value)
+  );
+}
+
+function isDate(term) {
+  return (
+    term.termType === 'Literal' &&
+    [XSD.dateTime, XSD.date].includes(term.datatype?.value)
+  );
+}
+
+function isStringLike(term) {
+  return (
+    term.termType === 'Literal' &&
+    (!term.datatype ||
+      term.datatype.value === XSD.string ||
+      term.datatype.value === LANG_STRING)
+  );
+}
+
+function numericValue(term) {
+  if (!isNumeric(term)) throw new Error('Expected a numeric literal');
+  return Number(term.value);
+}
+
+function dateValue(term) {
+  if (!isDate(term)) throw new Error('Expected a date literal');
+  return new Date(term.value);
+}
+
+function stringValue(term) {
+  if (term.termType === 'BlankNode')
+    throw new Error('Blank nodes have no string value');
+  return term.value;
+}
+
+function booleanLiteral(value) {
+  return literal(value ? 'true' : 'false', namedNode(XSD.boolean));
+}
+
+function integerLiteral(value) {
+  return literal(String(value), namedNode(XSD.integer));
+}
+
+function sameKindOfString(term, transform) {
+  const result = transform(stringValue(asLiteral(term)));
+  return term.language ? literal(result, term.language) : literal(result);
+}
+
+function numericLike(term, transform) {
+  return literal(String(transform(numericValue(term))), term.datatype);
+}
+
+function toRegExp(pattern, flags, extraFlags = '') {
+  const sparqlFlags = flags ? stringValue(flags) : '';
+  const jsFlags = sparqlFlags.replace(/[^ism]/g, '');
+  return new RegExp(stringValue(pattern), jsFlags + extraFlags);
+}
+
+function arithmetic(operator, left, right) {
+  const a = numericValue(left);
+  const b = numericValue(right);
+  let result;
+  switch (operator) {
+    case '+':
+      result = a + b;
+      break;
+    case '-':
+      result = a - b;
+      break;
+    case '*':
+      result = a * b;
+      break;
+    case '/':
+      if (b === 0) throw new Error('Division by zero');
+      result = a / b;
+      break;
+  }
+  if (operator !== '/' && isInteger(left) && isInteger(right))
+    return integerLiteral(result);
+  const datatype = [left, right].some((t) => t.datatype.value === XSD.double)
+    ? XSD.double
+    : XSD.decimal;
+  return literal(String(result), namedNode(datatype));
+}
+
+function effectiveBooleanValue(term) {
+  if (term.termType !== 'Literal')
+    throw new Error('No effective boolean value for non-literals');
+  if (term.datatype?.value === XSD.boolean)
+    return term.value === 'true' || term.value === '1';
+  if (isNumeric(term)) return !!Number(term.value);
+  if (isStringLike(term)) return term.value.length > 0;
+  throw new Error('No effective boolean value for this literal');
+}
+
+function effectiveBooleanValueOrFalse(term) {
+  try {
+    return !!term && effectiveBooleanValue(term);
+  } catch (e) {
+    return false;
+  }
+}
+
+function areEqual(a, b) {
+  if (isNumeric(a) && isNumeric(b)) return numericValue(a) === numericValue(b);
+  if (isDate(a) && isDate(b))
+    return dateValue(a).getTime() === dateValue(b).getTime();
+  return a.equals(b);
+}
+
+function compare(a, b) {
+  let x, y;
+  if (isNumeric(a) && isNumeric(b)) {
+    x = numericValue(a);
+    y = numericValue(b);
+  } else if (isDate(a) && isDate(b)) {
+    x = dateValue(a).getTime();
+    y = dateValue(b).getTime();
+  } else if (
+    isStringLike(a) &&
+    isStringLike(b) &&
+    (a.language || '') === (b.language || '')
+  ) {
+    x = a.value;
+    y = b.value;
+  } else if (
+    a.termType === 'Literal' &&
+    b.termType === 'Literal' &&
+    a.datatype?.value === XSD.boolean &&
+    b.datatype?.value === XSD.boolean
+  ) {
+    x = effectiveBooleanValue(a);
+    y = effectiveBooleanValue(b);
+  } else throw new Error('These terms cannot be compared');
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+// ORDER BY puts unbound values first, then blank nodes, IRIs and literals.
+function compareForOrdering(a, b) {
+  const rank = (term) =>
+    !term ? 0 : { BlankNode: 1, NamedNode: 2, Literal: 3 }[term.termType] || 4;
+  if (rank(a) !== rank(b)) return rank(a) - rank(b);
+  if (!a) return 0;
+  try {
+    return compare(a, b);
+  } catch (e) {
+    return a.value < b.value ? -1 : a.value > b.value ? 1 : 0;
+  }
+}
@@ -0,0 +1,272 @@
+/**
+ * @module metrics
+ * @description Record when Jobs and Tasks start and end, and how far they have progressed, and compute metrics per operation from that. A resource starts when it becomes busy and ends when it succeeds or fails. Durations are computed from these times when metrics are requested.
+ */
+
+import * as spq from './sparql.js';
+import * as cts from './constants.js';
+import * as qbd from './queryBuilder.js';
+import * as N3 from 'n3';
+import * as sjp from 'sparqljson-parse';
+const { namedNode, variable } = N3.DataFactory;
+const { sparql } = qbd;
+
+/**
+ * Record the start or end time of Jobs or Tasks after their status has changed. A start time is recorded for the busy status, removing the times of an earlier attempt. An end time is recorded for the success, failed and cancelled statuses. Other statuses are ignored.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {array(namedNode)} resources - The Jobs or Tasks that got a new status.
+ * @param {namedNode} status - The new status of the resources.
+ * @param {Date} [time=new Date()] - When the status changed.
+ * @returns {undefined} Nothing
+ */
+export async function recordTiming(resources, status, time = new Date()) {
+  let deletes;
+  let inserts;
+  if (status.value === cts.JOB_STATUSES.busy) {
+    deletes = sparql`
+      ?resource prov:startedAtTime ?oldStart .
+      ?resource prov:endedAtTime ?oldEnd .`;
+    inserts = sparql`?resource prov:startedAtTime ${time} .`;
+  } else if (
+    [
+      cts.JOB_STATUSES.success,
+      cts.JOB_STATUSES.failed,
+      cts.JOB_STATUSES.cancelled,
+    ].includes(status.value)
+  ) {
+    deletes = sparql`?resource prov:endedAtTime ?oldEnd .`;
+    inserts = sparql`?resource prov:endedAtTime ${time} .`;
+  } else return;
+
+  for (
+    let i = 0;
+    i < resources.length;
+    i += cts.BATCH_DEFAULTS.maxResourcesPerQuery
+  ) {
+    const chunk = resources.slice(
+      i,
+      i + cts.BATCH_DEFAULTS.maxResourcesPerQuery
+    );
+    await spq.update(
+      qbd.deleteInsert(
+        [qbd.graph(variable('g'), deletes)],
+        [qbd.graph(variable('g'), inserts)],
+        [
+          qbd.values(variable('resource'), chunk),
+          qbd.graph(
+            variable('g'),
+            sparql`?resource adms:status ?status .`,
+            qbd.optional(sparql`?resource prov:startedAtTime ?oldStart .`),
+            qbd.optional(sparql`?resource prov:endedAtTime ?oldEnd .`)
+          ),
+        ]
+      )
+    );
+  }
+}
+
+/**
+ * Report the progress of a Job or Task, e.g. the number of items processed out of the total number of items.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} resource - The Job or Task that made progress.
+ * @param {integer} processed - The number of items processed so far.
+ * @param {integer} [total] - The total number of items, if it is known.
+ * @returns {undefined} Nothing
+ */
+export async function updateProgress(resource, processed, total) {
+  const inserts = [sparql`${resource} ext:itemsProcessed ${processed} .`];
+  const conditions = [
+    sparql`${resource} adms:status ?status .`,
+    qbd.optional(sparql`${resource} ext:itemsProcessed ?oldProcessed .`),
+  ];
+  if (total !== undefined) {
+    inserts.push(sparql`${resource} ext:itemsTotal ${total} .`);
+    conditions.push(
+      qbd.optional(sparql`${resource} ext:itemsTotal ?oldTotal .`)
+    );
+  }
+  await spq.update(
+    qbd.deleteInsert(
+      [
+        qbd.graph(
+          variable('g'),
+          sparql`
+            ${resource} ext:itemsProcessed ?oldProcessed .
+            ${resource} ext:itemsTotal ?oldTotal .`
+        ),
+      ],
+      [qbd.graph(variable('g'), ...inserts)],
+      [qbd.graph(variable('g'), ...conditions)]
+    )
+  );
+}
+
+/**
+ * Get the timing and progress of a Job or Task.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} resource - The Job or Task.
+ * @returns { { started: Date, ended: Date, duration: integer, processed: integer, total: integer } } The start and end time, the duration in milliseconds (only when both are known) and the progress. Unknown values are `undefined`.
+ */
+export async function getTiming(resource) {
+  const response = await spq.query(
+    qbd.select(
+      ['started', 'ended', 'processed', 'total'].map((name) => variable(name)),
+      [
+        qbd.graph(
+          variable('g'),
+          sparql`${resource} adms:status ?status .`,
+          qbd.optional(sparql`${resource} prov:startedAtTime ?started .`),
+          qbd.optional(sparql`${resource} prov:endedAtTime ?ended .`),
+          qbd.optional(sparql`${resource} ext:itemsProcessed ?processed .`),
+          qbd.optional(sparql`${resource} ext:itemsTotal ?total .`)
+        ),
+      ],
+      { limit: 1 }
+    )
+  );
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  const result = sparqlJsonParser.parseJsonResults(response)[0] || {};
+  const started = result.started && new Date(result.started.value);
+  const ended = result.ended && new Date(result.ended.value);
+  return {
+    started,
+    ended,
+    duration: started && ended ? ended - started : undefined,
+    processed: result.processed && Number(result.processed.value),
+    total: result.total && Number(result.total.value),
+  };
+}
+
+/**
+ * Compute metrics per Task operation. Durations and failure rates are computed over the Tasks that ended within the time window. Queue lengths are the current number of scheduled and busy Tasks, regardless of the window.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {object} [window]
+ * @param {Date} [window.from] - Only count Tasks that ended at or after this time.
+ * @param {Date} [window.to] - Only count Tasks that ended before this time.
+ * @returns {array(object)} An object per operation with the structure `{ operation: namedNode, ended: integer, succeeded: integer, failed: integer, cancelled: integer, failureRate: number, averageDuration: number, scheduled: integer, busy: integer }`. The average duration is in milliseconds and only counts Tasks with a known start time. The failure rate is the share of failed Tasks among the Tasks that succeeded or failed, so cancelled Tasks do not count. The failure rate and average duration are `undefined` when there are no Tasks to compute them from.
+ */
+export async function getOperationMetrics(window = {}) {
+  const metrics = new Map();
+  const metricsFor = (operation) => {
+    if (!metrics.has(operation.value))
+      metrics.set(operation.value, {
+        operation,
+        ended: 0,
+        succeeded: 0,
+        failed: 0,
+        cancelled: 0,
+        durations: [],
+        scheduled: 0,
+        busy: 0,
+      });
+    return metrics.get(operation.value);
+  };
+
+  for (const result of await getEndedTasks(window)) {
+    const entry = metricsFor(result.operation);
+    entry.ended++;
+    if (result.status.value === cts.TASK_STATUSES.success) entry.succeeded++;
+    if (result.status.value === cts.TASK_STATUSES.failed) entry.failed++;
+    if (result.status.value === cts.TASK_STATUSES.cancelled) entry.cancelled++;
+    if (result.started)
+      entry.durations.push(
+        new Date(result.ended.value) - new Date(result.started.value)
+      );
+  }
+  for (const result of await getQueueLengths()) {
+    const entry = metricsFor(result.operation);
+    const count = Number(result.count.value);
+    if (result.status.value === cts.TASK_STATUSES.scheduled)
+      entry.scheduled = count;
+    else entry.busy = count;
+  }
+
+  return [...metrics.values()].map(({ durations, ...entry }) => ({
+    ...entry,
+    failureRate:
+      entry.succeeded + entry.failed
+        ? entry.failed / (entry.succeeded + entry.failed)
+        : undefined,
+    averageDuration: durations.length
+      ? durations.reduce((sum, duration) => sum + duration, 0) /
+        durations.length
+      : undefined,
+  }));
+}
+
+async function getEndedTasks(window) {
+  const filters = [];
+  if (window.from) filters.push(qbd.filter(sparql`?ended >= ${window.from}`));
+  if (window.to) filters.push(qbd.filter(sparql`?ended < ${window.to}`));
+  const limit = 1000;
+  const all = [];
+  let page;
+  do {
+    const response = await spq.query(
+      qbd.select(
+        ['task', 'operation', 'status', 'started', 'ended'].map((name) =>
+          variable(name)
+        ),
+        [
+          qbd.graph(
+            variable('g'),
+            sparql`
+              ?task
+                a task:Task ;
+                task:operation ?operation ;
+                adms:status ?status ;
+                prov:endedAtTime ?ended .`,
+            qbd.optional(sparql`?task prov:startedAtTime ?started .`)
+          ),
+          ...filters,
+        ],
+        { orderBy: [variable('task')], limit, offset: all.length }
+      )
+    );
+    const sparqlJsonParser = new sjp.SparqlJsonParser();
+    page = sparqlJsonParser.parseJsonResults(response);
+    all.push(...page);
+  } while (page.length === limit);
+  return all;
+}
+
+async function getQueueLengths() {
+  const statuses = [cts.TASK_STATUSES.scheduled, cts.TASK_STATUSES.busy].map(
+    (status) => namedNode(status)
+  );
+  const response = await spq.query(
+    qbd.select(
+      [
+        variable('operation'),
+        variable('status'),
+        sparql`(COUNT(DISTINCT ?task) AS ?count)`,
+      ],
+      [
+        qbd.values(variable('status'), statuses),
+        qbd.graph(
+          variable('g'),
+          sparql`
+            ?task
+              a task:Task ;
+              task:operation ?operation ;
+              adms:status ?status .`
+        ),
+      ],
+      { groupBy: [variable('operation'), variable('status')] }
+    )
+  );
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  return sparqlJsonParser.parseJsonResults(response);
+}
@@ -0,0 +1,386 @@
+/**
+ * @module queryBuilder
+ * @description Build SPARQL queries and updates from RDFJS terms and quads instead of interpolating strings. All terms are validated and escaped, and only the prefixes from `PREFIX_TABLE` that are actually used are declared.
+ *
+ * Patterns for WHERE clauses are arrays containing quads (which may contain variables), the result of the helpers {@link optional}, {@link graph}, {@link union}, {@link filter} and {@link values}, or fragments written with the {@link sparql} template tag.
+ */
+
+import * as cts from './constants.js';
+import * as rst from 'rdf-string-ttl';
+
+/**
+ * A piece of SPARQL that has already been escaped. Only create these with the {@link sparql} template tag or the other helpers in this module.
+ *
+ * @public
+ * @class
+ * @param {string} value - The SPARQL text.
+ */
+export class Fragment {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Template tag to write a piece of SPARQL with safely escaped values. Interpolated RDFJS terms are written in SPARQL syntax, strings, numbers, booleans and dates become literals, fragments are inserted as they are, and arrays are written as space separated values.
+ *
+ * E.g. ``sparql`FILTER (?status != ${namedNode(cts.TASK_STATUSES.success)})` ``
+ *
+ * @public
+ * @function
+ * @param {array(string)} strings - The literal parts of the template.
+ * @param {...any} values - The interpolated values.
+ * @returns {Fragment} The escaped SPARQL.
+ * @throws {TypeError} When a value can not be written safely.
+ */
+export function sparql(strings, ...values) {
+  let value = strings[0];
+  values.forEach((interpolated, i) => {
+    value += serializeValue(interpolated) + strings[i + 1];
+  });
+  return new Fragment(value);
+}
+
+/**
+ * Wrap patterns in an OPTIONAL block.
+ *
+ * @public
+ * @function
+ * @param {...(quad|Fragment)} patterns - The optional patterns.
+ * @returns {Fragment} The OPTIONAL block.
+ */
+export function optional(...patterns) {
+  return new Fragment(`OPTIONAL {\n${serializePatterns(patterns)}\n}`);
+}
+
+/**
+ * Wrap patterns in a GRAPH block. Quads in the patterns that have their own graph keep it.
+ *
+ * @public
+ * @function
+ * @param {namedNode|variable} graphTerm - The graph, or a variable for it.
+ * @param {...(quad|Fragment)} patterns - The patterns to match in the graph.
+ * @returns {Fragment} The GRAPH block.
+ */
+export function graph(graphTerm, ...patterns) {
+  return new Fragment(
+    `GRAPH ${serializeTerm(graphTerm)} {\n${serializePatterns(patterns)}\n}`
+  );
+}
+
+/**
+ * Combine alternatives in a UNION.
+ *
+ * @public
+ * @function
+ * @param {...array(quad|Fragment)} alternatives - Every alternative is an array of patterns.
+ * @returns {Fragment} The UNION of the alternatives.
+ */
+export function union(...alternatives) {
+  return new Fragment(
+    alternatives
+      .map((patterns) => `{\n${serializePatterns(patterns)}\n}`)
+      .join(' UNION ')
+  );
+}
+
+/**
+ * Add a FILTER.
+ *
+ * @public
+ * @function
+ * @param {Fragment} expression - The filter expression, written with the {@link sparql} template tag.
+ * @returns {Fragment} The FILTER.
+ */
+export function filter(expression) {
+  return new Fragment(`FILTER (${fragment(expression).value})`);
+}
+
+/**
+ * Bind a variable to a list of values.
+ *
+ * @public
+ * @function
+ * @param {variable} variable - The variable to bind.
+ * @param {array(namedNode|literal)} terms - The values for the variable.
+ * @returns {Fragment} The VALUES block.
+ */
+export function values(variable, terms) {
+  return new Fragment(
+    `VALUES ${serializeTerm(variable)} { ${terms
+      .map(serializeTerm)
+      .join(' ')} }`
+  );
+}
+
+/**
+ * Sort descending on a variable or expression, for use in `orderBy`.
+ *
+ * @public
+ * @function
+ * @param {variable|Fragment} expression - What to sort on.
+ * @returns {Fragment} The descending sort condition.
+ */
+export function desc(expression) {
+  return new Fragment(`DESC(${serializeValue(expression)})`);
+}
+
+/**
+ * Build an INSERT DATA update.
+ *
+ * @public
+ * @function
+ * @param {array(quad)} quads - The data to insert. Variables are not allowed.
+ * @param {object} [options]
+ * @param {namedNode} [options.graph] - The graph for quads in the default graph.
+ * @returns {string} The SPARQL update.
+ * @throws {TypeError} When the data contains variables, or terms that can not be written safely.
+ */
+export function insertData(quads, options = {}) {
+  assertGround(quads, false);
+  return withPrefixes(
+    `INSERT DATA {\n${serializeData(quads, options.graph)}\n}`
+  );
+}
+
+/**
+ * Build a DELETE DATA update.
+ *
+ * @public
+ * @function
+ * @param {array(quad)} quads - The data to delete. Variables and blank nodes are not allowed.
+ * @param {object} [options]
+ * @param {namedNode} [options.graph] - The graph for quads in the default graph.
+ * @returns {string} The SPARQL update.
+ * @throws {TypeError} When the data contains variables or blank nodes, or terms that can not be written safely.
+ */
+export function deleteData(quads, options = {}) {
+  assertGround(quads, true);
+  return withPrefixes(
+    `DELETE DATA {\n${serializeData(quads, options.graph)}\n}`
+  );
+}
+
+/**
+ * Build a DELETE/INSERT update with a WHERE clause. Either the deletes or the inserts can be empty.
+ *
+ * @public
+ * @function
+ * @param {array(quad|Fragment)} deletes - The templates of the data to delete.
+ * @param {array(quad|Fragment)} inserts - The templates of the data to insert.
+ * @param {array(quad|Fragment)} where - The patterns that bind the variables.
+ * @param {object} [options]
+ * @param {namedNode|variable} [options.graph] - The graph for the quads in the default graph in the templates and at the top level of the patterns. Use {@link graph} for patterns in other helpers.
+ * @returns {string} The SPARQL update.
+ */
+export function deleteInsert(deletes, inserts, where, options = {}) {
+  const parts = [];
+  if (deletes.length)
+    parts.push(`DELETE {\n${serializePatterns(deletes, options.graph)}\n}`);
+  if (inserts.length)
+    parts.push(`INSERT {\n${serializePatterns(inserts, options.graph)}\n}`);
+  parts.push(`WHERE {\n${serializePatterns(where, options.graph)}\n}`);
+  return withPrefixes(parts.join('\n'));
+}
+
+/**
+ * Build a SELECT query.
+ *
+ * @public
+ * @function
+ * @param {array(variable|Fragment)|string} projection - The variables to select, fragments like ``sparql`(COUNT(?task) AS ?count)` ``, or `*`.
+ * @param {array(quad|Fragment)} where - The patterns to match.
+ * @param {object} [options]
+ * @param {namedNode|variable} [options.graph] - The graph for the quads in the default graph at the top level of the patterns. Use {@link graph} for patterns in other helpers.
+ * @param {boolean} [options.distinct=false] - Select only distinct results.
+ * @param {array(variable|Fragment)} [options.groupBy] - Group on these variables or expressions.
+ * @param {array(variable|Fragment)} [options.orderBy] - Sort on these variables or expressions, see {@link desc}.
+ * @param {integer} [options.limit] - The maximum number of results.
+ * @param {integer} [options.offset] - The number of results to skip.
+ * @returns {string} The SPARQL query.
+ */
+export function select(projection, where, options = {}) {
+  const selected =
+    projection === '*' ? '*' : projection.map(serializeValue).join(' ');
+  const distinct = options.distinct ? 'DISTINCT ' : '';
+  return withPrefixes(
+    `SELECT ${distinct}${selected} WHERE {\n${serializePatterns(
+      where,
+      options.graph
+    )}\n}${solutionModifiers(options)}`
+  );
+}
+
+/**
+ * Build a CONSTRUCT query.
+ *
+ * @public
+ * @function
+ * @param {array(quad)} template - The triples to construct. Graphs are ignored.
+ * @param {array(quad|Fragment)} where - The patterns to match.
+ * @param {object} [options]
+ * @param {namedNode|variable} [options.graph] - The graph for the quads in the default graph at the top level of the patterns. Use {@link graph} for patterns in other helpers.
+ * @param {array(variable|Fragment)} [options.orderBy] - Sort on these variables or expressions, see {@link desc}.
+ * @param {integer} [options.limit] - The maximum number of results.
+ * @param {integer} [options.offset] - The number of results to skip.
+ * @returns {string} The SPARQL query.
+ */
+export function construct(template, where, options = {}) {
+  const triples = template.map(serializeTriple).join('\n');
+  return withPrefixes(
+    `CONSTRUCT {\n${triples}\n} WHERE {\n${serializePatterns(
+      where,
+      options.graph
+    )}\n}${solutionModifiers(options)}`
+  );
+}
+
+/**
+ * Get the PREFIX declarations for the prefixes from `PREFIX_TABLE` that are used in a piece of SPARQL. Prefixed names inside IRIs and string literals are not counted.
+ *
+ * @public
+ * @function
+ * @param {string} sparqlString - The SPARQL to look for prefixed names in.
+ * @returns {string} The PREFIX declarations, one per line.
+ */
+export function getUsedPrefixes(sparqlString) {
+  const code = sparqlString
+    .replace(/<[^<>"{}|^`\\\s]*>/g, ' ')
+    .replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, ' ');
+  const used = new Set();
+  for (const match of code.matchAll(/(?<![\w?$:-])([A-Za-z][\w-]*):/g))
+    if (cts.PREFIX_TABLE[match[1]]) used.add(match[1]);
+  return [...used]
+    .map((prefix) => `PREFIX ${prefix}: <${cts.PREFIX_TABLE[prefix]}>`)
+    .join('\n');
+}
+
+function withPrefixes(body) {
+  const prefixes = getUsedPrefixes(body);
+  return prefixes ? `${prefixes}\n${body}` : body;
+}
+
+function solutionModifiers(options) {
+  let modifiers = '';
+  if (options.groupBy?.length)
+    modifiers += `\nGROUP BY ${options.groupBy.map(serializeValue).join(' ')}`;
+  if (options.orderBy?.length)
+    modifiers += `\nORDER BY ${options.orderBy.map(serializeValue).join(' ')}`;
+  if (options.limit !== undefined)
+    modifiers += `\nLIMIT ${nonNegativeInteger(options.limit)}`;
+  if (options.offset !== undefined)
+    modifiers += `\nOFFSET ${nonNegativeInteger(options.offset)}`;
+  return modifiers;
+}
+
+function nonNegativeInteger(number) {
+  if (!Number.isInteger(number) || number < 0)
+    throw new TypeError(`${number} is not a non-negative integer`);
+  return number;
+}
+
+function fragment(value) {
+  if (!(value instanceof Fragment))
+    throw new TypeError('Expected a fragment made with the sparql tag');
+  return value;
+}
+
+function serializeValue(value) {
+  if (value instanceof Fragment) return value.value;
+  if (Array.isArray(value)) return value.map(serializeValue).join(' ');
+  if (value?.termType) return serializeTerm(value);
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (typeof value === 'number' && Number.isFinite(value)) return `${value}`;
+  if (typeof value === 'boolean') return `${value}`;
+  if (value instanceof Date && !isNaN(value))
+    return `"${value.toISOString()}"^^<${cts.TYPES.dateTime}>`;
+  throw new TypeError(`${value} can not be written as SPARQL`);
+}
+
+function serializeTerm(term) {
+  switch (term.termType) {
+    case 'NamedNode':
+      if (/[<>"{}|^`\\\s]/.test(term.value))
+        throw new TypeError(`${term.value} is not a valid IRI`);
+      break;
+    case 'Variable':
+    case 'BlankNode':
+      if (!/^[A-Za-z0-9_]+$/.test(term.value))
+        throw new TypeError(`${term.value} is not a valid ${term.termType}`);
+      break;
+    case 'Literal':
+      if (term.datatype) serializeTerm(term.datatype);
+      break;
+    default:
+      throw new TypeError(`Terms of type ${term.termType} are not supported`);
+  }
+  return rst.termToString(term);
+}
+
+function serializeTriple(quad) {
+  return `${serializeTerm(quad.subject)} ${serializeTerm(
+    quad.predicate
+  )} ${serializeTerm(quad.object)} .`;
+}
+
+// Consecutive quads in the same graph are grouped in one GRAPH block.
+function serializePatterns(patterns, defaultGraph) {
+  const lines = [];
+  let group;
+  for (const pattern of patterns) {
+    if (pattern instanceof Fragment) {
+      group = undefined;
+      lines.push(pattern.value);
+      continue;
+    }
+    const graphTerm =
+      pattern.graph?.termType && pattern.graph.termType !== 'DefaultGraph'
+        ? pattern.graph
+        : defaultGraph;
+    if (!group || !sameTerm(group.graph, graphTerm)) {
+      group = { graph: graphTerm, triples: [] };
+      lines.push(group);
+    }
+    group.triples.push(serializeTriple(pattern));
+  }
+  return lines
+    .map((line) => {
+      if (typeof line === 'string') return line;
+      const triples = line.triples.join('\n');
+      if (!line.graph) return triples;
+      return `GRAPH ${serializeTerm(line.graph)} {\n${triples}\n}`;
+    })
+    .join('\n');
+}
+
+// Fragments could contain variables, so data can only be given as quads.
+function serializeData(quads, defaultGraph) {
+  const fragments = quads.filter((quad) => quad instanceof Fragment);
+  if (fragments.length)
+    throw new TypeError('Data can only contain quads, not fragments');
+  return serializePatterns(quads, defaultGraph);
+}
+
+function sameTerm(a, b) {
+  if (!a || !b) return a === b;
+  return a.termType === b.termType && a.value === b.value;
+}
+
+function assertGround(quads, rejectBlankNodes) {
+  for (const quad of quads)
+    for (const term of [
+      quad.subject,
+      quad.predicate,
+      quad.object,
+      quad.graph,
+    ]) {
+      if (term?.termType === 'Variable')
+        throw new TypeError('Data can not contain variables');
+      if (rejectBlankNodes && term?.termType === 'BlankNode')
+        throw new TypeError('Data to delete can not contain blank nodes');
+    }
+}
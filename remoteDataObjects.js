@@ -0,0 +1,333 @@
+/**
+ * @module remoteDataObjects
+ * @description Create and manage remote data objects: documents on the web that are to be downloaded. A remote data object moves through the download statuses from `DOWNLOAD_STATUSES` following `DOWNLOAD_STATUS_TRANSITIONS`, and is linked to the physical file it was downloaded to.
+ */
+
+import { v4 as uuid } from 'uuid';
+import * as spq from './sparql.js';
+import * as cts from './constants.js';
+import * as qbd from './queryBuilder.js';
+import * as lfc from './lifecycle.js';
+import * as ccy from './concurrency.js';
+import * as ers from './errors.js';
+import * as N3 from 'n3';
+import * as sjp from 'sparqljson-parse';
+const { namedNode, literal, variable, quad } = N3.DataFactory;
+const { sparql } = qbd;
+
+/**
+ * Create a remote data object for a URL with the scheduled download status, and store it in the triplestore.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} url - The location of the document to download.
+ * @param {namedNode} creator - The identifier for the service that creates this remote data object.
+ * @param {namedNode} graph - The graph in which the remote data object is to be stored.
+ * @param {object} [options]
+ * @param {object} [options.headers] - The HTTP request headers to send when downloading, e.g. `{ Accept: 'text/html' }`.
+ * @returns {namedNode} The IRI representing the newly created remote data object.
+ */
+export async function create(url, creator, graph, options = {}) {
+  const rdoUuid = literal(uuid());
+  const remoteDataObject = namedNode(
+    cts.BASE_TABLE.remoteDataObject.concat(rdoUuid.value)
+  );
+  const now = literal(new Date().toISOString(), namedNode(cts.TYPES.dateTime));
+  const predicate = (prefix, name) =>
+    namedNode(`${cts.PREFIX_TABLE[prefix]}${name}`);
+
+  const triples = [
+    [
+      remoteDataObject,
+      predicate('rdf', 'type'),
+      predicate('nfo', 'RemoteDataObject'),
+    ],
+    [
+      remoteDataObject,
+      predicate('rdf', 'type'),
+      predicate('nfo', 'FileDataObject'),
+    ],
+    [remoteDataObject, predicate('mu', 'uuid'), rdoUuid],
+    [remoteDataObject, predicate('nie', 'url'), url],
+    [
+      remoteDataObject,
+      predicate('adms', 'status'),
+      namedNode(cts.DOWNLOAD_STATUSES.scheduled),
+    ],
+    [remoteDataObject, predicate('dct', 'creator'), creator],
+    [remoteDataObject, predicate('dct', 'created'), now],
+    [remoteDataObject, predicate('dct', 'modified'), now],
+  ];
+  for (const [name, value] of Object.entries(options.headers || {})) {
+    const headerUuid = literal(uuid());
+    const header = namedNode(
+      cts.BASE_TABLE.requestHeader.concat(headerUuid.value)
+    );
+    triples.push(
+      [remoteDataObject, predicate('rpioHttp', 'requestHeader'), header],
+      [header, predicate('rdf', 'type'), predicate('http', 'RequestHeader')],
+      [header, predicate('mu', 'uuid'), headerUuid],
+      [header, predicate('http', 'fieldName'), literal(name)],
+      [header, predicate('http', 'fieldValue'), literal(`${value}`)],
+      [
+        header,
+        predicate('http', 'hdrName'),
+        namedNode(`http://www.w3.org/2011/http-headers#${name.toLowerCase()}`),
+      ]
+    );
+  }
+  await spq.update(
+    qbd.insertData(triples.map(([s, p, o]) => quad(s, p, o, graph)))
+  );
+  return remoteDataObject;
+}
+
+/**
+ * Get all information about a remote data object.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} remoteDataObject - The IRI of the remote data object.
+ * @returns {object} An object with the structure `{ remoteDataObject: namedNode, uuid: string, url: namedNode, status: namedNode, creator: namedNode, created: Date, modified: Date, headers: object, files: array(namedNode), errors: array(namedNode), graph: namedNode }`, where the headers map the header names to their values. Properties that are not set are `undefined`. Returns `undefined` when the remote data object could not be found.
+ */
+export async function get(remoteDataObject) {
+  const response = await spq.query(
+    qbd.select(
+      [
+        'uuid',
+        'url',
+        'status',
+        'creator',
+        'created',
+        'modified',
+        'headerName',
+        'headerValue',
+        'file',
+        'error',
+        'graph',
+      ].map((name) => variable(name)),
+      [
+        qbd.graph(
+          variable('graph'),
+          sparql`${remoteDataObject} adms:status ?status .`,
+          qbd.optional(sparql`${remoteDataObject} mu:uuid ?uuid .`),
+          qbd.optional(sparql`${remoteDataObject} nie:url ?url .`),
+          qbd.optional(sparql`${remoteDataObject} dct:creator ?creator .`),
+          qbd.optional(sparql`${remoteDataObject} dct:created ?created .`),
+          qbd.optional(sparql`${remoteDataObject} dct:modified ?modified .`),
+          qbd.optional(sparql`
+            ${remoteDataObject} rpioHttp:requestHeader ?header .
+            ?header
+              http:fieldName ?headerName ;
+              http:fieldValue ?headerValue .`),
+          qbd.optional(sparql`?file nie:dataSource ${remoteDataObject} .`),
+          qbd.optional(sparql`${remoteDataObject} ext:cacheError ?error .`)
+        ),
+      ]
+    )
+  );
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  const parsedResults = sparqlJsonParser.parseJsonResults(response);
+  const result = parsedResults[0];
+  if (!result) return undefined;
+  const unique = (terms) => [
+    ...new Map(terms.map((term) => [term.value, term])).values(),
+  ];
+  return {
+    remoteDataObject,
+    uuid: result.uuid?.value,
+    url: result.url,
+    status: result.status,
+    creator: result.creator,
+    created: result.created ? new Date(result.created.value) : undefined,
+    modified: result.modified ? new Date(result.modified.value) : undefined,
+    headers: Object.fromEntries(
+      parsedResults
+        .filter((r) => r.headerName)
+        .map((r) => [r.headerName.value, r.headerValue.value])
+    ),
+    files: unique(parsedResults.filter((r) => r.file).map((r) => r.file)),
+    errors: unique(parsedResults.filter((r) => r.error).map((r) => r.error)),
+    graph: result.graph,
+  };
+}
+
+/**
+ * Check if a remote data object is allowed to move from one download status to another.
+ *
+ * @public
+ * @function
+ * @param {namedNode} from - The current download status.
+ * @param {namedNode} to - The requested download status.
+ * @returns {boolean} True when the transition is allowed.
+ */
+export function isValidDownloadTransition(from, to) {
+  return !!cts.DOWNLOAD_STATUS_TRANSITIONS[from.value]?.includes(to.value);
+}
+
+/**
+ * Update the download status of a remote data object after validating the transition, in the same update that changes the status. The change is recorded in the status history of the remote data object, see {@link module:concurrency.setStatus}. Scheduling a download again removes the links to the errors of earlier attempts, but not the errors themselves.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} remoteDataObject - The remote data object of which the status is to be updated.
+ * @param {namedNode} status - The new status, one of `DOWNLOAD_STATUSES`.
+ * @param {namedNode} [error] - Only when the new status is to indicate failure: link the remote data object to this error entity.
+ * @param {object} [options]
+ * @param {namedNode} [options.creator] - The identifier for the service that updates the remote data object.
+ * @returns {undefined} Nothing
+ * @throws {IllegalTransitionError} When the remote data object can not move from its current status to the given status.
+ */
+export async function updateStatus(
+  remoteDataObject,
+  status,
+  error,
+  options = {}
+) {
+  const isFailure = status.value === cts.DOWNLOAD_STATUSES.failure;
+  const isRetry = status.value === cts.DOWNLOAD_STATUSES.scheduled;
+  const [updated] = await ccy.setStatus([remoteDataObject], status, {
+    creator: options.creator,
+    expectedStatuses: lfc.getStatusesLeadingTo(
+      cts.DOWNLOAD_STATUS_TRANSITIONS,
+      status
+    ),
+    deletes: isRetry ? sparql`?resource ext:cacheError ?oldError .` : sparql``,
+    inserts:
+      isFailure && error
+        ? sparql`?resource ext:cacheError ${error} .`
+        : sparql``,
+    conditions: [
+      qbd.optional(
+        qbd.graph(variable('g'), sparql`?resource ext:cacheError ?oldError .`)
+      ),
+    ],
+  });
+  if (updated) return;
+  const current = await getStatus(remoteDataObject);
+  throw new lfc.IllegalTransitionError(
+    `Remote data object ${remoteDataObject.value} can not go from status ${current?.value} to ${status.value}`,
+    remoteDataObject,
+    current,
+    status
+  );
+}
+
+/**
+ * Update the download status of a remote data object only when it still has the expected status, see {@link module:concurrency.compareAndSetStatus}. Use this instead of {@link updateStatus} when several instances can act on the same remote data object, e.g. to start a download.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} remoteDataObject - The remote data object of which the status is to be updated.
+ * @param {namedNode} expectedStatus - Only update when the remote data object currently has this status.
+ * @param {namedNode} status - The new status, one of `DOWNLOAD_STATUSES`.
+ * @param {object} [options]
+ * @param {namedNode} [options.creator] - The identifier for the service that updates the remote data object.
+ * @returns {boolean} True when the status was updated by this call.
+ * @throws {IllegalTransitionError} When the transition from the expected status to the new status is not allowed.
+ */
+export async function compareAndSetStatus(
+  remoteDataObject,
+  expectedStatus,
+  status,
+  options = {}
+) {
+  if (!isValidDownloadTransition(expectedStatus, status))
+    throw new lfc.IllegalTransitionError(
+      `Remote data object ${remoteDataObject.value} can not go from status ${expectedStatus.value} to ${status.value}`,
+      remoteDataObject,
+      expectedStatus,
+      status
+    );
+  return ccy.compareAndSetStatus(remoteDataObject, expectedStatus, status, {
+    creator: options.creator,
+  });
+}
+
+/**
+ * Mark the download of a remote data object as failed, and record why as an Error entity created with {@link module:errors.createFromException}. The Error references the remote data object.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} remoteDataObject - The remote data object that could not be downloaded.
+ * @param {namedNode} creator - The identifier for the service that tried to download it.
+ * @param {Error|any} exception - The reason the download failed.
+ * @param {object} [options] - Extra information for the Error, see {@link module:errors.createExtended}. The `code` defaults to `ERROR_CODES.network`.
+ * @returns {namedNode} The IRI of the created Error.
+ * @throws {IllegalTransitionError} When the download can not fail from the current status of the remote data object.
+ */
+export async function fail(remoteDataObject, creator, exception, options = {}) {
+  const failure = namedNode(cts.DOWNLOAD_STATUSES.failure);
+  // Check first, so no Error is stored for a failure that can not be recorded.
+  await assertTransition(remoteDataObject, failure);
+  const error = await ers.createFromException(creator, exception, {
+    code: namedNode(cts.ERROR_CODES.network),
+    references: [remoteDataObject],
+    ...options,
+  });
+  await updateStatus(remoteDataObject, failure, error, { creator });
+  return error;
+}
+
+/**
+ * Link the physical file a remote data object was downloaded to with `nie:dataSource`. The link is stored in the graph of the remote data object.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} remoteDataObject - The remote data object that was downloaded.
+ * @param {namedNode} physicalFile - The physical file containing the downloaded document.
+ * @returns {undefined} Nothing
+ */
+export async function attachFile(remoteDataObject, physicalFile) {
+  await spq.update(
+    qbd.deleteInsert(
+      [],
+      [
+        qbd.graph(
+          variable('g'),
+          sparql`${physicalFile} nie:dataSource ${remoteDataObject} .`
+        ),
+      ],
+      [
+        qbd.graph(
+          variable('g'),
+          sparql`${remoteDataObject} adms:status ?status .`
+        ),
+      ]
+    )
+  );
+}
+
+async function assertTransition(remoteDataObject, status) {
+  const current = await getStatus(remoteDataObject);
+  if (!current || !isValidDownloadTransition(current, status))
+    throw new lfc.IllegalTransitionError(
+      `Remote data object ${remoteDataObject.value} can not go from status ${current?.value} to ${status.value}`,
+      remoteDataObject,
+      current,
+      status
+    );
+}
+
+async function getStatus(remoteDataObject) {
+  const response = await spq.query(
+    qbd.select(
+      [variable('status')],
+      [
+        qbd.graph(
+          variable('g'),
+          sparql`${remoteDataObject} adms:status ?status .`
+        ),
+      ],
+      { limit: 1 }
+    )
+  );
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  return sparqlJsonParser.parseJsonResults(response)[0]?.status;
+}
@@ -0,0 +1,215 @@
+/**
+ * @module retries
+ * @description Retry failed Tasks, either by resetting them to scheduled or by scheduling a clone of them. Attempts are counted on the Tasks and limited to a maximum, with an exponential backoff stored as the earliest time the next attempt should start.
+ */
+
+import * as spq from './sparql.js';
+import * as cts from './constants.js';
+import * as tsk from './tasks.js';
+import * as jbt from './jobs.js';
+import * as lcy from './lifecycle.js';
+import * as ath from './authentication.js';
+import * as N3 from 'n3';
+import * as sjp from 'sparqljson-parse';
+import * as rst from 'rdf-string-ttl';
+const { namedNode, literal } = N3.DataFactory;
+
+/**
+ * Thrown when a Task is to be retried while it already reached the maximum number of attempts.
+ *
+ * @public
+ * @class
+ * @param {namedNode} task - The Task that was to be retried.
+ * @param {integer} attempts - The number of attempts made so far.
+ */
+export class RetryLimitError extends Error {
+  constructor(task, attempts) {
+    super(`Task ${task.value} has already been attempted ${attempts} times`);
+    this.name = 'RetryLimitError';
+    this.task = task;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Retry a failed Task. In `reset` mode, the Task itself is set back to scheduled and its error is kept as a previous error. In `clone` mode, a new Task is scheduled with the same operation, index and input container, linked to the failed Task as its previous attempt. Either way, a failed parent Job is set back to busy.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} task - The failed Task to retry.
+ * @param {namedNode} creator - The identifier for the service that retries this Task.
+ * @param {object} [options] - Override the defaults from `RETRY_DEFAULTS`.
+ * @param {string} [options.mode='reset'] - Either `reset` or `clone`.
+ * @param {integer} [options.maxAttempts] - The maximum number of attempts, including the first one.
+ * @param {integer} [options.initialDelay] - Milliseconds to wait before the first retry.
+ * @param {number} [options.backoffFactor] - The delay is multiplied by this factor for every next retry.
+ * @param {integer} [options.maxDelay] - The delay never grows beyond this many milliseconds.
+ * @returns { { task: namedNode, attempt: integer, retryAfter: Date } } The scheduled Task (the same Task in `reset` mode), its attempt number and the earliest time it should be started.
+ * @throws {RetryLimitError} When the maximum number of attempts has been reached. The authentication secrets of the Job are removed first, since it will not run again, see {@link module:authentication.removeSecretsForJob}.
+ * @throws {Error} When the Task can not be found or has not failed.
+ */
+export async function retry(task, creator, options = {}) {
+  const { mode, maxAttempts, initialDelay, backoffFactor, maxDelay } = {
+    mode: 'reset',
+    ...cts.RETRY_DEFAULTS,
+    ...options,
+  };
+  if (!['reset', 'clone'].includes(mode))
+    throw new Error(`Unknown retry mode '${mode}'`);
+
+  const info = await tsk.get(task);
+  if (!info) throw new Error(`Task ${task.value} could not be found`);
+  if (info.status.value !== cts.TASK_STATUSES.failed)
+    throw new Error(`Only failed Tasks can be retried, ${task.value} is not`);
+
+  const { attempt } = await getRetryInfo(task);
+  if (attempt >= maxAttempts) {
+    await ath.removeSecretsForJob(info.job);
+    throw new RetryLimitError(task, attempt);
+  }
+
+  const delay = Math.min(
+    initialDelay * Math.pow(backoffFactor, attempt - 1),
+    maxDelay
+  );
+  const retryAfter = new Date(Date.now() + delay);
+
+  let retried;
+  if (mode === 'reset') {
+    await lcy.transitionTask(
+      task,
+      namedNode(cts.TASK_STATUSES.scheduled),
+      creator
+    );
+    await keepErrorAsPreviousError(task);
+    retried = task;
+  } else {
+    retried = await tsk.create(
+      info.operation,
+      creator,
+      namedNode(cts.TASK_STATUSES.scheduled),
+      info.index,
+      info.job,
+      undefined,
+      info.cogsOperation,
+      info.graph
+    );
+  }
+  await setRetryInfo(
+    retried,
+    attempt + 1,
+    retryAfter,
+    mode === 'clone' ? task : undefined,
+    mode === 'clone' ? info.inputContainer?.container : undefined
+  );
+
+  const job = await jbt.get(info.job);
+  if (job?.status.value === cts.JOB_STATUSES.failed)
+    await lcy.transitionJob(
+      info.job,
+      namedNode(cts.JOB_STATUSES.busy),
+      creator
+    );
+
+  return { task: retried, attempt: attempt + 1, retryAfter };
+}
+
+/**
+ * Get information about the attempts of a Task.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} task - The Task to get the retry information for.
+ * @returns { { attempt: integer, retryAfter: Date, previousAttempt: namedNode } } The attempt number of this Task (1 for Tasks that have never been retried), the earliest time it should be started (if any), and the Task it is a retry of (only for clones).
+ */
+export async function getRetryInfo(task) {
+  const taskSparql = rst.termToString(task);
+  const response = await spq.query(`
+    ${cts.SPARQL_PREFIXES}
+    SELECT ?attempt ?retryAfter ?previousAttempt WHERE {
+      GRAPH ?g {
+        ${taskSparql} a task:Task .
+        OPTIONAL { ${taskSparql} ext:attempt ?attempt . }
+        OPTIONAL { ${taskSparql} ext:retryAfter ?retryAfter . }
+        OPTIONAL { ${taskSparql} ext:previousAttempt ?previousAttempt . }
+      }
+    } LIMIT 1
+  `);
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  const result = sparqlJsonParser.parseJsonResults(response)[0] || {};
+  return {
+    attempt: result.attempt ? Number(result.attempt.value) : 1,
+    retryAfter: result.retryAfter
+      ? new Date(result.retryAfter.value)
+      : undefined,
+    previousAttempt: result.previousAttempt,
+  };
+}
+
+async function keepErrorAsPreviousError(task) {
+  const taskSparql = rst.termToString(task);
+  await spq.update(`
+    ${cts.SPARQL_PREFIXES}
+    DELETE {
+      GRAPH ?g {
+        ${taskSparql} task:error ?error .
+      }
+    }
+    INSERT {
+      GRAPH ?g {
+        ${taskSparql} ext:previousError ?error .
+      }
+    }
+    WHERE {
+      GRAPH ?g {
+        ${taskSparql} task:error ?error .
+      }
+    }
+  `);
+}
+
+async function setRetryInfo(
+  task,
+  attempt,
+  retryAfter,
+  previousAttempt,
+  inputContainer
+) {
+  const taskSparql = rst.termToString(task);
+  attempt = literal(attempt, namedNode(cts.TYPES.integer));
+  retryAfter = literal(retryAfter.toISOString(), namedNode(cts.TYPES.dateTime));
+  const previousAttemptTriple = previousAttempt
+    ? `${taskSparql} ext:previousAttempt ${rst.termToString(previousAttempt)} .`
+    : '';
+  const inputContainerTriple = inputContainer
+    ? `${taskSparql} task:inputContainer ${rst.termToString(inputContainer)} .`
+    : '';
+  await spq.update(`
+    ${cts.SPARQL_PREFIXES}
+    DELETE {
+      GRAPH ?g {
+        ${taskSparql}
+          ext:attempt ?oldAttempt ;
+          ext:retryAfter ?oldRetryAfter .
+      }
+    }
+    INSERT {
+      GRAPH ?g {
+        ${taskSparql}
+          ext:attempt ${rst.termToString(attempt)} ;
+          ext:retryAfter ${rst.termToString(retryAfter)} .
+        ${previousAttemptTriple}
+        ${inputContainerTriple}
+      }
+    }
+    WHERE {
+      GRAPH ?g {
+        ${taskSparql} a task:Task .
+        OPTIONAL { ${taskSparql} ext:attempt ?oldAttempt . }
+        OPTIONAL { ${taskSparql} ext:retryAfter ?oldRetryAfter . }
+      }
+    }
+  `);
+}
@@ -0,0 +1,93 @@
+/**
+ * @module sparql
+ * @description Execute SPARQL queries and updates through a configurable executor. All modules in this library go through here instead of calling `@lblod/mu-auth-sudo` directly, so the backend can be swapped, e.g. for the in-memory executor from {@link module:memoryExecutor} in tests.
+ */
+
+/**
+ * The default executor. It sends queries and updates with sudo rights to the triplestore via `@lblod/mu-auth-sudo`. That package is only loaded on first use, so other executors work without a SPARQL endpoint being configured.
+ *
+ * @public
+ * @constant
+ * @type { { query: function, update: function } }
+ */
+export const muAuthSudoExecutor = {
+  async query() {
+    const mas = await import('@lblod/mu-auth-sudo');
+    return mas.querySudo(...arguments);
+  },
+  async update() {
+    const mas = await import('@lblod/mu-auth-sudo');
+    return mas.updateSudo(...arguments);
+  },
+};
+
+let executor = muAuthSudoExecutor;
+
+/**
+ * Set the executor that will be used for all subsequent queries and updates.
+ *
+ * @public
+ * @function
+ * @param { { query: function, update: function } } newExecutor - An object with an async `query` and `update` function. Both receive the SPARQL string (and any extra arguments given to {@link module:sparql.query} or {@link module:sparql.update}). `query` needs to return results in the SPARQL JSON results format.
+ * @returns {undefined} Nothing
+ */
+export function setExecutor(newExecutor) {
+  if (
+    typeof newExecutor?.query !== 'function' ||
+    typeof newExecutor?.update !== 'function'
+  )
+    throw new TypeError(
+      'An executor needs to have both a `query` and an `update` function.'
+    );
+  executor = newExecutor;
+}
+
+/**
+ * Get the executor that is currently in use.
+ *
+ * @public
+ * @function
+ * @returns { { query: function, update: function } } The current executor.
+ */
+export function getExecutor() {
+  return executor;
+}
+
+/**
+ * Go back to using the default executor, {@link module:sparql.muAuthSudoExecutor}.
+ *
+ * @public
+ * @function
+ * @returns {undefined} Nothing
+ */
+export function resetExecutor() {
+  executor = muAuthSudoExecutor;
+}
+
+/**
+ * Execute a SPARQL query (SELECT, CONSTRUCT, ASK) with the current executor.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {string} queryString - The SPARQL query.
+ * @param {...any} [options] - Extra arguments passed on to the executor as is, e.g. the extra headers and connection options for `@lblod/mu-auth-sudo`.
+ * @returns {object} The results in the SPARQL JSON results format.
+ */
+export async function query() {
+  return executor.query(...arguments);
+}
+
+/**
+ * Execute a SPARQL update with the current executor.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {string} updateString - The SPARQL update.
+ * @param {...any} [options] - Extra arguments passed on to the executor as is, e.g. the extra headers and connection options for `@lblod/mu-auth-sudo`.
+ * @returns {any} Whatever the executor returns.
+ */
+export async function update() {
+  return executor.update(...arguments);
+}
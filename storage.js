@@ -0,0 +1,199 @@
+/**
+ * @module storage
+ * @description Resolve between physical file IRIs (`share://...`) and paths on physical storage. The root of the storage and the sub-directories per purpose are configurable, e.g. to use a temporary directory in tests. Paths and IRIs that would point outside of the root are rejected.
+ *
+ * Also decides which local files may be downloaded through `file://` URLs: only those inside the configured `fileDownloadRoot`, and none when it is not configured.
+ */
+
+import * as fs from 'node:fs/promises';
+import * as path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as cts from './constants.js';
+import * as N3 from 'n3';
+const { namedNode } = N3.DataFactory;
+
+/**
+ * Thrown when a path or physical file IRI can not be resolved safely, e.g. because it points outside of the storage root.
+ *
+ * @public
+ * @class
+ * @param {string} message - Explains why the path or IRI is rejected.
+ * @param {string} location - The rejected path or IRI.
+ */
+export class StoragePathError extends Error {
+  constructor(message, location) {
+    super(message);
+    this.name = 'StoragePathError';
+    this.location = location;
+  }
+}
+
+let configuration = withDefaults({});
+
+/**
+ * Configure the storage for all subsequent conversions. Settings that are not given keep their default from `STORAGE_DEFAULTS`.
+ *
+ * @public
+ * @function
+ * @param {object} options
+ * @param {string} [options.root] - The absolute path on physical storage where physical file IRIs are mapped to.
+ * @param {object} [options.directories] - Sub-directories of the root per purpose, e.g. `{ submissions: 'submissions/' }`. These are merged with the default directories.
+ * @param {string} [options.fileDownloadRoot] - The absolute path on the local file system under which files can be downloaded with `file://` URLs, see {@link toFileDownloadPath}. Leave it out to refuse all `file://` URLs.
+ * @returns {undefined} Nothing
+ */
+export function configure(options) {
+  configuration = withDefaults(options);
+}
+
+/**
+ * Get the storage configuration that is currently in use.
+ *
+ * @public
+ * @function
+ * @returns { { root: string, scheme: string, directories: object, fileDownloadRoot: string } } The current configuration, with the roots as absolute paths. The `fileDownloadRoot` is `null` when it is not configured.
+ */
+export function getConfiguration() {
+  return {
+    ...configuration,
+    directories: { ...configuration.directories },
+  };
+}
+
+/**
+ * Go back to the default configuration from `STORAGE_DEFAULTS`.
+ *
+ * @public
+ * @function
+ * @returns {undefined} Nothing
+ */
+export function resetConfiguration() {
+  configuration = withDefaults({});
+}
+
+/**
+ * Get the directory on physical storage for a purpose.
+ *
+ * @public
+ * @function
+ * @param {string} [purpose='submissions'] - One of the configured directories.
+ * @returns {string} The absolute path of the directory, ending with a slash.
+ * @throws {StoragePathError} When no directory is configured for this purpose, or when it points outside of the root.
+ */
+export function getDirectory(purpose = 'submissions') {
+  const directory = configuration.directories[purpose];
+  if (directory === undefined)
+    throw new StoragePathError(
+      `No storage directory is configured for '${purpose}'`,
+      purpose
+    );
+  const resolved = resolveInRoot(directory, directory);
+  return resolved.endsWith(path.sep) ? resolved : resolved.concat(path.sep);
+}
+
+/**
+ * Convert a physical file IRI to its path on physical storage.
+ *
+ * @public
+ * @function
+ * @param {namedNode|string} physicalFile - The physical file IRI, e.g. `share://submissions/file.ttl`.
+ * @returns {string} The absolute path of the file, e.g. `/share/submissions/file.ttl`.
+ * @throws {StoragePathError} When the IRI does not use the storage scheme, or when it points outside of the root.
+ */
+export function toPath(physicalFile) {
+  const iri = physicalFile.value ?? physicalFile;
+  if (!iri.startsWith(configuration.scheme))
+    throw new StoragePathError(
+      `${iri} is not a ${configuration.scheme} IRI`,
+      iri
+    );
+  return resolveInRoot(iri.slice(configuration.scheme.length), iri);
+}
+
+/**
+ * Convert a path on physical storage to its physical file IRI.
+ *
+ * @public
+ * @function
+ * @param {string} filePath - The path of the file. Relative paths are taken relative to the storage root.
+ * @returns {namedNode} The physical file IRI, e.g. `share://submissions/file.ttl`.
+ * @throws {StoragePathError} When the path points outside of the root.
+ */
+export function toPhysicalFile(filePath) {
+  const resolved = resolveInRoot(filePath, filePath);
+  const relative = path.relative(configuration.root, resolved);
+  return namedNode(
+    configuration.scheme.concat(relative.split(path.sep).join('/'))
+  );
+}
+
+/**
+ * Convert a `file://` URL of a document to download to the path of the file, see {@link module:downloads.download}. Only files inside the configured `fileDownloadRoot` are accepted, also after following symbolic links.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {string} url - The `file://` URL, e.g. `file:///data/documents/file.html`.
+ * @returns {string} The absolute path of the file, with symbolic links resolved.
+ * @throws {StoragePathError} When no `fileDownloadRoot` is configured, when the URL is not a valid `file://` URL, or when the file is outside of the root.
+ * @throws {Error} When the file does not exist.
+ */
+export async function toFileDownloadPath(url) {
+  const { fileDownloadRoot } = configuration;
+  if (!fileDownloadRoot)
+    throw new StoragePathError(
+      `Can not download ${url}, no root is configured for file downloads`,
+      url
+    );
+  let filePath;
+  try {
+    filePath = fileURLToPath(url);
+  } catch {
+    throw new StoragePathError(`${url} is not a valid file URL`, url);
+  }
+  const root = await fs.realpath(fileDownloadRoot);
+  const resolved = await fs.realpath(filePath);
+  if (!isInside(root, resolved))
+    throw new StoragePathError(
+      `${url} points outside of the file download root ${fileDownloadRoot}`,
+      url
+    );
+  return resolved;
+}
+
+function withDefaults(options) {
+  const fileDownloadRoot =
+    options.fileDownloadRoot ?? cts.STORAGE_DEFAULTS.fileDownloadRoot;
+  return {
+    root: path.resolve(options.root ?? cts.STORAGE_DEFAULTS.root),
+    scheme: cts.STORAGE_DEFAULTS.scheme,
+    directories: {
+      ...cts.STORAGE_DEFAULTS.directories,
+      ...options.directories,
+    },
+    fileDownloadRoot: fileDownloadRoot ? path.resolve(fileDownloadRoot) : null,
+  };
+}
+
+// Resolve against the root and make sure the result stays strictly inside of it.
+function resolveInRoot(location, original) {
+  if (location.includes('\0'))
+    throw new StoragePathError(`${original} contains a null byte`, original);
+  const resolved = path.resolve(configuration.root, location);
+  if (!isInside(configuration.root, resolved))
+    throw new StoragePathError(
+      `${original} points outside of the storage root ${configuration.root}`,
+      original
+    );
+  return resolved;
+}
+
+// Strictly inside: the root itself does not count.
+function isInside(root, resolved) {
+  const relative = path.relative(root, resolved);
+  return !(
+    !relative ||
+    relative === '..' ||
+    relative.startsWith(`..${path.sep}`) ||
+    path.isAbsolute(relative)
+  );
+}
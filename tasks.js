@@ -1,14 +1,20 @@
 /**
  * @module tasks
- * @description Create and update tasks in the triplestore.
+ * @description Create, update and read tasks in the triplestore.
  */
 
 import { v4 as uuid } from 'uuid';
-import * as mas from '@lblod/mu-auth-sudo';
+import * as spq from './sparql.js';
 import * as cts from './constants.js';
+import * as uti from './utils.js';
+import * as qbd from './queryBuilder.js';
+import * as ccy from './concurrency.js';
+import * as mtr from './metrics.js';
 import * as N3 from 'n3';
+import * as sjp from 'sparqljson-parse';
 import * as rst from 'rdf-string-ttl';
-const { namedNode, literal } = N3.DataFactory;
+const { namedNode, literal, variable, quad } = N3.DataFactory;
+const { sparql } = qbd;
 
 /**
  * Create a Task and store it in the triplestore.
@@ -36,105 +42,101 @@ export async function create(
   cogsOperation,
   graph
 ) {
-  const files = inputs?.files || [];
-  const remoteDataObjects = inputs?.remoteDataObjects || [];
-  const taskUuid = literal(uuid());
-  const task = namedNode(cts.BASE_TABLE.task.concat(taskUuid.value));
-  const now = literal(new Date().toISOString(), namedNode(cts.TYPES.dateTime));
-  const nowSparql = rst.termToString(now);
-  const writer = new N3.Writer();
-  index = literal(index.toString());
-
-  if (files.length || remoteDataObjects.length) {
-    const inputContainerUuid = uuid();
-    const inputContainer = namedNode(
-      cts.BASE_TABLE.resultsContainer.concat(inputContainerUuid)
-    );
-    writer.addQuad(
-      inputContainer,
-      namedNode(`${cts.PREFIX_TABLE.rdf}type`),
-      namedNode(`${cts.PREFIX_TABLE.nfo}DataContainer`)
-    );
-    writer.addQuad(
-      inputContainer,
-      namedNode(`${cts.PREFIX_TABLE.mu}uuid`),
-      literal(inputContainerUuid)
-    );
-    files.forEach((file) =>
-      writer.addQuad(
-        inputContainer,
-        namedNode(`${cts.PREFIX_TABLE.task}hasFile`),
-        file
-      )
-    );
+  const { task, quads } = buildTask({
+    operation,
+    creator,
+    status,
+    index,
+    job,
+    inputs,
+    cogsOperation,
+    graph,
+  });
+  await spq.update(qbd.insertData(quads));
+  return task;
+}
 
-    if (remoteDataObjects.length) {
-      const harvestingCollectionUuid = uuid();
-      const harvestingCollection = namedNode(
-        cts.BASE_TABLE.harvestingCollection.concat(harvestingCollectionUuid)
-      );
-      writer.addQuad(
-        inputContainer,
-        namedNode(`${cts.PREFIX_TABLE.task}hasHarvestingCollection`),
-        harvestingCollection
-      );
-      writer.addQuad(
-        harvestingCollection,
-        namedNode(`${cts.PREFIX_TABLE.rdf}type`),
-        namedNode(`${cts.PREFIX_TABLE.hrvst}HarvestingCollection`)
-      );
-      writer.addQuad(
-        harvestingCollection,
-        namedNode(`${cts.PREFIX_TABLE.mu}uuid`),
-        literal(harvestingCollectionUuid)
-      );
-      writer.addQuad(
-        harvestingCollection,
-        namedNode(`${cts.PREFIX_TABLE.dct}creator`),
-        creator
-      );
-      remoteDataObjects.forEach((rdo) =>
-        writer.addQuad(
-          harvestingCollection,
-          namedNode(`${cts.PREFIX_TABLE.dct}hasPart`),
-          rdo
-        )
-      );
-    }
-  }
+/**
+ * Create many Tasks at once. The Tasks are written with as few queries as possible, without exceeding the maximum number of triples per query. The triples of a single Task are never split over multiple queries.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {array(object)} inputs - The Tasks to create. Every input is an object with the arguments of {@link create} as properties: `{ operation, creator, status, index, job, inputs, cogsOperation, graph }`.
+ * @param {object} [options]
+ * @param {integer} [options.maxTriplesPerQuery] - Defaults to the value in `BATCH_DEFAULTS`.
+ * @returns {array(object)} An array with an object `{ input: object, task: namedNode }` per input, in the same order as the inputs.
+ */
+export async function createBatch(inputs, options = {}) {
+  const { maxTriplesPerQuery } = { ...cts.BATCH_DEFAULTS, ...options };
+  const built = inputs.map(buildTask);
+  const groups = built.map(({ quads }) => quads);
+  for (const chunk of uti.chunkGroups(groups, maxTriplesPerQuery))
+    await spq.update(qbd.insertData(chunk));
+  return built.map(({ task }, i) => ({ input: inputs[i], task }));
+}
 
-  const inputTriples = await new Promise((resolve, reject) =>
-    writer.end((error, result) => {
-      if (error) reject(error);
-      else resolve(result);
-    })
+/**
+ * Create a Task like {@link create}, unless its Job already has a Task with the same operation. The check and the insert are done in a single update, so services that try to create the same Task at the same time can not both succeed.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} operation - Define the Tasks' operation so that a job-controller can place this task with the correct step in its configured pipeline.
+ * @param {namedNode} creator - The identifier for the service that creates this Task.
+ * @param {namedNode} status - The inital status for this Task (usually scheduled, busy or equivalent).
+ * @param {integer} index - Index number for this task, used by a job-controller to manage ordering of tasks.
+ * @param {namedNode} job - The IRI of the Job that is the parent for this Task.
+ * @param { { files: array(namedNode), remoteDataObjects: array(namedNode) } } [inputs] - Link either files or remote data objects to this Task as part of its inputs container.
+ * @param {namedNode} cogsOperation - Define the Tasks' operation from the Cogs ontology.
+ * @param {namedNode} graph - The graph in which this Task is to be store in the triplestore.
+ * @returns {namedNode} The IRI representing the newly created Task, or `undefined` when the Job already had a Task with this operation.
+ */
+export async function createIfAbsent(
+  operation,
+  creator,
+  status,
+  index,
+  job,
+  inputs,
+  cogsOperation,
+  graph
+) {
+  const { task, quads } = buildTask({
+    operation,
+    creator,
+    status,
+    index,
+    job,
+    inputs,
+    cogsOperation,
+    graph,
+  });
+  await spq.update(
+    qbd.deleteInsert([], quads, [
+      qbd.filter(sparql`NOT EXISTS {
+        GRAPH ?g {
+          ?existing
+            a task:Task ;
+            dct:isPartOf ${job} ;
+            task:operation ${operation} .
+        }
+      }`),
+    ])
   );
-
-  const taskQuery = `
-    ${cts.SPARQL_PREFIXES}
-    INSERT DATA {
-      GRAPH ${rst.termToString(graph)} {
-        ${rst.termToString(task)}
-          a task:Task ;
-          mu:uuid ${rst.termToString(taskUuid)} ;
-          adms:status ${rst.termToString(status)} ;
-          dct:created ${nowSparql} ;
-          dct:modified ${nowSparql} ;
-          task:cogsOperation ${rst.termToString(cogsOperation)} ;
-          task:operation ${rst.termToString(operation)} ;
-          dct:creator ${rst.termToString(creator)} ;
-          task:index ${rst.termToString(index)} ;
-          dct:isPartOf ${rst.termToString(job)} .
-        ${inputTriples}
-      }
-    }
-  `;
-  await mas.updateSudo(taskQuery);
-  return task;
+  const response = await spq.query(
+    qbd.select(
+      [variable('g')],
+      [qbd.graph(variable('g'), sparql`${task} a task:Task .`)],
+      { limit: 1 }
+    )
+  );
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  return sparqlJsonParser.parseJsonResults(response).length ? task : undefined;
 }
 
 /**
- * Update the status of an existing Task in the triplestore with the possibility to also store its results on success or an error on failure.
+ * Update the status of an existing Task in the triplestore with the possibility to also store its results on success or an error on failure. The change is recorded in the status history of the Task, see {@link module:concurrency.setStatus}.
  *
  * @public
  * @async
@@ -143,116 +145,328 @@ export async function create(
  * @param {namedNode} status - The new status for this Task.
  * @param {namedNode} creator - The identifier for the service that updates this Task.
  * @param { { files: array(namedNode), remoteDataObjects: array(namedNode) } } [results] - Only when the new status is to indicate success: link either files or remote data objects to this Task as part of its results container.
- * @param {namedNode} [error] - Only when the new status is to indicate failure: link the Task to this error entity.
- * @returns {undefined} Nothing
+ * @param {namedNode} [error] - Only when the new status is to indicate failure or cancellation: link the Task to this error entity.
+ * @param {object} [options]
+ * @param {array(namedNode)} [options.expectedStatuses] - Only update the Task when it currently has one of these statuses. Nothing is stored otherwise, not even the results.
+ * @returns {namedNode} The IRI of the recorded transition, or `undefined` when the Task was not updated.
  */
-export async function updateStatus(task, status, creator, results, error) {
+export async function updateStatus(
+  task,
+  status,
+  creator,
+  results,
+  error,
+  options = {}
+) {
   const files = results?.files || [];
   const remoteDataObjects = results?.remoteDataObjects || [];
-  const taskSparql = rst.termToString(task);
-  const now = literal(new Date().toISOString(), namedNode(cts.TYPES.dateTime));
-  const writer = new N3.Writer();
-
-  if (status.value === cts.JOB_STATUSES.failed && error)
-    writer.addQuad(task, namedNode(`${cts.PREFIX_TABLE.task}error`), error);
-
+  let resultsQuads = [];
   if (
-    status.value === cts.JOB_STATUSES.success &&
+    status.value === cts.TASK_STATUSES.success &&
     (files.length || remoteDataObjects.length)
-  ) {
-    const resultsContainerUuid = uuid();
-    const resultsContainer = namedNode(
-      cts.BASE_TABLE.resultsContainer.concat(resultsContainerUuid)
-    );
-    writer.addQuad(
+  )
+    resultsQuads = containerQuads(
       task,
       namedNode(`${cts.PREFIX_TABLE.task}resultsContainer`),
-      resultsContainer
-    );
-    writer.addQuad(
-      resultsContainer,
-      namedNode(`${cts.PREFIX_TABLE.rdf}type`),
-      namedNode(`${cts.PREFIX_TABLE.nfo}DataContainer`)
-    );
-    writer.addQuad(
-      resultsContainer,
-      namedNode(`${cts.PREFIX_TABLE.mu}uuid`),
-      literal(resultsContainerUuid)
-    );
-    files.forEach((file) =>
-      writer.addQuad(
-        resultsContainer,
-        namedNode(`${cts.PREFIX_TABLE.task}hasFile`),
-        file
-      )
+      creator,
+      files,
+      remoteDataObjects
     );
+  const [updated] = await ccy.setStatus([task], status, {
+    expectedStatuses: options.expectedStatuses,
+    error,
+    creator,
+    inserts: sparql`${resultsQuads.map(
+      (q) => sparql`${q.subject} ${q.predicate} ${q.object} .`
+    )}`,
+  });
+  return updated?.transition;
+}
 
-    if (remoteDataObjects.length) {
-      const harvestingCollectionUuid = uuid();
-      const harvestingCollection = namedNode(
-        cts.BASE_TABLE.harvestingCollection.concat(harvestingCollectionUuid)
-      );
-      writer.addQuad(
-        resultsContainer,
-        namedNode(`${cts.PREFIX_TABLE.task}hasHarvestingCollection`),
-        harvestingCollection
-      );
-      writer.addQuad(
-        harvestingCollection,
-        namedNode(`${cts.PREFIX_TABLE.rdf}type`),
-        namedNode(`${cts.PREFIX_TABLE.hrvst}HarvestingCollection`)
-      );
-      writer.addQuad(
-        harvestingCollection,
-        namedNode(`${cts.PREFIX_TABLE.mu}uuid`),
-        literal(harvestingCollectionUuid)
-      );
-      writer.addQuad(
-        harvestingCollection,
-        namedNode(`${cts.PREFIX_TABLE.dct}creator`),
-        creator
-      );
-      remoteDataObjects.forEach((rdo) =>
-        writer.addQuad(
-          harvestingCollection,
-          namedNode(`${cts.PREFIX_TABLE.dct}hasPart`),
-          rdo
-        )
-      );
-    }
-  }
+/**
+ * Update the status of a Task only when it still has the expected status. See {@link module:concurrency.compareAndSetStatus}. Results can be attached afterwards with {@link updateStatus} by the caller that won.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} task - Represents the Task of which the status is to be updated.
+ * @param {namedNode} expectedStatus - Only update when the Task currently has this status.
+ * @param {namedNode} status - The new status for this Task.
+ * @param {object} [options]
+ * @param {Date|literal} [options.expectedModified] - Only update when the Task was last modified at exactly this time.
+ * @param {namedNode} [options.error] - Only when the new status is to indicate failure: link the Task to this error entity.
+ * @param {namedNode} [options.creator] - The identifier for the service that updates this Task.
+ * @returns {boolean} True when the status was updated by this call.
+ */
+export async function compareAndSetStatus(
+  task,
+  expectedStatus,
+  status,
+  options
+) {
+  return ccy.compareAndSetStatus(task, expectedStatus, status, options);
+}
 
-  const errorsAndResultsTriples = await new Promise((resolve, reject) =>
-    writer.end((error, result) => {
-      if (error) reject(error);
-      else resolve(result);
-    })
+/**
+ * Claim a scheduled Task by setting it to busy. When several instances try to claim the same Task, only one of them wins.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} task - The scheduled Task to claim.
+ * @param {namedNode} [creator] - The identifier for the service that claims the Task. Stored in the status history.
+ * @returns {boolean} True when this call claimed the Task, false when it was not scheduled (anymore).
+ */
+export async function claim(task, creator) {
+  return ccy.compareAndSetStatus(
+    task,
+    namedNode(cts.TASK_STATUSES.scheduled),
+    namedNode(cts.TASK_STATUSES.busy),
+    { creator }
   );
+}
+
+/**
+ * Report how many items a Task has processed so far. See {@link module:metrics.updateProgress}.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} task - The Task that made progress.
+ * @param {integer} processed - The number of items processed so far.
+ * @param {integer} [total] - The total number of items, if it is known.
+ * @returns {undefined} Nothing
+ */
+export async function updateProgress(task, processed, total) {
+  return mtr.updateProgress(task, processed, total);
+}
 
-  const statusQuery = `
+/**
+ * Update the status of many Tasks at once. Unlike {@link updateStatus}, no results can be attached, but all Tasks can be linked to the same error. The changes are recorded in the status history of every Task.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {array(namedNode)} tasks - The Tasks of which the status is to be updated.
+ * @param {namedNode} status - The new status for these Tasks.
+ * @param {object} [options]
+ * @param {namedNode} [options.error] - Only when the new status is to indicate failure or cancellation: link every Task to this error entity.
+ * @param {namedNode} [options.creator] - The identifier for the service that updates these Tasks.
+ * @param {array(namedNode)} [options.expectedStatuses] - Only update the Tasks that currently have one of these statuses, checked per Task in the same update.
+ * @param {integer} [options.maxResourcesPerQuery] - The maximum number of Tasks to update per query. Defaults to the value in `BATCH_DEFAULTS`.
+ * @returns {array(namedNode)} The Tasks that were updated.
+ */
+export async function updateStatusBatch(tasks, status, options = {}) {
+  const updated = await ccy.setStatus(tasks, status, {
+    error: options.error,
+    creator: options.creator,
+    expectedStatuses: options.expectedStatuses,
+    maxResourcesPerQuery: options.maxResourcesPerQuery,
+    conditions: [qbd.graph(variable('g'), sparql`?resource a task:Task .`)],
+  });
+  return updated.map(({ resource }) => resource);
+}
+
+/**
+ * Get all information about a Task.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} task - The IRI of the Task.
+ * @returns {object} An object with the structure `{ task: namedNode, uuid: string, operation: namedNode, cogsOperation: namedNode, status: namedNode, index: number, creator: namedNode, created: Date, modified: Date, job: namedNode, error: namedNode, inputContainer: object, resultsContainer: object, started: Date, ended: Date, processed: number, total: number, graph: namedNode }`, where the containers are resolved as with {@link module:tasks.getContainer}. Properties that are not set on the Task are `undefined`. Returns `undefined` when the Task could not be found.
+ */
+export async function get(task) {
+  const taskSparql = rst.termToString(task);
+  const response = await spq.query(`
     ${cts.SPARQL_PREFIXES}
-    DELETE {
-      GRAPH ?g {
+    SELECT ?uuid ?operation ?cogsOperation ?status ?index ?creator ?created ?modified ?job ?error ?inputContainer ?resultsContainer ?started ?ended ?processed ?total ?graph WHERE {
+      GRAPH ?graph {
         ${taskSparql}
-          adms:status ?oldStatus ;
-          dct:modified ?oldModified .
-      }
-    }
-    INSERT {
-      GRAPH ?g {
-        ${taskSparql}
-          adms:status ${rst.termToString(status)} ;
-          dct:modified ${rst.termToString(now)} .
-        ${errorsAndResultsTriples}
+          a task:Task ;
+          adms:status ?status .
+        OPTIONAL { ${taskSparql} mu:uuid ?uuid . }
+        OPTIONAL { ${taskSparql} task:operation ?operation . }
+        OPTIONAL { ${taskSparql} task:cogsOperation ?cogsOperation . }
+        OPTIONAL { ${taskSparql} task:index ?index . }
+        OPTIONAL { ${taskSparql} dct:creator ?creator . }
+        OPTIONAL { ${taskSparql} dct:created ?created . }
+        OPTIONAL { ${taskSparql} dct:modified ?modified . }
+        OPTIONAL { ${taskSparql} dct:isPartOf ?job . }
+        OPTIONAL { ${taskSparql} task:error ?error . }
+        OPTIONAL { ${taskSparql} task:inputContainer ?inputContainer . }
+        OPTIONAL { ${taskSparql} task:resultsContainer ?resultsContainer . }
+        OPTIONAL { ${taskSparql} prov:startedAtTime ?started . }
+        OPTIONAL { ${taskSparql} prov:endedAtTime ?ended . }
+        OPTIONAL { ${taskSparql} ext:itemsProcessed ?processed . }
+        OPTIONAL { ${taskSparql} ext:itemsTotal ?total . }
       }
-    }
-    WHERE {
+    } LIMIT 1
+  `);
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  const result = sparqlJsonParser.parseJsonResults(response)[0];
+  if (!result) return undefined;
+  return {
+    task,
+    uuid: result.uuid?.value,
+    operation: result.operation,
+    cogsOperation: result.cogsOperation,
+    status: result.status,
+    index: result.index ? Number(result.index.value) : undefined,
+    creator: result.creator,
+    created: result.created ? new Date(result.created.value) : undefined,
+    modified: result.modified ? new Date(result.modified.value) : undefined,
+    job: result.job,
+    error: result.error,
+    inputContainer: result.inputContainer
+      ? await getContainer(result.inputContainer)
+      : undefined,
+    resultsContainer: result.resultsContainer
+      ? await getContainer(result.resultsContainer)
+      : undefined,
+    started: result.started ? new Date(result.started.value) : undefined,
+    ended: result.ended ? new Date(result.ended.value) : undefined,
+    processed: result.processed ? Number(result.processed.value) : undefined,
+    total: result.total ? Number(result.total.value) : undefined,
+    graph: result.graph,
+  };
+}
+
+/**
+ * Resolve the contents of an input or results container of a Task.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} container - The IRI of the container.
+ * @returns {object} An object with the structure `{ container: namedNode, files: array(namedNode), harvestingCollection: namedNode, remoteDataObjects: array(namedNode) }`. The harvesting collection is `undefined` when the container has none.
+ */
+export async function getContainer(container) {
+  const containerSparql = rst.termToString(container);
+  const response = await spq.query(`
+    ${cts.SPARQL_PREFIXES}
+    SELECT DISTINCT ?file ?harvestingCollection ?remoteDataObject WHERE {
       GRAPH ?g {
-        ${taskSparql}
-          adms:status ?oldStatus ;
-          dct:modified ?oldModified .
+        {
+          ${containerSparql} task:hasFile ?file .
+        }
+        UNION
+        {
+          ${containerSparql}
+            task:hasHarvestingCollection ?harvestingCollection .
+          OPTIONAL {
+            ?harvestingCollection dct:hasPart ?remoteDataObject .
+          }
+        }
       }
     }
-  `;
-  await mas.updateSudo(statusQuery);
+  `);
+  const sparqlJsonParser = new sjp.SparqlJsonParser();
+  const parsedResults = sparqlJsonParser.parseJsonResults(response);
+  return {
+    container,
+    files: parsedResults.filter((r) => r.file).map((r) => r.file),
+    harvestingCollection: parsedResults.find((r) => r.harvestingCollection)
+      ?.harvestingCollection,
+    remoteDataObjects: parsedResults
+      .filter((r) => r.remoteDataObject)
+      .map((r) => r.remoteDataObject),
+  };
+}
+
+function buildTask({
+  operation,
+  creator,
+  status,
+  index,
+  job,
+  inputs,
+  cogsOperation,
+  graph,
+}) {
+  const files = inputs?.files || [];
+  const remoteDataObjects = inputs?.remoteDataObjects || [];
+  const taskUuid = literal(uuid());
+  const task = namedNode(cts.BASE_TABLE.task.concat(taskUuid.value));
+  const now = literal(new Date().toISOString(), namedNode(cts.TYPES.dateTime));
+  const predicate = (prefix, name) =>
+    namedNode(`${cts.PREFIX_TABLE[prefix]}${name}`);
+
+  const triples = [
+    [task, predicate('rdf', 'type'), predicate('task', 'Task')],
+    [task, predicate('mu', 'uuid'), taskUuid],
+    [task, predicate('adms', 'status'), status],
+    [task, predicate('dct', 'created'), now],
+    [task, predicate('dct', 'modified'), now],
+    [task, predicate('task', 'cogsOperation'), cogsOperation],
+    [task, predicate('task', 'operation'), operation],
+    [task, predicate('dct', 'creator'), creator],
+    [task, predicate('task', 'index'), literal(index.toString())],
+    [task, predicate('dct', 'isPartOf'), job],
+  ].map(([s, p, o]) => quad(s, p, o));
+  if (status.value === cts.TASK_STATUSES.busy)
+    triples.push(quad(task, predicate('prov', 'startedAtTime'), now));
+  if (files.length || remoteDataObjects.length)
+    triples.push(
+      ...containerQuads(
+        task,
+        predicate('task', 'inputContainer'),
+        creator,
+        files,
+        remoteDataObjects
+      )
+    );
+  return {
+    task,
+    quads: triples.map((triple) =>
+      quad(triple.subject, triple.predicate, triple.object, graph)
+    ),
+  };
+}
+
+// Input and results containers have the same structure, only the predicate linking them to the Task differs.
+function containerQuads(
+  task,
+  linkPredicate,
+  creator,
+  files,
+  remoteDataObjects
+) {
+  const predicate = (prefix, name) =>
+    namedNode(`${cts.PREFIX_TABLE[prefix]}${name}`);
+  const containerUuid = uuid();
+  const container = namedNode(
+    cts.BASE_TABLE.resultsContainer.concat(containerUuid)
+  );
+  const quads = [
+    quad(task, linkPredicate, container),
+    quad(
+      container,
+      predicate('rdf', 'type'),
+      predicate('nfo', 'DataContainer')
+    ),
+    quad(container, predicate('mu', 'uuid'), literal(containerUuid)),
+    ...files.map((file) => quad(container, predicate('task', 'hasFile'), file)),
+  ];
+
+  if (remoteDataObjects.length) {
+    const collectionUuid = uuid();
+    const collection = namedNode(
+      cts.BASE_TABLE.harvestingCollection.concat(collectionUuid)
+    );
+    quads.push(
+      quad(container, predicate('task', 'hasHarvestingCollection'), collection),
+      quad(
+        collection,
+        predicate('rdf', 'type'),
+        predicate('hrvst', 'HarvestingCollection')
+      ),
+      quad(collection, predicate('mu', 'uuid'), literal(collectionUuid)),
+      quad(collection, predicate('dct', 'creator'), creator),
+      ...remoteDataObjects.map((rdo) =>
+        quad(collection, predicate('dct', 'hasPart'), rdo)
+      )
+    );
+  }
+  return quads;
 }
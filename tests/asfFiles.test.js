@@ -0,0 +1,194 @@
+import { describe, it, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'node:fs/promises';
+import { Buffer } from 'node:buffer';
+import { Readable } from 'node:stream';
+import * as spq from '../sparql.js';
+import * as stg from '../storage.js';
+import * as afl from '../asfFiles.js';
+import * as cts from '../constants.js';
+import * as N3 from 'n3';
+import {
+  creator,
+  graph,
+  useMemoryStore,
+  useTemporaryStorage,
+} from './helpers.js';
+const { namedNode } = N3.DataFactory;
+
+describe('asfFiles', () => {
+  let executor;
+  let removeStorage;
+  before(async () => {
+    removeStorage = await useTemporaryStorage();
+  });
+  beforeEach(() => {
+    executor = useMemoryStore();
+  });
+  after(async () => {
+    spq.resetExecutor();
+    await removeStorage();
+  });
+
+  const storedFiles = () => fs.readdir(stg.getDirectory('submissions'));
+
+  describe('rollback', () => {
+    it('removes the file data and the partial file when a stream breaks off', async () => {
+      const before = await storedFiles();
+      const broken = new Readable({
+        read() {
+          this.push('<a> <b> ');
+          this.destroy(new Error('connection reset'));
+        },
+      });
+      await assert.rejects(
+        afl.createFromStream(broken, creator, graph),
+        /connection reset/
+      );
+      assert.equal(executor.store.size, 0);
+      assert.deepEqual(await storedFiles(), before);
+    });
+
+    it('removes the file data when the contents can not be written', async () => {
+      const { root } = stg.getConfiguration();
+      stg.configure({ root, directories: { submissions: 'missing/' } });
+      try {
+        await assert.rejects(
+          afl.createFromContent('<a> <b> <c> .', creator, graph),
+          { code: 'ENOENT' }
+        );
+      } finally {
+        stg.configure({ root });
+      }
+      assert.equal(executor.store.size, 0);
+    });
+  });
+
+  describe('streams', () => {
+    const streamToBuffer = async (stream) => {
+      const chunks = [];
+      for await (const chunk of stream) chunks.push(chunk);
+      return Buffer.concat(chunks);
+    };
+
+    it('stores binary contents from a stream and reads them back', async () => {
+      const contents = Buffer.from(
+        Array.from({ length: 70000 }, (_, i) => i % 256)
+      );
+      const fileData = await afl.createFromStream(
+        Readable.from([contents.subarray(0, 1000), contents.subarray(1000)]),
+        creator,
+        graph,
+        'pdf'
+      );
+      assert.equal(fileData.fileSize, contents.length);
+      assert.ok(fileData.physicalFile.value.endsWith('.pdf'));
+      const stored = await streamToBuffer(
+        await afl.loadStreamFromLogicalFile(fileData.logicalFile, null)
+      );
+      assert.ok(stored.equals(contents));
+      assert.equal(
+        (await afl.verifyLogicalFile(fileData.logicalFile)).valid,
+        true
+      );
+    });
+
+    it('replaces the contents with a stream', async () => {
+      const fileData = await afl.createFromContent(
+        '<a> <b> <c> .',
+        creator,
+        graph
+      );
+      await afl.updateStreamForLogicalFile(
+        fileData.logicalFile,
+        Readable.from(['<a> <b> ', '<d> .'])
+      );
+      assert.equal(
+        await afl.loadFromLogicalFile(fileData.logicalFile),
+        '<a> <b> <d> .'
+      );
+    });
+
+    it('writes the contents again when the file is missing on storage', async () => {
+      const fileData = await afl.createFromContent(
+        '<a> <b> <c> .',
+        creator,
+        graph
+      );
+      await fs.rm(stg.toPath(fileData.physicalFile));
+      await afl.updateContentForLogicalFile(
+        fileData.logicalFile,
+        '<e> <f> <g> .'
+      );
+      assert.equal(
+        await afl.loadFromLogicalFile(fileData.logicalFile),
+        '<e> <f> <g> .'
+      );
+      assert.equal(
+        (await afl.verifyLogicalFile(fileData.logicalFile)).valid,
+        true
+      );
+    });
+  });
+
+  describe('formats', () => {
+    it('stores the format that was detected from the contents', async () => {
+      const fileData = await afl.createFromContent(
+        '<!DOCTYPE html><html></html>',
+        creator,
+        graph,
+        'auto'
+      );
+      assert.ok(fileData.physicalFile.value.endsWith('.html'));
+      const formats = executor.store
+        .getQuads(
+          fileData.logicalFile,
+          namedNode(`${cts.PREFIX_TABLE.dct}format`)
+        )
+        .map((quad) => quad.object.value);
+      assert.deepEqual(formats, ['text/html']);
+    });
+  });
+
+  describe('integrity', () => {
+    it('detects contents that changed on storage', async () => {
+      const fileData = await afl.createFromContent(
+        '<a> <b> <c> .',
+        creator,
+        graph
+      );
+      const verified = await afl.verifyPhysicalFile(fileData.physicalFile);
+      assert.equal(verified.valid, true);
+      assert.equal(verified.expected, verified.actual);
+
+      await fs.writeFile(stg.toPath(fileData.physicalFile), '<a> <b> <x> .');
+      assert.equal(
+        (await afl.verifyPhysicalFile(fileData.physicalFile)).valid,
+        false
+      );
+    });
+
+    it('reuses a file with the same contents when deduplicating', async () => {
+      const first = await afl.createFromContent(
+        '<a> <b> <c> .',
+        creator,
+        graph
+      );
+      const second = await afl.createFromContent(
+        '<a> <b> <c> .',
+        creator,
+        graph,
+        'ttl',
+        { dedup: true }
+      );
+      assert.equal(second.deduplicated, true);
+      assert.equal(second.logicalFile.value, first.logicalFile.value);
+      const third = await afl.createFromContent(
+        '<a> <b> <c> .',
+        creator,
+        graph
+      );
+      assert.notEqual(third.logicalFile.value, first.logicalFile.value);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as spq from '../sparql.js';
+import * as cts from '../constants.js';
+import * as lfc from '../lifecycle.js';
+import * as sub from '../asfSubmissions.js';
+import * as rdo from '../remoteDataObjects.js';
+import * as N3 from 'n3';
+import {
+  creator,
+  graph,
+  useMemoryStore,
+  select,
+  update,
+  createJob,
+  createTask,
+} from './helpers.js';
+const { namedNode } = N3.DataFactory;
+
+const submission = namedNode('http://example.org/submissions/2');
+const submissionStatus = (name) => namedNode(cts.SUBMISSION_STATUSES[name]);
+
+describe('asfSubmissions', () => {
+  beforeEach(async () => {
+    useMemoryStore();
+    await update(`
+      INSERT DATA {
+        GRAPH <${graph.value}> {
+          <${submission.value}>
+            a meb:Submission ;
+            adms:status <${cts.SUBMISSION_STATUSES.concept}> ;
+            prov:atLocation "http://example.org/document.html" .
+        }
+      }`);
+  });
+  after(() => spq.resetExecutor());
+
+  describe('lifecycle', () => {
+    it('moves a Submission through the allowed statuses', async () => {
+      await sub.updateSubmissionStatus(
+        submission,
+        submissionStatus('submittable')
+      );
+      await sub.updateSubmissionStatus(submission, submissionStatus('sent'));
+      const [result] = await select(`
+        SELECT ?status WHERE { <${submission.value}> adms:status ?status . }`);
+      assert.equal(result.status.value, cts.SUBMISSION_STATUSES.sent);
+    });
+
+    it('rejects transitions that skip or undo a step', async () => {
+      for (const status of ['sent', 'concept'])
+        await assert.rejects(
+          sub.updateSubmissionStatus(submission, submissionStatus(status)),
+          (error) =>
+            error instanceof lfc.IllegalTransitionError &&
+            error.from.value === cts.SUBMISSION_STATUSES.concept &&
+            error.to.value === cts.SUBMISSION_STATUSES[status]
+        );
+      assert.equal(
+        sub.isValidSubmissionTransition(
+          submissionStatus('submittable'),
+          submissionStatus('sent')
+        ),
+        true
+      );
+    });
+  });
+
+  describe('links', () => {
+    it('links the document, remote data object, downloaded file and Job', async () => {
+      const remoteDataObject = await rdo.create(
+        namedNode('http://example.org/document.html'),
+        creator,
+        graph
+      );
+      const physicalFile = namedNode('share://submissions/document.html');
+      const job = await createJob();
+      const task = await createTask(job);
+
+      await assert.rejects(
+        sub.attachDownloadedFile(submission, physicalFile),
+        /has no remote data object/
+      );
+      await sub.attachRemoteDataObject(submission, remoteDataObject);
+      await sub.attachDownloadedFile(submission, physicalFile);
+      await sub.linkSubmittedDocument(
+        submission,
+        namedNode('http://example.org/documents/1')
+      );
+      await sub.linkSubmittedDocument(
+        submission,
+        namedNode('http://example.org/documents/2')
+      );
+      await sub.linkProcessingJob(submission, job);
+
+      const info = await sub.getSubmissionInfo(submission);
+      assert.equal(info.remoteDataObject.value, remoteDataObject.value);
+      assert.equal(info.physicalFile.value, physicalFile.value);
+      assert.equal(
+        info.submittedDocument.value,
+        'http://example.org/documents/2'
+      );
+      assert.equal(info.graph.value, graph.value);
+      const fromTask = await sub.getSubmissionInfoFromTask(task);
+      assert.equal(fromTask.submission.value, submission.value);
+    });
+  });
+});
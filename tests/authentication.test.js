@@ -0,0 +1,148 @@
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as spq from '../sparql.js';
+import * as cts from '../constants.js';
+import * as ath from '../authentication.js';
+import * as rdo from '../remoteDataObjects.js';
+import * as jbt from '../jobs.js';
+import * as rtr from '../retries.js';
+import * as N3 from 'n3';
+import {
+  creator,
+  graph,
+  useMemoryStore,
+  select,
+  update,
+  createJob,
+  createTask,
+} from './helpers.js';
+const { namedNode } = N3.DataFactory;
+
+// The Submission that createJob links its Jobs to.
+const submission = namedNode('http://example.org/submissions/1');
+const basic = { type: 'basic', username: 'user', password: 'secret' };
+const oauth2 = {
+  type: 'oauth2',
+  clientId: 'client',
+  clientSecret: 'secret',
+  tokenUrl: 'https://example.org/token',
+};
+
+describe('authentication', () => {
+  let remoteDataObject;
+  beforeEach(async () => {
+    useMemoryStore();
+    await update(`
+      INSERT DATA {
+        GRAPH <${graph.value}> {
+          <${submission.value}> a meb:Submission .
+        }
+      }`);
+    remoteDataObject = await rdo.create(
+      namedNode('http://example.org/document.html'),
+      creator,
+      graph
+    );
+    await update(`
+      INSERT DATA {
+        GRAPH <${graph.value}> {
+          <${submission.value}> nie:hasPart <${remoteDataObject.value}> .
+        }
+      }`);
+  });
+  after(() => spq.resetExecutor());
+
+  describe('configurations', () => {
+    it('stores the secrets in their own graph', async () => {
+      await ath.attach(submission, basic);
+      const info = await ath.get(submission);
+      assert.equal(info.type, 'basic');
+      assert.equal(info.username, 'user');
+      assert.equal(info.password, 'secret');
+      const graphs = await select(`
+        SELECT DISTINCT ?g WHERE { GRAPH ?g { ?secret muAccount:password ?password . } }`);
+      assert.deepEqual(
+        graphs.map((result) => result.g.value),
+        [cts.GRAPHS.secrets]
+      );
+    });
+
+    it('replaces the configuration of a resource', async () => {
+      await ath.attach(remoteDataObject, basic);
+      await ath.attach(remoteDataObject, oauth2);
+      const info = await ath.get(remoteDataObject);
+      assert.equal(info.type, 'oauth2');
+      assert.equal(info.clientSecret, 'secret');
+      assert.equal(info.tokenUrl, oauth2.tokenUrl);
+      assert.equal(info.password, undefined);
+    });
+
+    it('rejects unknown types and resources', async () => {
+      await assert.rejects(
+        ath.attach(submission, { type: 'digest' }),
+        /digest/
+      );
+      await assert.rejects(
+        ath.attach(namedNode('http://example.org/none'), basic),
+        /could not be found/
+      );
+    });
+
+    it('removes the secrets, or the whole configuration', async () => {
+      await ath.attach(submission, basic);
+      await ath.removeSecrets(submission);
+      const info = await ath.get(submission);
+      assert.equal(info.username, undefined);
+      assert.equal(info.password, undefined);
+      assert.equal(info.type, 'basic');
+      await ath.remove(submission);
+      assert.equal(await ath.get(submission), undefined);
+    });
+  });
+
+  describe('cleanup', () => {
+    let job;
+    beforeEach(async () => {
+      job = await createJob();
+      await ath.attach(submission, basic);
+      await ath.attach(remoteDataObject, oauth2);
+    });
+
+    it('removes the secrets once the Job failed', async () => {
+      await jbt.updateStatus(job, namedNode(cts.JOB_STATUSES.failed));
+      assert.equal((await ath.get(submission)).password, undefined);
+      assert.equal((await ath.get(remoteDataObject)).clientSecret, undefined);
+    });
+
+    it('removes the secrets when the Job is failed by a compare-and-set', async () => {
+      const won = await jbt.compareAndSetStatus(
+        job,
+        namedNode(cts.JOB_STATUSES.busy),
+        namedNode(cts.JOB_STATUSES.failed)
+      );
+      assert.equal(won, true);
+      assert.equal((await ath.get(submission)).password, undefined);
+    });
+
+    it('keeps the secrets while the Job is busy', async () => {
+      await jbt.updateStatus(job, namedNode(cts.JOB_STATUSES.busy));
+      assert.equal((await ath.get(submission)).password, 'secret');
+    });
+
+    it('removes the secrets once the Job succeeded', async () => {
+      await jbt.updateStatus(job, namedNode(cts.JOB_STATUSES.success));
+      assert.equal((await ath.get(submission)).password, undefined);
+      assert.equal((await ath.get(remoteDataObject)).clientSecret, undefined);
+    });
+
+    it('removes the secrets when a Task ran out of retries', async () => {
+      const task = await createTask(job, { status: cts.TASK_STATUSES.failed });
+      await assert.rejects(
+        rtr.retry(task, creator, { maxAttempts: 1 }),
+        rtr.RetryLimitError
+      );
+      assert.equal((await ath.get(submission)).password, undefined);
+      assert.equal((await ath.get(remoteDataObject)).clientSecret, undefined);
+    });
+  });
+});
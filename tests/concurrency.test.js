@@ -0,0 +1,77 @@
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as spq from '../sparql.js';
+import * as cts from '../constants.js';
+import * as tsk from '../tasks.js';
+import * as jbt from '../jobs.js';
+import * as N3 from 'n3';
+import { useMemoryStore, createJob, createTask } from './helpers.js';
+const { namedNode } = N3.DataFactory;
+
+const taskStatus = (name) => namedNode(cts.TASK_STATUSES[name]);
+
+describe('concurrency', () => {
+  let job;
+  beforeEach(async () => {
+    useMemoryStore();
+    job = await createJob();
+  });
+  after(() => spq.resetExecutor());
+
+  it('lets only one of several instances claim a Task', async () => {
+    const task = await createTask(job);
+    const claims = await Promise.all(
+      [1, 2, 3, 4, 5].map(() => tsk.claim(task))
+    );
+    assert.equal(claims.filter((won) => won).length, 1);
+    const info = await tsk.get(task);
+    assert.equal(info.status.value, cts.TASK_STATUSES.busy);
+    assert.ok(info.started instanceof Date);
+    assert.equal(await tsk.claim(task), false);
+  });
+
+  it('only updates when the status and modification time are as expected', async () => {
+    const task = await createTask(job);
+    const { modified } = await tsk.get(task);
+    assert.equal(
+      await tsk.compareAndSetStatus(
+        task,
+        taskStatus('busy'),
+        taskStatus('failed')
+      ),
+      false
+    );
+    assert.equal(
+      await tsk.compareAndSetStatus(
+        task,
+        taskStatus('scheduled'),
+        taskStatus('busy'),
+        { expectedModified: new Date(modified.getTime() - 1000) }
+      ),
+      false
+    );
+    assert.equal(
+      await tsk.compareAndSetStatus(
+        task,
+        taskStatus('scheduled'),
+        taskStatus('busy'),
+        { expectedModified: modified }
+      ),
+      true
+    );
+  });
+
+  it('links a Job to the error when it fails', async () => {
+    const error = namedNode('http://example.org/errors/1');
+    const won = await jbt.compareAndSetStatus(
+      job,
+      namedNode(cts.JOB_STATUSES.busy),
+      namedNode(cts.JOB_STATUSES.failed),
+      { error }
+    );
+    assert.equal(won, true);
+    const info = await jbt.get(job);
+    assert.equal(info.status.value, cts.JOB_STATUSES.failed);
+    assert.equal(info.error.value, error.value);
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as spq from '../sparql.js';
+import * as cts from '../constants.js';
+import * as dlt from '../deltas.js';
+import * as N3 from 'n3';
+import { useMemoryStore, update, values } from './helpers.js';
+const { namedNode } = N3.DataFactory;
+
+const status = namedNode(cts.PREDICATE_TABLE.adms_status);
+const taskType = namedNode(`${cts.PREFIX_TABLE.task}Task`);
+const uri = (value) => ({ type: 'uri', value });
+const triple = (subject, predicate, object) => ({
+  subject: uri(subject),
+  predicate: uri(predicate),
+  object: uri(object),
+});
+
+describe('deltas', () => {
+  beforeEach(async () => {
+    useMemoryStore();
+    await update(`
+      INSERT DATA {
+        GRAPH <http://example.org/graphs/1> {
+          <http://example.org/tasks/1> a task:Task .
+          <http://example.org/jobs/1> a cogs:Job .
+        }
+      }`);
+  });
+  after(() => spq.resetExecutor());
+
+  it('gets the subjects of inserts with a predicate and object', () => {
+    const deltas = [
+      {
+        inserts: [
+          triple('http://example.org/tasks/1', status.value, 'http://busy'),
+          triple('http://example.org/tasks/2', status.value, 'http://failed'),
+        ],
+        deletes: [],
+      },
+    ];
+    assert.deepEqual(
+      values(dlt.getSubjects(deltas, status, namedNode('http://busy'))),
+      ['http://example.org/tasks/1']
+    );
+  });
+
+  describe('dispatcher', () => {
+    it('matches the type of subjects in the triplestore', async () => {
+      const dispatcher = dlt.createDispatcher();
+      const calls = [];
+      dispatcher.on({ predicate: status, type: taskType }, (matches) =>
+        calls.push(values(matches.subjects))
+      );
+      const called = await dispatcher.dispatch([
+        {
+          inserts: [
+            triple('http://example.org/tasks/1', status.value, 'http://busy'),
+            triple('http://example.org/jobs/1', status.value, 'http://busy'),
+          ],
+          deletes: [],
+        },
+      ]);
+      assert.equal(called, 1);
+      assert.deepEqual(calls, [['http://example.org/tasks/1']]);
+    });
+
+    it('matches the type of subjects in the same changes', async () => {
+      const dispatcher = dlt.createDispatcher();
+      const calls = [];
+      dispatcher.on(
+        { predicate: status, type: taskType, operation: 'deletes' },
+        (matches) => calls.push(values(matches.subjects))
+      );
+      await dispatcher.dispatch([
+        {
+          inserts: [],
+          deletes: [
+            triple('http://example.org/tasks/9', status.value, 'http://busy'),
+            triple(
+              'http://example.org/tasks/9',
+              cts.PREDICATE_TABLE.rdf_type,
+              taskType.value
+            ),
+          ],
+        },
+      ]);
+      assert.deepEqual(calls, [['http://example.org/tasks/9']]);
+    });
+
+    it('calls all handlers and reports the ones that failed', async () => {
+      const dispatcher = dlt.createDispatcher();
+      let called = false;
+      dispatcher.on({ predicate: status }, () => {
+        throw new Error('handler failed');
+      });
+      dispatcher.on({ predicate: status }, () => {
+        called = true;
+      });
+      await assert.rejects(
+        dispatcher.dispatch([
+          {
+            inserts: [
+              triple('http://example.org/tasks/1', status.value, 'http://busy'),
+            ],
+            deletes: [],
+          },
+        ]),
+        (error) => error instanceof AggregateError && error.errors.length === 1
+      );
+      assert.ok(called);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, it, before, beforeEach, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'node:fs/promises';
+import * as path from 'node:path';
+import { Readable } from 'node:stream';
+import { pathToFileURL } from 'node:url';
+import * as spq from '../sparql.js';
+import * as cts from '../constants.js';
+import * as stg from '../storage.js';
+import * as tsk from '../tasks.js';
+import * as jbt from '../jobs.js';
+import * as lfc from '../lifecycle.js';
+import * as afl from '../asfFiles.js';
+import * as rdo from '../remoteDataObjects.js';
+import * as dwn from '../downloads.js';
+import * as N3 from 'n3';
+import {
+  creator,
+  graph,
+  useMemoryStore,
+  useTemporaryStorage,
+  createJob,
+  createTask,
+  values,
+} from './helpers.js';
+const { namedNode } = N3.DataFactory;
+
+// Answer every request with the same response, and remember the requests.
+function stubHttpClient(status, contents, contentType) {
+  const requests = [];
+  dwn.setHttpClient(async (url, init) => {
+    requests.push({ url, ...init });
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      headers: {
+        get: (name) => (name === 'content-type' ? contentType : null),
+      },
+      body: Readable.from([contents]),
+    };
+  });
+  return requests;
+}
+
+describe('downloads', () => {
+  let removeStorage;
+  let job;
+  before(async () => {
+    removeStorage = await useTemporaryStorage();
+  });
+  beforeEach(async () => {
+    useMemoryStore();
+    job = await createJob();
+  });
+  afterEach(() => dwn.resetHttpClient());
+  after(async () => {
+    spq.resetExecutor();
+    await removeStorage();
+  });
+
+  const createRemoteDataObject = (url, options) =>
+    rdo.create(namedNode(url), creator, graph, options);
+
+  it('downloads into storage and completes the download Task', async () => {
+    const requests = stubHttpClient(200, '<a> <b> <c> .', 'text/turtle');
+    const remoteDataObject = await createRemoteDataObject(
+      'http://example.org/document',
+      { headers: { Accept: 'text/turtle' } }
+    );
+    const task = await createTask(job, {
+      inputs: { remoteDataObjects: [remoteDataObject] },
+    });
+
+    const result = await dwn.download(remoteDataObject, creator, { task });
+    assert.deepEqual(requests, [
+      {
+        url: 'http://example.org/document',
+        headers: { Accept: 'text/turtle' },
+      },
+    ]);
+    assert.equal(
+      await afl.loadFromLogicalFile(result.logicalFile),
+      '<a> <b> <c> .'
+    );
+    assert.match(result.physicalFile.value, /\.ttl$/);
+    const info = await rdo.get(remoteDataObject);
+    assert.equal(info.status.value, cts.DOWNLOAD_STATUSES.success);
+    assert.deepEqual(values(info.files), [result.physicalFile.value]);
+    const taskInfo = await tsk.get(task);
+    assert.equal(taskInfo.status.value, cts.TASK_STATUSES.success);
+    assert.deepEqual(values(taskInfo.resultsContainer.files), [
+      result.logicalFile.value,
+    ]);
+  });
+
+  it('records an HTTP error on the remote data object and the Task', async () => {
+    stubHttpClient(404, 'Not found', 'text/plain');
+    const remoteDataObject = await createRemoteDataObject(
+      'https://example.org/missing'
+    );
+
+    await assert.rejects(
+      dwn.download(remoteDataObject, creator, { job }),
+      (error) => error instanceof dwn.DownloadError && error.status === 404
+    );
+    const info = await rdo.get(remoteDataObject);
+    assert.equal(info.status.value, cts.DOWNLOAD_STATUSES.failure);
+    assert.equal(info.errors.length, 1);
+    const [taskInfo] = await jbt.getTasks(job);
+    assert.equal(taskInfo.operation.value, cts.OPERATIONS.download);
+    assert.equal(taskInfo.status.value, cts.TASK_STATUSES.failed);
+    assert.equal(taskInfo.error.value, info.errors[0].value);
+  });
+
+  it('reads file URLs inside the file download root', async () => {
+    const fileDownloadRoot = path.join(stg.getConfiguration().root, 'local');
+    await fs.mkdir(fileDownloadRoot);
+    const document = path.join(fileDownloadRoot, 'document.ttl');
+    await fs.writeFile(document, '<a> <b> <c> .');
+    stg.configure({ ...stg.getConfiguration(), fileDownloadRoot });
+    try {
+      const remoteDataObject = await createRemoteDataObject(
+        pathToFileURL(document).href
+      );
+      const result = await dwn.download(remoteDataObject, creator);
+      assert.equal(
+        await afl.loadFromLogicalFile(result.logicalFile),
+        '<a> <b> <c> .'
+      );
+      assert.match(result.physicalFile.value, /\.ttl$/);
+    } finally {
+      stg.configure({ ...stg.getConfiguration(), fileDownloadRoot: null });
+    }
+  });
+
+  it('refuses file URLs outside of the file download root and other protocols', async () => {
+    const requests = stubHttpClient(200, 'secret', 'text/plain');
+    const local = await createRemoteDataObject('file:///etc/passwd');
+    await assert.rejects(dwn.download(local, creator), stg.StoragePathError);
+    const ftp = await createRemoteDataObject('ftp://example.org/document');
+    await assert.rejects(
+      dwn.download(ftp, creator),
+      /only file, http and https URLs are supported/
+    );
+
+    assert.deepEqual(requests, []);
+    for (const remoteDataObject of [local, ftp])
+      assert.equal(
+        (await rdo.get(remoteDataObject)).status.value,
+        cts.DOWNLOAD_STATUSES.failure
+      );
+  });
+
+  it('refuses a Task that is not scheduled', async () => {
+    const requests = stubHttpClient(200, '<a> <b> <c> .', 'text/turtle');
+    const remoteDataObject = await createRemoteDataObject(
+      'http://example.org/document'
+    );
+    const task = await createTask(job, { status: cts.TASK_STATUSES.busy });
+
+    await assert.rejects(
+      dwn.download(remoteDataObject, creator, { task }),
+      /could not be claimed/
+    );
+    assert.deepEqual(requests, []);
+    assert.equal((await tsk.get(task)).status.value, cts.TASK_STATUSES.busy);
+    assert.equal(
+      (await rdo.get(remoteDataObject)).status.value,
+      cts.DOWNLOAD_STATUSES.scheduled
+    );
+  });
+
+  it('leaves a remote data object alone that another instance is downloading', async () => {
+    const requests = stubHttpClient(200, '<a> <b> <c> .', 'text/turtle');
+    const remoteDataObject = await createRemoteDataObject(
+      'http://example.org/document'
+    );
+    await rdo.updateStatus(
+      remoteDataObject,
+      namedNode(cts.DOWNLOAD_STATUSES.ongoing)
+    );
+    const task = await createTask(job);
+
+    await assert.rejects(
+      dwn.download(remoteDataObject, creator, { task }),
+      lfc.IllegalTransitionError
+    );
+    assert.deepEqual(requests, []);
+    const info = await rdo.get(remoteDataObject);
+    assert.equal(info.status.value, cts.DOWNLOAD_STATUSES.ongoing);
+    assert.deepEqual(info.errors, []);
+    const taskInfo = await tsk.get(task);
+    assert.equal(taskInfo.status.value, cts.TASK_STATUSES.failed);
+    assert.ok(taskInfo.error);
+  });
+});
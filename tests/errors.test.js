@@ -0,0 +1,152 @@
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as spq from '../sparql.js';
+import * as cts from '../constants.js';
+import * as ers from '../errors.js';
+import * as N3 from 'n3';
+import { creator, useMemoryStore, update, values } from './helpers.js';
+const { namedNode } = N3.DataFactory;
+
+describe('errors', () => {
+  let executor;
+  beforeEach(() => {
+    executor = useMemoryStore();
+  });
+  after(() => spq.resetExecutor());
+
+  describe('creating', () => {
+    it('stores the code, severity and references of an Error', async () => {
+      const references = [
+        namedNode('http://example.org/tasks/1'),
+        namedNode('http://example.org/jobs/1'),
+      ];
+      const error = await ers.createExtended(creator, {
+        message: 'Not found',
+        code: namedNode(cts.ERROR_CODES.notFound),
+        severity: namedNode(cts.ERROR_SEVERITIES.warning),
+        references,
+      });
+      const [info] = await ers.list();
+      assert.equal(info.error.value, error.value);
+      assert.equal(info.message, 'Not found');
+      assert.equal(info.code.value, cts.ERROR_CODES.notFound);
+      assert.equal(info.severity.value, cts.ERROR_SEVERITIES.warning);
+      assert.deepEqual(
+        values(info.references).sort(),
+        values(references).sort()
+      );
+    });
+
+    it('stores an exception with its causes and its stack trace only once', async () => {
+      const exception = new TypeError('Parsing failed', {
+        cause: new Error('Unexpected token'),
+      });
+      const error = await ers.createFromException(creator, exception);
+      const errors = await ers.list();
+      const top = errors.find((info) => info.error.equals(error));
+      const cause = errors.find((info) => info.error.equals(top.cause));
+      assert.equal(top.message, 'Parsing failed');
+      assert.equal(top.detail, undefined);
+      assert.equal(cause.message, 'Unexpected token');
+      assert.equal(cause.cause, undefined);
+      const stackTraces = executor.store.getQuads(
+        error,
+        namedNode(`${cts.PREFIX_TABLE.ext}stackTrace`)
+      );
+      assert.equal(stackTraces.length, 1);
+      assert.equal(stackTraces[0].object.value, exception.stack);
+    });
+
+    it('stores values that are no Error by their string representation', async () => {
+      await ers.createFromException(creator, 42);
+      assert.equal((await ers.list())[0].message, '42');
+    });
+  });
+
+  describe('querying', () => {
+    const other = namedNode('http://example.org/services/other');
+    beforeEach(async () => {
+      const error = (id, service, created, message) => `
+        <http://example.org/errors/${id}>
+          a oslc:Error ;
+          dct:creator <${service.value}> ;
+          dct:created "${created}"^^xsd:dateTime
+          ${message ? `; oslc:message "${message}"` : ''} .`;
+      await update(`
+        INSERT DATA {
+          GRAPH <${cts.GRAPHS.error}> {
+            ${error(1, creator, '2020-01-01T10:00:00Z', 'Download failed')}
+            ${error(2, creator, '2020-01-01T12:00:00Z', 'Parsing failed')}
+            ${error(3, other, '2020-01-02T10:00:00Z', 'Download timed out')}
+            ${error(4, other, '2020-01-03T10:00:00Z')}
+          }
+        }`);
+    });
+
+    it('lists the newest Errors first, filtered and paged', async () => {
+      const ids = (errors) => errors.map((info) => info.error.value.slice(-1));
+      assert.deepEqual(ids(await ers.list()), ['3', '2', '1']);
+      assert.deepEqual(ids(await ers.list({ creator })), ['2', '1']);
+      assert.deepEqual(ids(await ers.list({ messagePattern: '^download' })), [
+        '3',
+        '1',
+      ]);
+      assert.deepEqual(
+        ids(
+          await ers.list({
+            from: new Date('2020-01-01T11:00:00Z'),
+            to: new Date('2020-01-02T00:00:00Z'),
+          })
+        ),
+        ['2']
+      );
+      assert.deepEqual(ids(await ers.list({}, { limit: 1, offset: 1 })), ['2']);
+    });
+
+    it('refuses a limit or offset that is not a non-negative integer', async () => {
+      await assert.rejects(ers.list({}, { limit: NaN }), TypeError);
+      await assert.rejects(ers.list({}, { limit: '10' }), TypeError);
+      await assert.rejects(ers.list({}, { offset: -1 }), TypeError);
+    });
+
+    it('counts Errors per creator and per day', async () => {
+      assert.deepEqual(
+        (await ers.countByCreator()).map((r) => [r.creator.value, r.count]),
+        [
+          [creator.value, 2],
+          [other.value, 1],
+        ]
+      );
+      assert.deepEqual(await ers.countByDay({ creator }), [
+        { day: '2020-01-01', count: 2 },
+      ]);
+    });
+
+    it('purges all Errors older than the retention period, with or without message', async () => {
+      const retention = Date.now() - new Date('2020-01-02T12:00:00Z');
+      assert.equal(await ers.purge(retention), 3);
+      assert.deepEqual(
+        [...new Set(executor.store.getSubjects().map((s) => s.value))],
+        ['http://example.org/errors/4']
+      );
+    });
+
+    it('removes the links to purged Errors', async () => {
+      await update(`
+        INSERT DATA {
+          GRAPH <http://example.org/graphs/jobs> {
+            <http://example.org/tasks/1> task:error <http://example.org/errors/1> .
+            <http://example.org/tasks/2> task:error <http://example.org/errors/4> .
+          }
+        }`);
+      const retention = Date.now() - new Date('2020-01-02T12:00:00Z');
+      assert.equal(await ers.purge(retention), 3);
+      assert.deepEqual(
+        executor.store
+          .getObjects(null, namedNode(`${cts.PREFIX_TABLE.task}error`))
+          .map((o) => o.value),
+        ['http://example.org/errors/4']
+      );
+    });
+  });
+});
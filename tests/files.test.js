@@ -0,0 +1,50 @@
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as spq from '../sparql.js';
+import * as stg from '../storage.js';
+import * as fil from '../files.js';
+import { creator, graph, useMemoryStore, values } from './helpers.js';
+
+describe('files', () => {
+  beforeEach(() => useMemoryStore());
+  after(() => spq.resetExecutor());
+
+  describe('createBatch', () => {
+    it('creates the file data for every input, in order', async () => {
+      const pathPrefix = stg.getDirectory('submissions');
+      const inputs = ['ttl', 'json', 'html'].map((extension, size) => ({
+        pathPrefix,
+        extension,
+        size,
+        creator,
+        graph,
+      }));
+      const created = await fil.createBatch(inputs, { maxTriplesPerQuery: 20 });
+      assert.deepEqual(
+        created.map(({ physicalFilePath }) =>
+          physicalFilePath.split('.').pop()
+        ),
+        ['ttl', 'json', 'html']
+      );
+      const listed = await fil.list();
+      assert.deepEqual(
+        values(listed.map((file) => file.logicalFile)).sort(),
+        values(created.map((file) => file.logicalFile)).sort()
+      );
+    });
+
+    it('writes nothing when a path points outside of the storage root', async () => {
+      const inputs = [stg.getDirectory('submissions'), '/etc/'].map(
+        (pathPrefix) => ({
+          pathPrefix,
+          extension: 'ttl',
+          size: 1,
+          creator,
+          graph,
+        })
+      );
+      await assert.rejects(fil.createBatch(inputs), stg.StoragePathError);
+      assert.deepEqual(await fil.list(), []);
+    });
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fmt from '../formats.js';
+
+describe('formats', () => {
+  it('maps extensions and formats to each other', () => {
+    assert.equal(fmt.getFormat('HTML'), 'text/html');
+    assert.equal(fmt.getExtension('text/turtle; charset=utf-8'), 'ttl');
+    assert.equal(fmt.getFormat('docx'), undefined);
+    assert.deepEqual(fmt.resolve('application/pdf'), {
+      extension: 'pdf',
+      format: 'application/pdf',
+    });
+    assert.deepEqual(fmt.resolve('.JSON'), {
+      extension: 'json',
+      format: 'application/json',
+    });
+    assert.throws(() => fmt.resolve('text/x-unknown'), /Unknown file format/);
+  });
+
+  it('detects the format from a file name', () => {
+    assert.equal(fmt.detectFromFileName('/share/a/b.PDF').extension, 'pdf');
+    assert.equal(fmt.detectFromFileName('no-extension'), undefined);
+  });
+
+  it('detects the format from the contents', () => {
+    const detect = (content) => fmt.detectFromContent(content)?.extension;
+    assert.equal(detect('%PDF-1.7\n'), 'pdf');
+    assert.equal(detect('<!DOCTYPE html><html></html>'), 'html');
+    assert.equal(detect('<?xml version="1.0"?><root/>'), 'xml');
+    assert.equal(detect('{ "@context": {}, "@id": "a" }'), 'jsonld');
+    assert.equal(detect('[1, 2]'), 'json');
+    assert.equal(detect('@prefix ex: <http://example.org/> .'), 'ttl');
+    assert.equal(
+      detect('<http://example.org/a> <http://example.org/b> "c" .'),
+      'nt'
+    );
+    assert.equal(detect('just some words'), undefined);
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'node:fs/promises';
+import * as path from 'node:path';
+import * as spq from '../sparql.js';
+import * as stg from '../storage.js';
+import * as afl from '../asfFiles.js';
+import * as fil from '../files.js';
+import * as gcl from '../garbageCollector.js';
+import * as rdo from '../remoteDataObjects.js';
+import * as N3 from 'n3';
+import {
+  creator,
+  graph,
+  useMemoryStore,
+  useTemporaryStorage,
+  createJob,
+  createTask,
+  values,
+  update,
+} from './helpers.js';
+const { namedNode } = N3.DataFactory;
+
+describe('garbageCollector', () => {
+  let removeStorage;
+  let orphan;
+  let missing;
+  let referenced;
+  beforeEach(async () => {
+    useMemoryStore();
+    removeStorage = await useTemporaryStorage();
+
+    orphan = path.join(stg.getDirectory('submissions'), 'orphan.ttl');
+    await fs.writeFile(orphan, '<a> <b> <c> .');
+    missing = await afl.createFromContent('<a> <b> <c> .', creator, graph);
+    await fs.rm(stg.toPath(missing.physicalFile));
+    referenced = await afl.createFromContent('<d> <e> <f> .', creator, graph);
+    await fs.rm(stg.toPath(referenced.physicalFile));
+    await createTask(await createJob(), {
+      inputs: { files: [referenced.logicalFile] },
+    });
+    await afl.createFromContent('<g> <h> <i> .', creator, graph);
+  });
+  afterEach(async () => {
+    spq.resetExecutor();
+    await removeStorage();
+  });
+
+  it('reports orphaned files and file data', async () => {
+    const report = await gcl.scan({ gracePeriod: 0 });
+    assert.deepEqual(report.orphanedFiles, [orphan]);
+    assert.deepEqual(
+      report.orphanedMetadata.map((file) => file.logicalFile.value),
+      [missing.logicalFile.value]
+    );
+    assert.deepEqual(
+      report.referencedMetadata.map((file) => file.logicalFile.value),
+      [referenced.logicalFile.value]
+    );
+  });
+
+  it('reports file data with an invalid IRI and scans the rest', async () => {
+    await update(`
+      INSERT DATA {
+        GRAPH <${graph.value}> {
+          <share://../outside.ttl>
+            a nfo:FileDataObject ;
+            nie:dataSource <http://example.org/files/outside> .
+        }
+      }`);
+    const report = await gcl.scan({ gracePeriod: 0 });
+    assert.deepEqual(
+      report.invalidMetadata.map((file) => file.physicalFile.value),
+      ['share://../outside.ttl']
+    );
+    assert.ok(report.invalidMetadata[0].error instanceof stg.StoragePathError);
+    assert.deepEqual(report.orphanedFiles, [orphan]);
+    assert.deepEqual(
+      report.orphanedMetadata.map((file) => file.logicalFile.value),
+      [missing.logicalFile.value]
+    );
+  });
+
+  it('never removes the file data of downloaded documents', async () => {
+    const remoteDataObject = await rdo.create(
+      namedNode('http://example.org/documents/1'),
+      creator,
+      graph
+    );
+    const downloaded = await afl.createFromContent(
+      '<j> <k> <l> .',
+      creator,
+      graph
+    );
+    await rdo.attachFile(remoteDataObject, downloaded.physicalFile);
+    await fs.rm(stg.toPath(downloaded.physicalFile));
+
+    const report = await gcl.collect({ dryRun: false, gracePeriod: 0 });
+    assert.deepEqual(report.failures, []);
+    assert.deepEqual(
+      values(report.orphanedMetadata.map((file) => file.logicalFile)),
+      [missing.logicalFile.value]
+    );
+    assert.deepEqual(
+      [
+        ...new Set(
+          report.downloadedMetadata.map((file) => file.physicalFile.value)
+        ),
+      ],
+      [downloaded.physicalFile.value]
+    );
+    assert.ok(
+      values((await fil.list()).map((file) => file.physicalFile)).includes(
+        downloaded.physicalFile.value
+      )
+    );
+  });
+
+  it('skips anything modified within the grace period', async () => {
+    const report = await gcl.scan();
+    assert.equal(report.orphanedFiles.length, 0);
+    assert.equal(report.orphanedMetadata.length, 0);
+  });
+
+  it('changes nothing on a dry run', async () => {
+    const report = await gcl.collect({ gracePeriod: 0 });
+    assert.equal(report.dryRun, true);
+    await fs.access(orphan);
+    assert.equal((await fil.list()).length, 3);
+  });
+
+  it('quarantines orphaned files and removes orphaned file data', async () => {
+    const report = await gcl.collect({ dryRun: false, gracePeriod: 0 });
+    assert.deepEqual(report.failures, []);
+    await assert.rejects(fs.access(orphan), { code: 'ENOENT' });
+    await fs.access(
+      path.join(stg.getDirectory('quarantine'), 'submissions', 'orphan.ttl')
+    );
+    const remaining = values(
+      (await fil.list()).map((file) => file.logicalFile)
+    );
+    assert.equal(remaining.length, 2);
+    assert.ok(!remaining.includes(missing.logicalFile.value));
+    assert.ok(remaining.includes(referenced.logicalFile.value));
+  });
+
+  it('rejects an unknown action', async () => {
+    await assert.rejects(gcl.collect({ action: 'shred' }), /Unknown/);
+  });
+
+  it('rejects an invalid page when listing files', async () => {
+    await assert.rejects(fil.list({ limit: -1 }), TypeError);
+    await assert.rejects(fil.list({ offset: 1.5 }), TypeError);
+  });
+});
@@ -0,0 +1,78 @@
+import * as fs from 'node:fs/promises';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import * as spq from '../sparql.js';
+import * as mex from '../memoryExecutor.js';
+import * as stg from '../storage.js';
+import * as cts from '../constants.js';
+import * as tsk from '../tasks.js';
+import * as jbt from '../jobs.js';
+import * as N3 from 'n3';
+import * as sjp from 'sparqljson-parse';
+const { namedNode } = N3.DataFactory;
+
+export const creator = namedNode('http://example.org/services/tests');
+export const graph = namedNode('http://example.org/graphs/tests');
+
+// Send all queries and updates to a new, empty in-memory store.
+export function useMemoryStore() {
+  const executor = mex.create();
+  spq.setExecutor(executor);
+  return executor;
+}
+
+// Map physical files to a new temporary directory. Returns a function that removes it again.
+export async function useTemporaryStorage() {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'asf-tools-'));
+  stg.configure({ root });
+  for (const directory of Object.values(stg.getConfiguration().directories))
+    await fs.mkdir(path.join(root, directory), { recursive: true });
+  return async () => {
+    stg.resetConfiguration();
+    await fs.rm(root, { recursive: true, force: true });
+  };
+}
+
+export async function select(queryString) {
+  const response = await spq.query(`${cts.SPARQL_PREFIXES}\n${queryString}`);
+  return new sjp.SparqlJsonParser().parseJsonResults(response);
+}
+
+export async function update(updateString) {
+  await spq.update(`${cts.SPARQL_PREFIXES}\n${updateString}`);
+}
+
+export function values(terms) {
+  return terms.map((term) => term.value);
+}
+
+export async function createJob(
+  operation = cts.OPERATIONS.automaticSubmissionFlow
+) {
+  return jbt.create(
+    namedNode(operation),
+    namedNode('http://example.org/submissions/1'),
+    creator,
+    namedNode(cts.COGS_OPERATIONS.transformation),
+    graph
+  );
+}
+
+export async function createTask(job, options = {}) {
+  const { operation, status, index, inputs } = {
+    operation: cts.OPERATIONS.download,
+    status: cts.TASK_STATUSES.scheduled,
+    index: 0,
+    ...options,
+  };
+  return tsk.create(
+    namedNode(operation),
+    creator,
+    namedNode(status),
+    index,
+    job,
+    inputs,
+    namedNode(cts.COGS_OPERATIONS.webServiceLookup),
+    graph
+  );
+}
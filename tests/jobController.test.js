@@ -0,0 +1,103 @@
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as spq from '../sparql.js';
+import * as cts from '../constants.js';
+import * as jct from '../jobController.js';
+import * as tsk from '../tasks.js';
+import * as jbt from '../jobs.js';
+import * as N3 from 'n3';
+import {
+  creator,
+  useMemoryStore,
+  createJob,
+  createTask,
+  values,
+} from './helpers.js';
+const { namedNode } = N3.DataFactory;
+
+const taskStatus = (name) => namedNode(cts.TASK_STATUSES[name]);
+
+describe('jobController', () => {
+  let job;
+  beforeEach(async () => {
+    useMemoryStore();
+    job = await createJob();
+  });
+  after(() => spq.resetExecutor());
+
+  it('finds the next step of a pipeline', () => {
+    const pipeline = jct.getPipeline(
+      namedNode(cts.OPERATIONS.automaticSubmissionFlow)
+    );
+    const next = jct.getNextStep(pipeline, namedNode(cts.OPERATIONS.register));
+    assert.equal(next.index, 1);
+    assert.equal(next.step.operation, cts.OPERATIONS.download);
+    assert.equal(
+      jct.getNextStep(pipeline, namedNode(cts.OPERATIONS.validate)),
+      undefined
+    );
+  });
+
+  it('schedules the next Task with the results as inputs, only once', async () => {
+    const task = await createTask(job, {
+      operation: cts.OPERATIONS.register,
+      status: cts.TASK_STATUSES.busy,
+    });
+    const file = namedNode('http://example.org/files/1');
+    await tsk.updateStatus(task, taskStatus('success'), creator, {
+      files: [file],
+    });
+
+    const first = await jct.processTask(task, creator);
+    assert.equal(first.action, 'scheduled');
+    const next = await tsk.get(first.task);
+    assert.equal(next.operation.value, cts.OPERATIONS.download);
+    assert.equal(next.status.value, cts.TASK_STATUSES.scheduled);
+    assert.deepEqual(values(next.inputContainer.files), [file.value]);
+
+    assert.equal((await jct.processTask(task, creator)).action, 'ignored');
+    assert.equal((await jbt.getTasks(job)).length, 2);
+  });
+
+  it('fails the Job with the error of a failed Task, once', async () => {
+    const task = await createTask(job, { status: cts.TASK_STATUSES.busy });
+    const error = namedNode('http://example.org/errors/1');
+    await tsk.updateStatus(
+      task,
+      taskStatus('failed'),
+      creator,
+      undefined,
+      error
+    );
+
+    assert.equal((await jct.processTask(task, creator)).action, 'failed');
+    const info = await jbt.get(job);
+    assert.equal(info.status.value, cts.JOB_STATUSES.failed);
+    assert.equal(info.error.value, error.value);
+    assert.equal((await jct.processTask(task, creator)).action, 'ignored');
+  });
+
+  it('lets the Job succeed after the last step', async () => {
+    const task = await createTask(job, {
+      operation: cts.OPERATIONS.validate,
+      status: cts.TASK_STATUSES.busy,
+      index: 4,
+    });
+    await tsk.updateStatus(task, taskStatus('success'), creator);
+    assert.equal((await jct.processTask(task, creator)).action, 'succeeded');
+    assert.equal((await jbt.get(job)).status.value, cts.JOB_STATUSES.success);
+  });
+
+  it('does not schedule the next step for a cancelled Job', async () => {
+    const task = await createTask(job, {
+      operation: cts.OPERATIONS.register,
+      status: cts.TASK_STATUSES.busy,
+    });
+    await jbt.cancel(job, 'Stopped by the user', creator);
+    await tsk.updateStatus(task, taskStatus('success'), creator);
+
+    assert.equal((await jct.processTask(task, creator)).action, 'ignored');
+    assert.equal((await jbt.getTasks(job)).length, 1);
+    assert.equal((await jbt.get(job)).status.value, cts.JOB_STATUSES.cancelled);
+  });
+});
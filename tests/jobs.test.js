@@ -0,0 +1,192 @@
+import { describe, it, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as spq from '../sparql.js';
+import * as cts from '../constants.js';
+import * as jbt from '../jobs.js';
+import * as tsk from '../tasks.js';
+import * as afl from '../asfFiles.js';
+import * as lfc from '../lifecycle.js';
+import * as rdo from '../remoteDataObjects.js';
+import * as N3 from 'n3';
+import {
+  creator,
+  graph,
+  useMemoryStore,
+  useTemporaryStorage,
+  createJob,
+  createTask,
+  values,
+  select,
+} from './helpers.js';
+const { namedNode } = N3.DataFactory;
+
+describe('jobs', () => {
+  let job;
+  beforeEach(async () => {
+    useMemoryStore();
+    job = await createJob();
+  });
+  after(() => spq.resetExecutor());
+
+  describe('get', () => {
+    it('returns the Job with typed values', async () => {
+      const info = await jbt.get(job);
+      assert.equal(info.job.value, job.value);
+      assert.equal(
+        info.operation.value,
+        cts.OPERATIONS.automaticSubmissionFlow
+      );
+      assert.equal(info.status.value, cts.JOB_STATUSES.busy);
+      assert.equal(info.creator.value, creator.value);
+      assert.equal(info.activity.value, 'http://example.org/submissions/1');
+      assert.ok(info.created instanceof Date);
+      assert.equal(info.error, undefined);
+    });
+
+    it('lists the Tasks of the Job ordered by their index', async () => {
+      for (const index of [2, 0, 1]) await createTask(job, { index });
+      const tasks = await jbt.getTasks(job);
+      assert.deepEqual(
+        tasks.map((task) => task.index),
+        [0, 1, 2]
+      );
+    });
+  });
+
+  describe('cancel', () => {
+    let removeStorage;
+    before(async () => {
+      removeStorage = await useTemporaryStorage();
+    });
+    after(() => removeStorage());
+
+    it('cancels the unfinished Tasks of a busy Job', async () => {
+      const done = await createTask(job, { status: cts.TASK_STATUSES.success });
+      const busy = await createTask(job, {
+        status: cts.TASK_STATUSES.busy,
+        index: 1,
+      });
+      const result = await jbt.cancel(job, 'No longer needed', creator);
+      assert.deepEqual(values(result.tasks), [busy.value]);
+
+      const info = await jbt.get(job);
+      assert.equal(info.status.value, cts.JOB_STATUSES.cancelled);
+      assert.equal(info.error.value, result.error.value);
+      assert.equal(
+        (await tsk.get(busy)).status.value,
+        cts.TASK_STATUSES.cancelled
+      );
+      assert.equal(
+        (await tsk.get(done)).status.value,
+        cts.TASK_STATUSES.success
+      );
+      await assert.rejects(
+        jbt.cancel(job, 'Again', creator),
+        lfc.IllegalTransitionError
+      );
+    });
+
+    it('only removes intermediate results that are not used elsewhere', async () => {
+      const files = [];
+      for (const contents of ['input', 'result', 'shared', 'downloaded'])
+        files.push(
+          await afl.createFromContent(contents, creator, graph, 'txt')
+        );
+      const [input, result, shared, downloaded] = files;
+      const remoteDataObject = await rdo.create(
+        namedNode('http://example.org/document'),
+        creator,
+        graph
+      );
+      await rdo.attachFile(remoteDataObject, downloaded.physicalFile);
+
+      const register = await createTask(job, {
+        operation: cts.OPERATIONS.register,
+        status: cts.TASK_STATUSES.busy,
+        inputs: { files: [input.logicalFile] },
+      });
+      await tsk.updateStatus(
+        register,
+        namedNode(cts.TASK_STATUSES.success),
+        creator,
+        {
+          files: [
+            result.logicalFile,
+            shared.logicalFile,
+            downloaded.logicalFile,
+          ],
+        }
+      );
+      await createTask(job, {
+        index: 1,
+        inputs: { files: [result.logicalFile] },
+      });
+      await createTask(await createJob(), {
+        inputs: { files: [shared.logicalFile] },
+      });
+
+      const cancelled = await jbt.cancel(job, 'No longer needed', creator, {
+        removeFiles: true,
+      });
+      assert.deepEqual(cancelled.failures, []);
+      assert.deepEqual(values(cancelled.removedFiles), [
+        result.logicalFile.value,
+      ]);
+      assert.deepEqual(
+        values(cancelled.keptFiles).sort(),
+        [downloaded.logicalFile.value, shared.logicalFile.value].sort()
+      );
+      await assert.rejects(afl.loadFromLogicalFile(result.logicalFile));
+      for (const kept of [input, shared, downloaded])
+        assert.ok(await afl.loadFromLogicalFile(kept.logicalFile));
+    });
+
+    it('stores only one Error when the Job is cancelled twice at once', async () => {
+      const results = await Promise.allSettled([
+        jbt.cancel(job, 'First', creator),
+        jbt.cancel(job, 'Second', creator),
+      ]);
+      const fulfilled = results.filter(
+        (result) => result.status === 'fulfilled'
+      );
+      assert.equal(fulfilled.length, 1);
+      assert.ok(
+        results.find((result) => result.status === 'rejected').reason instanceof
+          lfc.IllegalTransitionError
+      );
+      const errors = await select(
+        'SELECT ?error WHERE { ?error a oslc:Error . }'
+      );
+      assert.deepEqual(values(errors.map((result) => result.error)), [
+        fulfilled[0].value.error.value,
+      ]);
+    });
+
+    it('leaves a Task alone that finishes while the Job is cancelled', async () => {
+      const task = await createTask(job, { status: cts.TASK_STATUSES.busy });
+      // The Task succeeds right after the Tasks of the Job have been read.
+      const executor = spq.getExecutor();
+      spq.setExecutor({
+        query: async (queryString) => {
+          const response = await executor.query(queryString);
+          if (queryString.includes('SELECT DISTINCT ?task')) {
+            spq.setExecutor(executor);
+            await tsk.updateStatus(
+              task,
+              namedNode(cts.TASK_STATUSES.success),
+              creator
+            );
+          }
+          return response;
+        },
+        update: executor.update,
+      });
+
+      const result = await jbt.cancel(job, 'No longer needed', creator);
+      assert.deepEqual(result.tasks, []);
+      const info = await tsk.get(task);
+      assert.equal(info.status.value, cts.TASK_STATUSES.success);
+      assert.equal(info.error, undefined);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as spq from '../sparql.js';
+import * as cts from '../constants.js';
+import * as lfc from '../lifecycle.js';
+import * as tsk from '../tasks.js';
+import * as jbt from '../jobs.js';
+import * as N3 from 'n3';
+import {
+  creator,
+  useMemoryStore,
+  createJob,
+  createTask,
+  values,
+  update,
+} from './helpers.js';
+const { namedNode } = N3.DataFactory;
+
+const taskStatus = (name) => namedNode(cts.TASK_STATUSES[name]);
+const jobStatus = (name) => namedNode(cts.JOB_STATUSES[name]);
+
+describe('lifecycle', () => {
+  let job;
+  let task;
+  beforeEach(async () => {
+    useMemoryStore();
+    job = await createJob();
+    task = await createTask(job);
+  });
+  after(() => spq.resetExecutor());
+
+  it('validates transitions against the transition tables', () => {
+    assert.ok(
+      lfc.isValidTaskTransition(taskStatus('scheduled'), taskStatus('busy'))
+    );
+    assert.ok(
+      !lfc.isValidTaskTransition(taskStatus('success'), taskStatus('busy'))
+    );
+    assert.ok(lfc.isValidJobTransition(jobStatus('failed'), jobStatus('busy')));
+    assert.ok(
+      !lfc.isValidJobTransition(jobStatus('success'), jobStatus('failed'))
+    );
+  });
+
+  it('moves a Task and records its status history', async () => {
+    await lfc.transitionTask(task, taskStatus('busy'), creator);
+    await lfc.transitionTask(task, taskStatus('success'), creator);
+    assert.equal((await tsk.get(task)).status.value, cts.TASK_STATUSES.success);
+    const history = await lfc.getStatusHistory(task);
+    assert.deepEqual(
+      history.map((transition) => [transition.from.value, transition.to.value]),
+      [
+        [cts.TASK_STATUSES.scheduled, cts.TASK_STATUSES.busy],
+        [cts.TASK_STATUSES.busy, cts.TASK_STATUSES.success],
+      ]
+    );
+    assert.deepEqual(values([history[0].creator]), [creator.value]);
+  });
+
+  it('refuses an illegal transition without changing the status', async () => {
+    await assert.rejects(
+      lfc.transitionTask(task, taskStatus('success'), creator),
+      (error) =>
+        error instanceof lfc.IllegalTransitionError &&
+        error.from.value === cts.TASK_STATUSES.scheduled &&
+        error.to.value === cts.TASK_STATUSES.success
+    );
+    assert.equal(
+      (await tsk.get(task)).status.value,
+      cts.TASK_STATUSES.scheduled
+    );
+    assert.equal((await lfc.getStatusHistory(task)).length, 0);
+  });
+
+  it('only lets a Job succeed when all of its Tasks succeeded', async () => {
+    await assert.rejects(
+      lfc.transitionJob(job, jobStatus('success'), creator),
+      lfc.IllegalTransitionError
+    );
+    await lfc.transitionTask(task, taskStatus('busy'), creator);
+    await lfc.transitionTask(task, taskStatus('success'), creator);
+    await lfc.transitionJob(job, jobStatus('success'), creator);
+    assert.equal((await jbt.get(job)).status.value, cts.JOB_STATUSES.success);
+  });
+
+  it('checks the status in the same update that changes it', async () => {
+    // Another service finishes the Task right before the transition is written.
+    const executor = spq.getExecutor();
+    spq.setExecutor({
+      query: executor.query,
+      update: async (updateString) => {
+        spq.setExecutor(executor);
+        await update(`
+          DELETE { GRAPH ?g { <${task.value}> adms:status ?status . } }
+          INSERT { GRAPH ?g { <${task.value}> adms:status <${cts.TASK_STATUSES.success}> . } }
+          WHERE { GRAPH ?g { <${task.value}> adms:status ?status . } }`);
+        return executor.update(updateString);
+      },
+    });
+    await assert.rejects(
+      lfc.transitionTask(task, taskStatus('busy'), creator),
+      (error) =>
+        error instanceof lfc.IllegalTransitionError &&
+        error.from.value === cts.TASK_STATUSES.success
+    );
+    assert.equal((await tsk.get(task)).status.value, cts.TASK_STATUSES.success);
+    assert.equal((await lfc.getStatusHistory(task)).length, 0);
+  });
+
+  it('keeps a Job busy when a Task did not succeed, without recording anything', async () => {
+    await lfc.transitionTask(task, taskStatus('busy'), creator);
+    await assert.rejects(
+      lfc.transitionJob(job, jobStatus('success'), creator),
+      /1 of its Tasks have not succeeded/
+    );
+    assert.equal((await jbt.get(job)).status.value, cts.JOB_STATUSES.busy);
+    assert.equal((await lfc.getStatusHistory(job)).length, 0);
+  });
+
+  it('records status changes made without this module', async () => {
+    await tsk.updateStatus(task, taskStatus('busy'), creator);
+    assert.ok(
+      await tsk.compareAndSetStatus(
+        task,
+        taskStatus('busy'),
+        taskStatus('failed')
+      )
+    );
+    await tsk.updateStatusBatch([task], taskStatus('cancelled'), { creator });
+    const history = await lfc.getStatusHistory(task);
+    assert.deepEqual(
+      history.map((transition) => [transition.from.value, transition.to.value]),
+      [
+        [cts.TASK_STATUSES.scheduled, cts.TASK_STATUSES.busy],
+        [cts.TASK_STATUSES.busy, cts.TASK_STATUSES.failed],
+        [cts.TASK_STATUSES.failed, cts.TASK_STATUSES.cancelled],
+      ]
+    );
+    assert.deepEqual(
+      history.map((transition) => transition.creator?.value),
+      [creator.value, undefined, creator.value]
+    );
+
+    await jbt.cancel(job, 'Stopped by the user', creator);
+    assert.deepEqual(
+      (await lfc.getStatusHistory(job)).map((transition) => [
+        transition.from.value,
+        transition.to.value,
+      ]),
+      [[cts.JOB_STATUSES.busy, cts.JOB_STATUSES.cancelled]]
+    );
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as spq from '../sparql.js';
+import { useMemoryStore, select, update } from './helpers.js';
+
+describe('memoryExecutor', () => {
+  beforeEach(async () => {
+    useMemoryStore();
+    await update(`
+      INSERT DATA {
+        GRAPH <http://example.org/g1> {
+          <http://example.org/a> a task:Task ; adms:status "busy" ; mu:uuid "a" .
+          <http://example.org/b> a task:Task ; adms:status "failed" .
+        }
+        GRAPH <http://example.org/g2> {
+          <http://example.org/c> a cogs:Job ; mu:uuid "c" .
+        }
+      }`);
+  });
+  after(() => spq.resetExecutor());
+
+  describe('graphs', () => {
+    it('only matches triples in the named graph', async () => {
+      const results = await select(`
+        SELECT ?s WHERE { GRAPH <http://example.org/g2> { ?s mu:uuid ?uuid . } }`);
+      assert.deepEqual(
+        results.map((r) => r.s.value),
+        ['http://example.org/c']
+      );
+    });
+
+    it('binds the graph variable', async () => {
+      const results = await select(`
+        SELECT ?g WHERE { GRAPH ?g { <http://example.org/a> a ?type . } }`);
+      assert.equal(results[0].g.value, 'http://example.org/g1');
+    });
+
+    it('uses the union of all graphs as default graph', async () => {
+      const results = await select(`
+        SELECT ?s WHERE { ?s mu:uuid ?uuid . } ORDER BY ?s`);
+      assert.equal(results.length, 2);
+    });
+
+    it('removes triples from every graph when deleting without a graph', async () => {
+      await update(`
+        INSERT DATA { GRAPH <http://example.org/g2> { <http://example.org/a> mu:uuid "a" . } }`);
+      await update('DELETE DATA { <http://example.org/a> mu:uuid "a" . }');
+      const results = await select(`
+        SELECT ?g WHERE { GRAPH ?g { <http://example.org/a> mu:uuid ?uuid . } }`);
+      assert.equal(results.length, 0);
+    });
+  });
+
+  describe('patterns', () => {
+    it('leaves OPTIONAL variables unbound when nothing matches', async () => {
+      const results = await select(`
+        SELECT ?task ?uuid WHERE {
+          ?task a task:Task .
+          OPTIONAL { ?task mu:uuid ?uuid . }
+        } ORDER BY ?task`);
+      assert.equal(results.length, 2);
+      assert.equal(results[0].uuid.value, 'a');
+      assert.equal(results[1].uuid, undefined);
+    });
+
+    it('combines the alternatives of a UNION', async () => {
+      const results = await select(`
+        SELECT ?s WHERE {
+          { ?s a cogs:Job . } UNION { ?s adms:status "failed" . }
+        } ORDER BY ?s`);
+      assert.deepEqual(
+        results.map((r) => r.s.value),
+        ['http://example.org/b', 'http://example.org/c']
+      );
+    });
+
+    it('drops solutions for which FILTER NOT EXISTS finds a match', async () => {
+      const results = await select(`
+        SELECT ?task WHERE {
+          ?task a task:Task .
+          FILTER NOT EXISTS { ?task mu:uuid ?uuid . }
+        }`);
+      assert.deepEqual(
+        results.map((r) => r.task.value),
+        ['http://example.org/b']
+      );
+    });
+  });
+
+  describe('updates', () => {
+    it('deletes and inserts for every solution of DELETE/INSERT WHERE', async () => {
+      await update(`
+        DELETE { GRAPH ?g { ?task adms:status ?status . } }
+        INSERT { GRAPH ?g { ?task adms:status "scheduled" . } }
+        WHERE { GRAPH ?g { ?task a task:Task ; adms:status ?status . } }`);
+      const results = await select(`
+        SELECT DISTINCT ?g ?status WHERE { GRAPH ?g { ?task adms:status ?status . } }`);
+      assert.deepEqual(
+        results.map((r) => [r.g.value, r.status.value]),
+        [['http://example.org/g1', 'scheduled']]
+      );
+    });
+
+    it('inserts nothing when the WHERE clause has no solutions', async () => {
+      await update(`
+        INSERT { GRAPH <http://example.org/g1> { <http://example.org/d> a task:Task . } }
+        WHERE { FILTER NOT EXISTS { ?task a task:Task . } }`);
+      const results = await select(
+        'SELECT ?task WHERE { ?task a task:Task . }'
+      );
+      assert.equal(results.length, 2);
+    });
+  });
+
+  describe('solution modifiers', () => {
+    it('pages ordered results with LIMIT and OFFSET', async () => {
+      const page = (offset) =>
+        select(`
+          SELECT ?s WHERE { ?s a ?type . } ORDER BY ?s LIMIT 2 OFFSET ${offset}`);
+      assert.deepEqual(
+        (await page(0)).map((r) => r.s.value),
+        ['http://example.org/a', 'http://example.org/b']
+      );
+      assert.deepEqual(
+        (await page(2)).map((r) => r.s.value),
+        ['http://example.org/c']
+      );
+    });
+
+    it('counts per group', async () => {
+      const results = await select(`
+        SELECT ?type (COUNT(?s) AS ?count) WHERE { ?s a ?type . }
+        GROUP BY ?type ORDER BY ?type`);
+      assert.deepEqual(
+        results.map((r) => [r.type.value.split(/[/#]/).pop(), r.count.value]),
+        [
+          ['Task', '2'],
+          ['Job', '1'],
+        ]
+      );
+    });
+  });
+
+  it('rejects an update passed as query', async () => {
+    await assert.rejects(
+      spq.query(
+        'INSERT DATA { <http://example.org/a> a <http://example.org/T> . }'
+      ),
+      /Expected a query/
+    );
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as spq from '../sparql.js';
+import * as cts from '../constants.js';
+import * as tsk from '../tasks.js';
+import * as mtr from '../metrics.js';
+import * as N3 from 'n3';
+import { creator, useMemoryStore, createJob, createTask } from './helpers.js';
+const { namedNode } = N3.DataFactory;
+
+const taskStatus = (name) => namedNode(cts.TASK_STATUSES[name]);
+
+describe('metrics', () => {
+  let job;
+  beforeEach(async () => {
+    useMemoryStore();
+    job = await createJob();
+  });
+  after(() => spq.resetExecutor());
+
+  // Run a Task from start to end at the given times.
+  async function runTask(operation, status, started, ended) {
+    const task = await createTask(job, { operation });
+    await tsk.updateStatus(task, taskStatus(status), creator);
+    await mtr.recordTiming([task], taskStatus('busy'), started);
+    await mtr.recordTiming([task], taskStatus(status), ended);
+    return task;
+  }
+
+  it('records the start and end of a Task, and forgets them on a new attempt', async () => {
+    const task = await runTask(
+      cts.OPERATIONS.download,
+      'failed',
+      new Date('2024-01-01T10:00:00Z'),
+      new Date('2024-01-01T10:00:02Z')
+    );
+    assert.equal((await mtr.getTiming(task)).duration, 2000);
+
+    await mtr.recordTiming(
+      [task],
+      taskStatus('busy'),
+      new Date('2024-01-01T11:00:00Z')
+    );
+    const timing = await mtr.getTiming(task);
+    assert.deepEqual(timing.started, new Date('2024-01-01T11:00:00Z'));
+    assert.equal(timing.ended, undefined);
+    assert.equal(timing.duration, undefined);
+  });
+
+  it('replaces the progress of a Task', async () => {
+    const task = await createTask(job);
+    await mtr.updateProgress(task, 10, 100);
+    await mtr.updateProgress(task, 20);
+    const { processed, total } = await mtr.getTiming(task);
+    assert.deepEqual([processed, total], [20, 100]);
+  });
+
+  it('computes metrics per operation', async () => {
+    const at = (seconds) => new Date(Date.UTC(2024, 0, 1, 10, 0, seconds));
+    await runTask(cts.OPERATIONS.download, 'success', at(0), at(1));
+    await runTask(cts.OPERATIONS.download, 'failed', at(0), at(3));
+    await runTask(cts.OPERATIONS.download, 'cancelled', at(0), at(5));
+    await createTask(job, { operation: cts.OPERATIONS.download });
+    await createTask(job, {
+      operation: cts.OPERATIONS.validate,
+      status: cts.TASK_STATUSES.busy,
+    });
+
+    const metrics = await mtr.getOperationMetrics();
+    const download = metrics.find(
+      (entry) => entry.operation.value === cts.OPERATIONS.download
+    );
+    assert.deepEqual(
+      { ...download, operation: undefined },
+      {
+        operation: undefined,
+        ended: 3,
+        succeeded: 1,
+        failed: 1,
+        cancelled: 1,
+        failureRate: 0.5,
+        averageDuration: 3000,
+        scheduled: 1,
+        busy: 0,
+      }
+    );
+    const validate = metrics.find(
+      (entry) => entry.operation.value === cts.OPERATIONS.validate
+    );
+    assert.equal(validate.busy, 1);
+    assert.equal(validate.failureRate, undefined);
+
+    const later = await mtr.getOperationMetrics({ from: at(3) });
+    assert.equal(
+      later.find((entry) => entry.operation.value === cts.OPERATIONS.download)
+        .ended,
+      2
+    );
+  });
+});
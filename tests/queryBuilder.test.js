@@ -0,0 +1,91 @@
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as spq from '../sparql.js';
+import * as cts from '../constants.js';
+import * as qbd from '../queryBuilder.js';
+import * as N3 from 'n3';
+import * as sjp from 'sparqljson-parse';
+import { graph, useMemoryStore } from './helpers.js';
+const { namedNode, literal, variable, blankNode, quad } = N3.DataFactory;
+const { sparql } = qbd;
+
+const task = namedNode('http://example.org/tasks/1');
+const message = namedNode(`${cts.PREFIX_TABLE.oslc}message`);
+
+describe('queryBuilder', () => {
+  beforeEach(() => useMemoryStore());
+  after(() => spq.resetExecutor());
+
+  it('escapes literals so they can not change the update', async () => {
+    const evil = 'x" . } ; DROP ALL ; INSERT DATA { <a> <b> "c\n\\';
+    await spq.update(
+      qbd.insertData([quad(task, message, literal(evil))], { graph })
+    );
+    const response = await spq.query(
+      qbd.select(
+        [variable('message')],
+        [qbd.graph(graph, sparql`${task} oslc:message ?message .`)]
+      )
+    );
+    const results = new sjp.SparqlJsonParser().parseJsonResults(response);
+    assert.deepEqual(
+      results.map((r) => r.message.value),
+      [evil]
+    );
+  });
+
+  it('writes interpolated values as SPARQL terms', () => {
+    const date = new Date('2024-01-02T03:04:05.000Z');
+    assert.equal(
+      sparql`${task} ${variable('p')} ${'a "b"'}, ${3}, ${true}, ${date}`.value,
+      `<http://example.org/tasks/1> ?p "a \\"b\\"", 3, true, "2024-01-02T03:04:05.000Z"^^<${cts.TYPES.dateTime}>`
+    );
+  });
+
+  it('rejects terms that can not be written safely', () => {
+    for (const value of [
+      namedNode('http://example.org/a> <b'),
+      variable('a b'),
+      blankNode('a}'),
+      undefined,
+      {},
+      NaN,
+      new Date('invalid'),
+    ])
+      assert.throws(() => sparql`${value}`, TypeError);
+    assert.throws(() => qbd.filter('?a = ?b'), TypeError);
+  });
+
+  it('only accepts ground data', () => {
+    assert.throws(
+      () => qbd.insertData([quad(task, message, variable('m'))]),
+      TypeError
+    );
+    assert.throws(
+      () => qbd.deleteData([quad(blankNode('b'), message, literal('m'))]),
+      TypeError
+    );
+  });
+
+  it('validates the limit and offset', () => {
+    const where = [sparql`?s ?p ?o .`];
+    assert.match(
+      qbd.select([variable('s')], where, { limit: 0, offset: 10 }),
+      /LIMIT 0\nOFFSET 10$/
+    );
+    for (const page of [{ limit: -1 }, { offset: 1.5 }, { limit: '1; DROP' }])
+      assert.throws(() => qbd.select([variable('s')], where, page), TypeError);
+  });
+
+  it('declares only the prefixes that are used outside of IRIs and strings', () => {
+    const query = qbd.select(
+      [variable('s')],
+      [
+        sparql`?s a task:Task ; oslc:message ${'mu:uuid'} .`,
+        sparql`?s dct:isPartOf <http://example.org/nfo:x> .`,
+      ]
+    );
+    const prefixes = [...query.matchAll(/^PREFIX (\w+):/gm)].map((m) => m[1]);
+    assert.deepEqual(prefixes.sort(), ['dct', 'oslc', 'task']);
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as spq from '../sparql.js';
+import * as cts from '../constants.js';
+import * as lfc from '../lifecycle.js';
+import * as rdo from '../remoteDataObjects.js';
+import * as N3 from 'n3';
+import { creator, graph, useMemoryStore, values } from './helpers.js';
+const { namedNode } = N3.DataFactory;
+
+const downloadStatus = (name) => namedNode(cts.DOWNLOAD_STATUSES[name]);
+const url = namedNode('http://example.org/document.html');
+
+describe('remoteDataObjects', () => {
+  beforeEach(() => useMemoryStore());
+  after(() => spq.resetExecutor());
+
+  it('creates a scheduled remote data object with its request headers', async () => {
+    const remoteDataObject = await rdo.create(url, creator, graph, {
+      headers: { Accept: 'text/html', 'X-Retries': 3 },
+    });
+    const info = await rdo.get(remoteDataObject);
+    assert.equal(info.url.value, url.value);
+    assert.equal(info.status.value, cts.DOWNLOAD_STATUSES.scheduled);
+    assert.equal(info.graph.value, graph.value);
+    assert.deepEqual(info.headers, { Accept: 'text/html', 'X-Retries': '3' });
+    assert.deepEqual(info.files, []);
+    assert.equal(
+      await rdo.get(namedNode('http://example.org/none')),
+      undefined
+    );
+  });
+
+  it('follows the download transitions', async () => {
+    const remoteDataObject = await rdo.create(url, creator, graph);
+    await assert.rejects(
+      rdo.updateStatus(remoteDataObject, downloadStatus('success')),
+      lfc.IllegalTransitionError
+    );
+    await rdo.updateStatus(remoteDataObject, downloadStatus('ongoing'));
+    await rdo.updateStatus(remoteDataObject, downloadStatus('success'));
+    assert.equal(
+      (await rdo.get(remoteDataObject)).status.value,
+      cts.DOWNLOAD_STATUSES.success
+    );
+  });
+
+  it('starts a download only once with a compare-and-set', async () => {
+    const remoteDataObject = await rdo.create(url, creator, graph);
+    const start = () =>
+      rdo.compareAndSetStatus(
+        remoteDataObject,
+        downloadStatus('scheduled'),
+        downloadStatus('ongoing')
+      );
+    const won = await Promise.all([start(), start()]);
+    assert.deepEqual(won.sort(), [false, true]);
+    await assert.rejects(
+      rdo.compareAndSetStatus(
+        remoteDataObject,
+        downloadStatus('scheduled'),
+        downloadStatus('success')
+      ),
+      lfc.IllegalTransitionError
+    );
+  });
+
+  it('records failures and forgets them when scheduled again', async () => {
+    const remoteDataObject = await rdo.create(url, creator, graph);
+    await rdo.updateStatus(remoteDataObject, downloadStatus('ongoing'));
+    const error = await rdo.fail(remoteDataObject, creator, new Error('404'));
+    let info = await rdo.get(remoteDataObject);
+    assert.equal(info.status.value, cts.DOWNLOAD_STATUSES.failure);
+    assert.deepEqual(values(info.errors), [error.value]);
+
+    await rdo.updateStatus(remoteDataObject, downloadStatus('scheduled'));
+    info = await rdo.get(remoteDataObject);
+    assert.deepEqual(info.errors, []);
+    await assert.rejects(
+      rdo.updateStatus(remoteDataObject, downloadStatus('success')),
+      lfc.IllegalTransitionError
+    );
+  });
+
+  it('links the downloaded file', async () => {
+    const remoteDataObject = await rdo.create(url, creator, graph);
+    const physicalFile = namedNode('share://submissions/document.html');
+    await rdo.attachFile(remoteDataObject, physicalFile);
+    assert.deepEqual(values((await rdo.get(remoteDataObject)).files), [
+      physicalFile.value,
+    ]);
+  });
+});
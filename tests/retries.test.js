@@ -0,0 +1,92 @@
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as spq from '../sparql.js';
+import * as cts from '../constants.js';
+import * as rtr from '../retries.js';
+import * as tsk from '../tasks.js';
+import * as jbt from '../jobs.js';
+import * as lcy from '../lifecycle.js';
+import * as jct from '../jobController.js';
+import * as N3 from 'n3';
+import { creator, useMemoryStore, createJob, createTask } from './helpers.js';
+const { namedNode } = N3.DataFactory;
+
+describe('retries', () => {
+  let job;
+  let task;
+  beforeEach(async () => {
+    useMemoryStore();
+    job = await createJob();
+    task = await createTask(job, { status: cts.TASK_STATUSES.failed });
+    await jbt.updateStatus(job, namedNode(cts.JOB_STATUSES.failed));
+  });
+  after(() => spq.resetExecutor());
+
+  it('resets a failed Task and reopens its Job', async () => {
+    const before = Date.now();
+    const result = await rtr.retry(task, creator, { initialDelay: 1000 });
+    assert.equal(result.task.value, task.value);
+    assert.equal(result.attempt, 2);
+    assert.ok(result.retryAfter.getTime() >= before + 1000);
+    assert.equal(
+      (await tsk.get(task)).status.value,
+      cts.TASK_STATUSES.scheduled
+    );
+    assert.equal((await jbt.get(job)).status.value, cts.JOB_STATUSES.busy);
+    assert.equal((await rtr.getRetryInfo(task)).attempt, 2);
+  });
+
+  it('schedules a clone that refers to the failed Task', async () => {
+    const { task: clone } = await rtr.retry(task, creator, { mode: 'clone' });
+    assert.notEqual(clone.value, task.value);
+    assert.equal(
+      (await tsk.get(clone)).status.value,
+      cts.TASK_STATUSES.scheduled
+    );
+    assert.equal((await tsk.get(task)).status.value, cts.TASK_STATUSES.failed);
+    assert.equal(
+      (await rtr.getRetryInfo(clone)).previousAttempt.value,
+      task.value
+    );
+  });
+
+  it('lets the Job succeed when the clone of its failed Task succeeds', async () => {
+    const last = await createJob();
+    const failed = await createTask(last, {
+      operation: cts.OPERATIONS.validate,
+      status: cts.TASK_STATUSES.busy,
+      index: 4,
+    });
+    await lcy.transitionTask(
+      failed,
+      namedNode(cts.TASK_STATUSES.failed),
+      creator
+    );
+    assert.equal((await jct.processTask(failed, creator)).action, 'failed');
+
+    const { task: clone } = await rtr.retry(failed, creator, { mode: 'clone' });
+    for (const status of ['busy', 'success'])
+      await lcy.transitionTask(
+        clone,
+        namedNode(cts.TASK_STATUSES[status]),
+        creator
+      );
+    assert.equal((await jct.processTask(clone, creator)).action, 'succeeded');
+    assert.equal((await jbt.get(last)).status.value, cts.JOB_STATUSES.success);
+  });
+
+  it('stops at the maximum number of attempts', async () => {
+    await rtr.retry(task, creator, { maxAttempts: 2 });
+    await tsk.updateStatus(task, namedNode(cts.TASK_STATUSES.busy), creator);
+    await tsk.updateStatus(task, namedNode(cts.TASK_STATUSES.failed), creator);
+    await assert.rejects(
+      rtr.retry(task, creator, { maxAttempts: 2 }),
+      rtr.RetryLimitError
+    );
+  });
+
+  it('only retries failed Tasks', async () => {
+    const busy = await createTask(job, { status: cts.TASK_STATUSES.busy });
+    await assert.rejects(rtr.retry(busy, creator), /Only failed Tasks/);
+  });
+});
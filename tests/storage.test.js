@@ -0,0 +1,107 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'node:fs/promises';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import * as stg from '../storage.js';
+import * as N3 from 'n3';
+const { namedNode } = N3.DataFactory;
+
+describe('storage', () => {
+  afterEach(() => stg.resetConfiguration());
+
+  it('converts between physical file IRIs and paths', () => {
+    stg.configure({ root: '/data/share' });
+    assert.equal(
+      stg.toPath(namedNode('share://submissions/file.ttl')),
+      '/data/share/submissions/file.ttl'
+    );
+    assert.equal(
+      stg.toPhysicalFile('/data/share/submissions/file.ttl').value,
+      'share://submissions/file.ttl'
+    );
+    assert.equal(
+      stg.toPhysicalFile('submissions/file.ttl').value,
+      'share://submissions/file.ttl'
+    );
+  });
+
+  it('merges configured directories with the defaults', () => {
+    stg.configure({ root: '/data/share', directories: { extra: 'extra' } });
+    assert.equal(stg.getDirectory('extra'), '/data/share/extra/');
+    assert.equal(stg.getDirectory(), '/data/share/submissions/');
+    assert.throws(() => stg.getDirectory('unknown'), stg.StoragePathError);
+  });
+
+  it('rejects locations outside of the root', () => {
+    stg.configure({ root: '/data/share' });
+    for (const iri of [
+      'share://../etc/passwd',
+      'share://submissions/../../etc/passwd',
+      'share:///etc/passwd',
+      'share://',
+      'file:///data/share/file.ttl',
+    ])
+      assert.throws(() => stg.toPath(iri), {
+        name: 'StoragePathError',
+        location: iri,
+      });
+    assert.throws(
+      () => stg.toPhysicalFile('/data/shared/file.ttl'),
+      stg.StoragePathError
+    );
+    assert.throws(
+      () => stg.toPhysicalFile('submissions/file\0.ttl'),
+      stg.StoragePathError
+    );
+    stg.configure({ root: '/data/share', directories: { up: '../up' } });
+    assert.throws(() => stg.getDirectory('up'), stg.StoragePathError);
+  });
+
+  describe('file downloads', () => {
+    let directory;
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'asf-tools-'));
+      await fs.mkdir(path.join(directory, 'root'));
+      await fs.writeFile(path.join(directory, 'root', 'inside.txt'), 'in');
+      await fs.writeFile(path.join(directory, 'outside.txt'), 'out');
+      await fs.symlink(
+        path.join(directory, 'outside.txt'),
+        path.join(directory, 'root', 'link.txt')
+      );
+    });
+    afterEach(() => fs.rm(directory, { recursive: true, force: true }));
+
+    const url = (...segments) =>
+      pathToFileURL(path.join(directory, ...segments)).href;
+
+    it('refuses all file URLs when no root is configured', async () => {
+      await assert.rejects(
+        stg.toFileDownloadPath(url('root', 'inside.txt')),
+        stg.StoragePathError
+      );
+    });
+
+    it('only accepts files inside the root, also after following links', async () => {
+      stg.configure({ fileDownloadRoot: path.join(directory, 'root') });
+      assert.equal(
+        await stg.toFileDownloadPath(url('root', 'inside.txt')),
+        await fs.realpath(path.join(directory, 'root', 'inside.txt'))
+      );
+      for (const outside of [
+        url('outside.txt'),
+        url('root', 'link.txt'),
+        url('root', '..', 'outside.txt'),
+      ])
+        await assert.rejects(
+          stg.toFileDownloadPath(outside),
+          stg.StoragePathError
+        );
+      await assert.rejects(
+        stg.toFileDownloadPath('file://example.org/inside.txt'),
+        stg.StoragePathError
+      );
+    });
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as spq from '../sparql.js';
+import * as cts from '../constants.js';
+import * as tsk from '../tasks.js';
+import * as N3 from 'n3';
+import {
+  creator,
+  graph,
+  useMemoryStore,
+  createJob,
+  createTask,
+  values,
+} from './helpers.js';
+const { namedNode } = N3.DataFactory;
+
+describe('tasks', () => {
+  let job;
+  beforeEach(async () => {
+    useMemoryStore();
+    job = await createJob();
+  });
+  after(() => spq.resetExecutor());
+
+  describe('get', () => {
+    it('returns the Task with typed values and resolved containers', async () => {
+      const file = namedNode('http://example.org/files/1');
+      const remoteDataObject = namedNode('http://example.org/remote/1');
+      const task = await createTask(job, {
+        index: 3,
+        inputs: { files: [file], remoteDataObjects: [remoteDataObject] },
+      });
+      const info = await tsk.get(task);
+      assert.equal(info.task.value, task.value);
+      assert.equal(info.index, 3);
+      assert.equal(info.job.value, job.value);
+      assert.equal(info.graph.value, graph.value);
+      assert.equal(info.creator.value, creator.value);
+      assert.ok(info.created instanceof Date);
+      assert.equal(info.resultsContainer, undefined);
+      assert.deepEqual(values(info.inputContainer.files), [file.value]);
+      assert.deepEqual(values(info.inputContainer.remoteDataObjects), [
+        remoteDataObject.value,
+      ]);
+
+      const container = await tsk.getContainer(info.inputContainer.container);
+      assert.deepEqual(values(container.files), [file.value]);
+    });
+
+    it('returns undefined for an unknown Task', async () => {
+      assert.equal(
+        await tsk.get(namedNode('http://example.org/tasks/unknown')),
+        undefined
+      );
+    });
+  });
+
+  it('links results on success', async () => {
+    const task = await createTask(job, { status: cts.TASK_STATUSES.busy });
+    const file = namedNode('http://example.org/files/2');
+    await tsk.updateStatus(
+      task,
+      namedNode(cts.TASK_STATUSES.success),
+      creator,
+      { files: [file] }
+    );
+    const info = await tsk.get(task);
+    assert.equal(info.status.value, cts.TASK_STATUSES.success);
+    assert.deepEqual(values(info.resultsContainer.files), [file.value]);
+  });
+
+  describe('batches', () => {
+    let updates;
+    beforeEach(() => {
+      const executor = spq.getExecutor();
+      updates = 0;
+      spq.setExecutor({
+        query: executor.query,
+        update: (updateString) => {
+          updates++;
+          return executor.update(updateString);
+        },
+      });
+    });
+
+    it('creates Tasks in as few updates as fit, without splitting a Task', async () => {
+      const inputs = [0, 1, 2, 3, 4].map((index) => ({
+        operation: namedNode(cts.OPERATIONS.download),
+        creator,
+        status: namedNode(cts.TASK_STATUSES.scheduled),
+        index,
+        job,
+        cogsOperation: namedNode(cts.COGS_OPERATIONS.webServiceLookup),
+        graph,
+      }));
+      const created = await tsk.createBatch(inputs, { maxTriplesPerQuery: 25 });
+      assert.equal(updates, 3);
+      assert.deepEqual(
+        created.map(({ input }) => input.index),
+        [0, 1, 2, 3, 4]
+      );
+      for (const { input, task } of created)
+        assert.equal((await tsk.get(task)).index, input.index);
+    });
+
+    it('updates the status of many Tasks, linked to the same error', async () => {
+      const tasks = [];
+      for (let index = 0; index < 5; index++)
+        tasks.push(await createTask(job, { index }));
+      updates = 0;
+      const error = namedNode('http://example.org/errors/1');
+      await tsk.updateStatusBatch(
+        tasks,
+        namedNode(cts.TASK_STATUSES.cancelled),
+        { error, maxResourcesPerQuery: 2 }
+      );
+      // Three chunks of status updates, and one to record the end times.
+      assert.equal(updates, 4);
+      for (const task of tasks) {
+        const info = await tsk.get(task);
+        assert.equal(info.status.value, cts.TASK_STATUSES.cancelled);
+        assert.equal(info.error.value, error.value);
+      }
+    });
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as uow from '../unitOfWork.js';
+
+describe('unitOfWork', () => {
+  it('returns the result of the work when all steps succeed', async () => {
+    const compensated = [];
+    const result = await uow.run(async (step) => {
+      const a = await step(
+        async () => 1,
+        async () => compensated.push('a')
+      );
+      const b = await step(async () => a + 1);
+      return b;
+    });
+    assert.equal(result, 2);
+    assert.deepEqual(compensated, []);
+  });
+
+  it('compensates the succeeded steps in reverse order with their results', async () => {
+    const compensated = [];
+    await assert.rejects(
+      uow.run(async (step) => {
+        await step(
+          async () => 'a',
+          async (result) => compensated.push(result)
+        );
+        await step(
+          async () => 'b',
+          async (result) => compensated.push(result)
+        );
+        await step(async () => {
+          throw new Error('step failed');
+        });
+      }),
+      /step failed/
+    );
+    assert.deepEqual(compensated, ['b', 'a']);
+  });
+
+  it('throws a RollbackError when a compensation fails as well', async () => {
+    const compensated = [];
+    await assert.rejects(
+      uow.run(async (step) => {
+        await step(
+          async () => 'a',
+          async (result) => compensated.push(result)
+        );
+        await step(
+          async () => 'b',
+          async () => {
+            throw new Error('compensation failed');
+          }
+        );
+        throw new Error('work failed');
+      }),
+      (error) =>
+        error instanceof uow.RollbackError &&
+        error.cause.message === 'work failed' &&
+        error.compensationErrors.length === 1
+    );
+    assert.deepEqual(compensated, ['a']);
+  });
+});
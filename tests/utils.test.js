@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as utl from '../utils.js';
+import * as cts from '../constants.js';
+import * as N3 from 'n3';
+const { namedNode, literal, quad } = N3.DataFactory;
+
+const task = namedNode('http://example.org/tasks/1');
+const file = namedNode('share://submissions/file.ttl');
+const graph = namedNode('http://example.org/graphs/1');
+const store = new N3.Store([
+  quad(
+    task,
+    namedNode(`${cts.PREFIX_TABLE.rdf}type`),
+    namedNode(`${cts.PREFIX_TABLE.task}Task`),
+    graph
+  ),
+  quad(task, namedNode(`${cts.PREFIX_TABLE.task}hasFile`), file, graph),
+  quad(task, namedNode(`${cts.PREFIX_TABLE.mu}uuid`), literal('1'), graph),
+]);
+
+const sorted = (quads) => quads.map((q) => q.toString()).sort();
+
+describe('utils', () => {
+  describe('RDF conversion', () => {
+    for (const format of ['nq', 'trig', 'jsonld', 'application/n-quads'])
+      it(`keeps all quads when converting to and from ${format}`, async () => {
+        const content = await utl.storeToContent(store, format);
+        const parsed = await utl.contentToStore(content, format);
+        assert.deepEqual(sorted([...parsed]), sorted([...store]));
+      });
+
+    for (const format of ['ttl', 'nt'])
+      it(`keeps all triples in the default graph for ${format}`, async () => {
+        const content = await utl.storeToContent(store, format);
+        const parsed = await utl.contentToStore(content, format);
+        assert.equal(parsed.size, store.size);
+        assert.equal(parsed.getQuads(null, null, null, graph).length, 0);
+        assert.equal(parsed.getQuads(task, null, file).length, 1);
+      });
+
+    it('shortens IRIs with the known prefixes', async () => {
+      const turtle = await utl.storeToTtl(store);
+      assert.match(turtle, /a task:Task/);
+      const document = JSON.parse(await utl.storeToContent(store, 'jsonld'));
+      assert.equal(document['@context'].task, cts.PREFIX_TABLE.task);
+      assert.equal(document['@context'].share, undefined);
+      const expanded = JSON.parse(
+        await utl.storeToContent(store, 'jsonld', { context: null })
+      );
+      assert.equal(expanded['@context'], undefined);
+    });
+
+    it('rejects formats that are not RDF', async () => {
+      await assert.rejects(
+        utl.contentToStore('<p/>', 'html'),
+        /not a supported RDF format/
+      );
+      await assert.rejects(
+        utl.storeToContent(store, 'csv'),
+        /Unknown file format/
+      );
+    });
+
+    it('rejects content that can not be parsed', async () => {
+      await assert.rejects(utl.contentToStore('<a> <b> .', 'nt'));
+    });
+  });
+
+  describe('chunkGroups', () => {
+    it('packs groups into chunks without splitting them', () => {
+      assert.deepEqual(
+        utl.chunkGroups([[1, 2], [3], [4, 5, 6, 7], [8], [9, 10]], 3),
+        [
+          [1, 2, 3],
+          [4, 5, 6, 7],
+          [8, 9, 10],
+        ]
+      );
+      assert.deepEqual(utl.chunkGroups([], 3), []);
+    });
+  });
+});
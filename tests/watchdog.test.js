@@ -0,0 +1,107 @@
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as spq from '../sparql.js';
+import * as cts from '../constants.js';
+import * as tsk from '../tasks.js';
+import * as jbt from '../jobs.js';
+import * as ers from '../errors.js';
+import * as wdg from '../watchdog.js';
+import {
+  creator,
+  useMemoryStore,
+  update,
+  createJob,
+  createTask,
+  values,
+} from './helpers.js';
+
+const hour = 60 * 60 * 1000;
+
+// Pretend a resource was last modified some time ago.
+async function age(resource, milliseconds) {
+  const modified = new Date(Date.now() - milliseconds).toISOString();
+  await update(`
+    DELETE { GRAPH ?g { <${resource.value}> dct:modified ?modified . } }
+    INSERT { GRAPH ?g { <${resource.value}> dct:modified "${modified}"^^xsd:dateTime . } }
+    WHERE { GRAPH ?g { <${resource.value}> dct:modified ?modified . } }`);
+}
+
+describe('watchdog', () => {
+  let job;
+  let stale;
+  let recent;
+  beforeEach(async () => {
+    useMemoryStore();
+    job = await createJob();
+    stale = await createTask(job, { status: cts.TASK_STATUSES.busy });
+    await age(stale, 2 * hour);
+    recent = await createTask(job, { index: 1 });
+    const finished = await createTask(job, {
+      status: cts.TASK_STATUSES.success,
+      index: 2,
+    });
+    await age(finished, 2 * hour);
+  });
+  after(() => spq.resetExecutor());
+
+  it('finds Tasks and Jobs that are scheduled or busy for too long', async () => {
+    let report = await wdg.scan();
+    assert.deepEqual(values(report.tasks.map((info) => info.task)), [
+      stale.value,
+    ]);
+    assert.equal(report.tasks[0].job.value, job.value);
+    assert.deepEqual(report.jobs, []);
+
+    await age(job, 2 * hour);
+    report = await wdg.scan();
+    assert.deepEqual(values(report.jobs.map((info) => info.job)), [job.value]);
+  });
+
+  it('uses the timeout of the operation when there is one', async () => {
+    const report = await wdg.scan({
+      timeouts: { [cts.OPERATIONS.download]: 3 * hour },
+    });
+    assert.deepEqual(report.tasks, []);
+    assert.equal((await wdg.scan({ timeout: 0 })).tasks.length, 2);
+  });
+
+  it('fails stale Tasks and Jobs with a timeout Error', async () => {
+    await age(job, 2 * hour);
+    const report = await wdg.failStale(creator);
+    assert.deepEqual(
+      values(report.failed).sort(),
+      [job.value, stale.value].sort()
+    );
+    assert.deepEqual(report.skipped, []);
+
+    const info = await tsk.get(stale);
+    assert.equal(info.status.value, cts.TASK_STATUSES.failed);
+    const [error] = await ers.list({ reference: stale });
+    assert.equal(error.error.value, info.error.value);
+    assert.equal(error.code.value, cts.ERROR_CODES.timeout);
+    assert.equal((await jbt.get(job)).status.value, cts.JOB_STATUSES.failed);
+    assert.equal(
+      (await tsk.get(recent)).status.value,
+      cts.TASK_STATUSES.scheduled
+    );
+    assert.deepEqual((await wdg.failStale(creator)).failed, []);
+  });
+
+  it('skips a Task that changed since the scan, without storing an Error', async () => {
+    // The Task reports progress right before the watchdog fails it.
+    const executor = spq.getExecutor();
+    spq.setExecutor({
+      query: executor.query,
+      update: async (updateString) => {
+        spq.setExecutor(executor);
+        await age(stale, 0);
+        return executor.update(updateString);
+      },
+    });
+    const report = await wdg.failStale(creator);
+    assert.deepEqual(values(report.skipped), [stale.value]);
+    assert.deepEqual(report.failed, []);
+    assert.equal((await tsk.get(stale)).status.value, cts.TASK_STATUSES.busy);
+    assert.deepEqual(await ers.list({ reference: stale }), []);
+  });
+});
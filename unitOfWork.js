@@ -0,0 +1,60 @@
+/**
+ * @module unitOfWork
+ * @description Group steps that change different systems, like the triplestore and physical storage, into a single unit of work. Every step can register a compensation that undoes it. When a later step fails, the compensations of the steps that already succeeded are run in reverse order, so both systems stay consistent.
+ */
+
+/**
+ * Thrown when a unit of work failed and undoing its steps failed as well. Systems might be left inconsistent.
+ *
+ * @public
+ * @class
+ * @param {Error} cause - The error that made the unit of work fail.
+ * @param {array(Error)} compensationErrors - The errors thrown by the compensations.
+ */
+export class RollbackError extends Error {
+  constructor(cause, compensationErrors) {
+    super(
+      `Rolling back after "${cause.message}" failed: ${compensationErrors
+        .map((e) => e.message)
+        .join('; ')}`,
+      { cause }
+    );
+    this.name = 'RollbackError';
+    this.compensationErrors = compensationErrors;
+  }
+}
+
+/**
+ * Run a unit of work. The given function receives a `step` function to perform each step with: `await step(action, compensation)`. The `action` is an async function that does the work and its result is returned by `step`. The optional `compensation` is an async function that undoes the action and receives the result of the action.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {function} work - An async function that receives the `step` function.
+ * @returns {any} The result of the `work` function.
+ * @throws {RollbackError} When a step failed and one or more compensations failed as well.
+ * @throws {Error} The error of the failing step, after all compensations succeeded.
+ */
+export async function run(work) {
+  const compensations = [];
+  const step = async (action, compensation) => {
+    const result = await action();
+    if (compensation) compensations.push(() => compensation(result));
+    return result;
+  };
+  try {
+    return await work(step);
+  } catch (error) {
+    const compensationErrors = [];
+    for (const compensate of compensations.reverse()) {
+      try {
+        await compensate();
+      } catch (compensationError) {
+        compensationErrors.push(compensationError);
+      }
+    }
+    if (compensationErrors.length)
+      throw new RollbackError(error, compensationErrors);
+    throw error;
+  }
+}
@@ -4,7 +4,10 @@
  */
 
 import * as N3 from 'n3';
-const { namedNode, literal, blankNode, quad } = N3.DataFactory;
+import jsonld from 'jsonld';
+import * as cts from './constants.js';
+import * as fmt from './formats.js';
+const { namedNode, literal, blankNode, quad, defaultGraph } = N3.DataFactory;
 
 // The following code is made possible thanks to @rubensworks.
 // This code has been transcribed from the following to fit our needs: https://github.com/rubensworks/sparqljson-parse.js/blob/master/lib/SparqlJsonParser.ts
@@ -67,11 +70,12 @@ export function parseSparqlJsonBinding(rawBinding) {
  * @results {quad} This is an RDFJS quad representing the triple for the given binding.
  */
 export function parseSparqlJsonBindingQuad(rawBinding) {
+  const graph = rawBinding.graph || rawBinding.g;
   return quad(
     parseSparqlJsonTerm(rawBinding.subject || rawBinding.s),
     parseSparqlJsonTerm(rawBinding.predicate || rawBinding.p),
     parseSparqlJsonTerm(rawBinding.object || rawBinding.o),
-    parseSparqlJsonTerm(rawBinding.graph || rawBinding.g)
+    graph ? parseSparqlJsonTerm(graph) : defaultGraph()
   );
 }
 
@@ -98,7 +102,7 @@ export async function ttlToStore(turtleContent) {
 }
 
 /**
- * Convert an RDF Store to plain Turtle content.
+ * Convert an RDF Store to plain Turtle content. The prefixes from `PREFIX_TABLE` are declared and used to shorten IRIs.
  *
  * @public
  * @async
@@ -108,8 +112,85 @@ export async function ttlToStore(turtleContent) {
  */
 export async function storeToTtl(store) {
   if (!store) return '';
-  const writer = new N3.Writer({ format: 'text/turtle' });
-  writer.addQuads([...store]);
+  return writeQuads([...store], 'text/turtle');
+}
+
+/**
+ * Parse RDF content in any of the supported formats to an RDF Store. Supported are Turtle, N-Triples, N-Quads, TriG and JSON-LD.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {string} content - The RDF content to parse.
+ * @param {string} [format='ttl'] - The file extension (e.g. `nq`) or MIME type (e.g. `application/n-quads`) of the content.
+ * @returns {n3.store} The parsed content as an RDF Store.
+ * @throws {Error} When the format is not an RDF format, or when the content can not be parsed.
+ */
+export async function contentToStore(content, format = 'ttl') {
+  const mimeType = resolveRdfFormat(format);
+  const store = new N3.Store();
+  if (!content) return store;
+  if (mimeType === cts.FORMATS.jsonld) {
+    const document =
+      typeof content === 'string' ? JSON.parse(content) : content;
+    content = await jsonld.toRDF(document, { format: cts.FORMATS.nq });
+  }
+  const parser = new N3.Parser({
+    format: mimeType === cts.FORMATS.jsonld ? cts.FORMATS.nq : mimeType,
+  });
+  store.addQuads(parser.parse(content));
+  return store;
+}
+
+/**
+ * Serialize an RDF Store to content in any of the supported formats. Supported are Turtle, N-Triples, N-Quads, TriG and JSON-LD. Turtle and TriG declare the prefixes from `PREFIX_TABLE`, and JSON-LD is compacted against `JSONLD_CONTEXT`, which is built from the same prefixes. Named graphs are only kept in N-Quads, TriG and JSON-LD.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {n3.store} [store] - The store with the data you want converted.
+ * @param {string} [format='ttl'] - The file extension (e.g. `jsonld`) or MIME type (e.g. `application/ld+json`) to serialize to.
+ * @param {object} [options]
+ * @param {object} [options.context] - Only for JSON-LD: compact against this context instead of `JSONLD_CONTEXT`. Use `null` to get expanded JSON-LD.
+ * @returns {string} The serialized content.
+ * @throws {Error} When the format is not an RDF format.
+ */
+export async function storeToContent(store, format = 'ttl', options = {}) {
+  const mimeType = resolveRdfFormat(format);
+  const quads = store ? [...store] : [];
+  if (mimeType !== cts.FORMATS.jsonld) return writeQuads(quads, mimeType);
+
+  const nquads = await writeQuads(quads, cts.FORMATS.nq);
+  let document = await jsonld.fromRDF(nquads, { format: cts.FORMATS.nq });
+  const context =
+    options.context === undefined ? cts.JSONLD_CONTEXT : options.context;
+  if (context) document = await jsonld.compact(document, context);
+  return JSON.stringify(document, undefined, 2);
+}
+
+function resolveRdfFormat(format) {
+  const rdfFormats = ['ttl', 'nt', 'nq', 'trig', 'jsonld'].map(
+    (extension) => cts.FORMATS[extension]
+  );
+  const { format: mimeType } = fmt.resolve(format);
+  if (!rdfFormats.includes(mimeType))
+    throw new Error(`'${format}' is not a supported RDF format`);
+  return mimeType;
+}
+
+async function writeQuads(quads, mimeType) {
+  const prefixes = [cts.FORMATS.ttl, cts.FORMATS.trig].includes(mimeType)
+    ? cts.PREFIX_TABLE
+    : undefined;
+  // Triple formats can not express graphs, so merge all quads into the default graph.
+  if ([cts.FORMATS.ttl, cts.FORMATS.nt].includes(mimeType))
+    quads = [
+      ...new N3.Store(
+        quads.map((q) => quad(q.subject, q.predicate, q.object, defaultGraph()))
+      ),
+    ];
+  const writer = new N3.Writer({ format: mimeType, prefixes });
+  writer.addQuads(quads);
   return new Promise((resolve, reject) => {
     writer.end((err, result) => {
       if (err) reject(err);
@@ -117,3 +198,26 @@ export async function storeToTtl(store) {
     });
   });
 }
+
+/**
+ * Pack groups of items, e.g. the triples of a single resource, into chunks with a maximum size, without splitting groups. A group that is larger than the maximum gets a chunk of its own.
+ *
+ * @public
+ * @function
+ * @param {array(array)} groups - The groups of items, in order.
+ * @param {integer} maxSize - The maximum number of items per chunk.
+ * @returns {array(array)} The chunks, each a flat array of items, in the same order as the groups.
+ */
+export function chunkGroups(groups, maxSize) {
+  const chunks = [];
+  let current = [];
+  for (const group of groups) {
+    if (current.length && current.length + group.length > maxSize) {
+      chunks.push(current);
+      current = [];
+    }
+    current.push(...group);
+  }
+  if (current.length) chunks.push(current);
+  return chunks;
+}
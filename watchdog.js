@@ -0,0 +1,162 @@
+/**
+ * @module watchdog
+ * @description Detect Tasks and Jobs that are stuck, because the service working on them crashed before updating their status. A Task or Job is stale when it has been scheduled or busy for longer than the timeout for its operation, measured from its `dct:modified`. Stale Tasks and Jobs can be failed, so the flow can move on.
+ */
+
+import * as spq from './sparql.js';
+import * as cts from './constants.js';
+import * as qbd from './queryBuilder.js';
+import * as tsk from './tasks.js';
+import * as jbt from './jobs.js';
+import * as ers from './errors.js';
+import * as sub from './asfSubmissions.js';
+import * as N3 from 'n3';
+import * as sjp from 'sparqljson-parse';
+const { namedNode, variable } = N3.DataFactory;
+const { sparql } = qbd;
+
+/**
+ * Find the Tasks and Jobs that have been scheduled or busy for too long, without changing anything.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {object} [options] - Override the defaults from `WATCHDOG_DEFAULTS`.
+ * @param {integer} [options.timeout] - The timeout in milliseconds for operations without a timeout of their own.
+ * @param {object} [options.timeouts] - Timeouts in milliseconds per operation, keyed by the IRI of the operation, e.g. `{ [OPERATIONS.download]: 15 * 60 * 1000 }`.
+ * @returns { { tasks: array(object), jobs: array(object) } } The stale Tasks as `{ task: namedNode, operation: namedNode, status: namedNode, modified: literal, job: namedNode, submission: object }`, where the submission is the result of {@link module:asfSubmissions.getSubmissionInfoFromTask}, and the stale Jobs as `{ job: namedNode, operation: namedNode, status: namedNode, modified: literal, activity: namedNode }`.
+ */
+export async function scan(options = {}) {
+  const { timeout, timeouts } = { ...cts.WATCHDOG_DEFAULTS, ...options };
+  const now = Date.now();
+  const isStale = (result) =>
+    now - new Date(result.modified.value) >
+    (timeouts[result.operation?.value] ?? timeout);
+  const threshold = new Date(
+    now - Math.min(timeout, ...Object.values(timeouts))
+  );
+
+  const tasks = [];
+  const candidateTasks = await findCandidates(
+    sparql`?resource a task:Task .`,
+    [cts.TASK_STATUSES.scheduled, cts.TASK_STATUSES.busy],
+    sparql`?resource dct:isPartOf ?related .`,
+    threshold
+  );
+  for (const result of candidateTasks.filter(isStale))
+    tasks.push({
+      task: result.resource,
+      operation: result.operation,
+      status: result.status,
+      modified: result.modified,
+      job: result.related,
+      submission: await sub.getSubmissionInfoFromTask(result.resource),
+    });
+
+  const candidateJobs = await findCandidates(
+    sparql`?resource a cogs:Job .`,
+    [cts.JOB_STATUSES.busy],
+    sparql`?resource prov:generatedBy ?related .`,
+    threshold
+  );
+  const jobs = candidateJobs.filter(isStale).map((result) => ({
+    job: result.resource,
+    operation: result.operation,
+    status: result.status,
+    modified: result.modified,
+    activity: result.related,
+  }));
+
+  return { tasks, jobs };
+}
+
+/**
+ * Find stale Tasks and Jobs with {@link scan} and fail them, linked to an Error with the `ERROR_CODES.timeout` code. A Task or Job is only failed when it has not been modified since the scan, so one that got unstuck in the meantime is left alone, and no Error is stored for it.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {namedNode} creator - The identifier for the service that acts as watchdog. Used as creator of the Errors and of the status changes.
+ * @param {object} [options] - The timeouts, see {@link scan}.
+ * @returns {object} The report from {@link scan}, extended with `failed`, an array of the Tasks and Jobs that were failed, and `skipped`, an array of the Tasks and Jobs that changed since the scan.
+ */
+export async function failStale(creator, options = {}) {
+  const report = await scan(options);
+  const failed = [];
+  const skipped = [];
+  const stale = [
+    ...report.tasks.map((info) => ({
+      resource: info.task,
+      info,
+      compareAndSetStatus: tsk.compareAndSetStatus,
+      failure: namedNode(cts.TASK_STATUSES.failed),
+    })),
+    ...report.jobs.map((info) => ({
+      resource: info.job,
+      info,
+      compareAndSetStatus: jbt.compareAndSetStatus,
+      failure: namedNode(cts.JOB_STATUSES.failed),
+    })),
+  ];
+  for (const { resource, info, compareAndSetStatus, failure } of stale) {
+    const won = await compareAndSetStatus(resource, info.status, failure, {
+      expectedModified: info.modified,
+      creator,
+    });
+    if (!won) {
+      skipped.push(resource);
+      continue;
+    }
+    // Only stored for resources that were failed, so a skipped resource leaves no Error behind.
+    const error = await ers.createExtended(creator, {
+      message: `${resource.value} has been stuck with status ${info.status.value} since ${info.modified.value}`,
+      code: namedNode(cts.ERROR_CODES.timeout),
+      references: [resource],
+    });
+    await ers.link(error, [resource]);
+    failed.push(resource);
+  }
+  return { ...report, failed, skipped };
+}
+
+async function findCandidates(
+  typePattern,
+  statuses,
+  relatedPattern,
+  threshold
+) {
+  const limit = 1000;
+  const all = [];
+  let page;
+  do {
+    const response = await spq.query(
+      qbd.select(
+        ['resource', 'operation', 'status', 'modified', 'related'].map((name) =>
+          variable(name)
+        ),
+        [
+          qbd.values(
+            variable('status'),
+            statuses.map((status) => namedNode(status))
+          ),
+          qbd.graph(
+            variable('g'),
+            typePattern,
+            sparql`
+              ?resource
+                adms:status ?status ;
+                dct:modified ?modified .`,
+            qbd.optional(sparql`?resource task:operation ?operation .`),
+            qbd.optional(relatedPattern)
+          ),
+          qbd.filter(sparql`?modified < ${threshold}`),
+        ],
+        { orderBy: [variable('resource')], limit, offset: all.length }
+      )
+    );
+    const sparqlJsonParser = new sjp.SparqlJsonParser();
+    page = sparqlJsonParser.parseJsonResults(response);
+    all.push(...page);
+  } while (page.length === limit);
+  return all;
+}